@@ -0,0 +1,139 @@
+// __tests__/lib/dashboardState.test.js
+// The dashboard's loading flow, driven through dashboardReducer() with plain actions.
+import axios from 'axios';
+import { createInitialDashboardState, dashboardReducer } from '@/lib/dashboardState';
+import { fetchVisitor } from '@/lib/visitorClient';
+
+jest.mock('axios', () => ({ __esModule: true, default: { get: jest.fn(), isCancel: () => false } }));
+
+const CONFIG = { nonce: 'n', siteName: 'Test' };
+const RECORD = { visitor_id: 'v1', first_name: 'Ada' };
+const CACHED_RECORD = { visitor_id: 'v1', first_name: 'Ada (cached)' };
+
+const run = (state, ...actions) => actions.reduce(dashboardReducer, state);
+const ready = () => createInitialDashboardState({ initialConfig: CONFIG });
+
+describe('dashboardReducer', () => {
+    test('a load ends in data_loaded with the record, brand and campaign', () => {
+        const state = run(ready(),
+            { type: 'LOAD_REQUESTED', visitorKey: 'v1', requestId: 1 },
+            { type: 'LOAD_SUCCEEDED', requestId: 1, record: RECORD, brand: { colors: ['#000000'], source: 'record' }, campaign: 'spring' });
+        expect(state).toMatchObject({ status: 'data_loaded', visitorKey: 'v1', record: RECORD, campaign: 'spring', isStale: false, errorMessage: '' });
+    });
+
+    describe('responses to an earlier request are dropped', () => {
+        const loadingSecond = () => run(ready(),
+            { type: 'LOAD_REQUESTED', visitorKey: 'v1', requestId: 1 },
+            { type: 'LOAD_REQUESTED', visitorKey: 'v2', requestId: 2 });
+
+        test.each([
+            ['LOAD_SUCCEEDED', { record: RECORD }],
+            ['LOAD_CACHED', { record: CACHED_RECORD, savedAt: '2024-01-01T00:00:00.000Z' }],
+            ['LOAD_FAILED', { code: 'not_found', message: 'No record' }],
+        ])('%s', (type, payload) => {
+            const state = loadingSecond();
+            expect(dashboardReducer(state, { type, requestId: 1, ...payload })).toBe(state);
+        });
+
+        test('once the current request has settled', () => {
+            const settled = run(loadingSecond(), { type: 'LOAD_SUCCEEDED', requestId: 2, record: RECORD });
+            expect(dashboardReducer(settled, { type: 'LOAD_FAILED', requestId: 1, code: 'upstream_error', message: 'Late failure' })).toBe(settled);
+        });
+    });
+
+    describe('a cached record', () => {
+        const showingCache = () => run(ready(),
+            { type: 'LOAD_REQUESTED', visitorKey: 'v1', requestId: 1 },
+            { type: 'LOAD_CACHED', requestId: 1, record: CACHED_RECORD, savedAt: '2024-01-01T00:00:00.000Z' });
+
+        test('is shown as stale while the request runs', () => {
+            expect(showingCache()).toMatchObject({ status: 'data_loaded', record: CACHED_RECORD, isStale: true, cachedAt: '2024-01-01T00:00:00.000Z' });
+        });
+
+        test('stays up when the refresh fails for a transient reason', () => {
+            const state = run(showingCache(), { type: 'LOAD_FAILED', requestId: 1, code: 'upstream_unreachable', message: 'WordPress is down' });
+            expect(state).toMatchObject({ status: 'data_loaded', record: CACHED_RECORD, isStale: true, errorMessage: 'WordPress is down', errorCode: 'upstream_unreachable' });
+        });
+
+        test('stays up when the refresh fails without an error code', () => {
+            const state = run(showingCache(), { type: 'LOAD_FAILED', requestId: 1, message: 'Network Error' });
+            expect(state).toMatchObject({ status: 'data_loaded', record: CACHED_RECORD, isStale: true, errorCode: null });
+        });
+
+        test.each([
+            ['not_found', 'no_data_for_id'],
+            ['link_expired', 'link_expired'],
+            ['link_invalid', 'link_invalid'],
+        ])('is replaced when the refresh fails with %s', (code, status) => {
+            const state = run(showingCache(), { type: 'LOAD_FAILED', requestId: 1, code, message: 'Gone' });
+            expect(state).toMatchObject({ status, record: null, isStale: false, cachedAt: null, errorCode: code });
+        });
+
+        test('is replaced by the fresh record', () => {
+            const state = run(showingCache(), { type: 'LOAD_SUCCEEDED', requestId: 1, record: RECORD });
+            expect(state).toMatchObject({ status: 'data_loaded', record: RECORD, isStale: false, cachedAt: null });
+        });
+    });
+
+    test('actions a status does not accept leave the state unchanged', () => {
+        const state = ready();
+        expect(dashboardReducer(state, { type: 'LOAD_SUCCEEDED', requestId: 0, record: RECORD })).toBe(state);
+        expect(dashboardReducer(state, { type: 'UNKNOWN' })).toBe(state);
+    });
+});
+
+// /api/visitor/[id] answers with an HTTP status and an API error code; lib/visitorClient.js rethrows it and
+// the reducer turns the code into a status.
+describe('HTTP errors from /api/visitor/[id]', () => {
+    const failWith = (status, data) => axios.get.mockRejectedValue(Object.assign(new Error(`Request failed with status code ${status}`), { isAxiosError: true, response: { status, data } }));
+    const apiError = (code, message) => ({ success: false, data: { code, message } });
+    const loadFailing = async () => {
+        const err = await fetchVisitor('v1').catch(error => error);
+        return run(ready(), { type: 'LOAD_REQUESTED', visitorKey: 'v1', requestId: 1 }, { type: 'LOAD_FAILED', requestId: 1, code: err.code, message: err.message });
+    };
+
+    afterEach(() => {
+        jest.useRealTimers();
+        axios.get.mockReset();
+    });
+
+    test.each([
+        [404, 'not_found', 'no_data_for_id'],
+        [410, 'link_expired', 'link_expired'],
+        [401, 'link_invalid', 'link_invalid'],
+        [400, 'invalid_visitor_id', 'error'],
+    ])('%i %s ends in %s without a retry', async (status, code, expected) => {
+        failWith(status, apiError(code, 'Failed'));
+        expect(await loadFailing()).toMatchObject({ status: expected, errorCode: code, errorMessage: 'Failed' });
+        expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('a 4xx without an API error body is an upstream_error', async () => {
+        failWith(403, '-1');
+        expect(await loadFailing()).toMatchObject({ status: 'error', errorCode: 'upstream_error', errorMessage: expect.stringContaining('(403)') });
+    });
+
+    test('502 nonce_invalid ends in error without a retry: the server already retried with a fresh nonce', async () => {
+        failWith(502, apiError('nonce_invalid', 'Security check failed'));
+        expect(await loadFailing()).toMatchObject({ status: 'error', errorCode: 'nonce_invalid' });
+        expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test.each([
+        [502, 'upstream_error'],
+        [504, 'upstream_unreachable'],
+        [500, 'internal_error'],
+    ])('%i %s ends in error after the retries', async (status, code) => {
+        jest.useFakeTimers();
+        failWith(status, apiError(code, 'Failed'));
+        const loaded = loadFailing();
+        await jest.runAllTimersAsync();
+        expect(await loaded).toMatchObject({ status: 'error', errorCode: code });
+        expect(axios.get).toHaveBeenCalledTimes(4);
+    });
+
+    test('an error from the server render starts in the matching status', () => {
+        expect(createInitialDashboardState({ initialConfig: CONFIG, initialVisitorKey: 'v1', initialError: { code: 'link_expired', message: 'Expired' } }))
+            .toMatchObject({ status: 'link_expired', visitorKey: 'v1', errorMessage: 'Expired', errorCode: 'link_expired' });
+    });
+});
@@ -0,0 +1,80 @@
+// __tests__/lib/engagement.test.js
+// Engagement events and the admin summaries, against a temporary DATA_DIR.
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const SESSION = 'session-0001';
+
+let dataDir;
+
+// A fresh module instance, as after a server restart: it reads the file again.
+const loadModule = () => {
+    let loaded;
+    jest.isolateModules(() => { loaded = require('../../lib/engagement'); });
+    return loaded;
+};
+
+beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'engagement-'));
+    process.env.DATA_DIR = dataDir;
+});
+
+afterEach(async () => {
+    delete process.env.DATA_DIR;
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe('recordEngagementEvents', () => {
+    test('stores the valid events and counts the rejected ones', async () => {
+        const { recordEngagementEvents } = loadModule();
+        const result = await recordEngagementEvents({ visitorId: 'v1', campaign: null }, SESSION, [
+            { type: 'page_view' },
+            { type: 'scroll_depth', percent: 33 },
+            { type: 'unknown' },
+        ]);
+        expect(result).toEqual({ accepted: 1, rejected: 2 });
+    });
+
+    test('rejects a missing session ID', async () => {
+        const { recordEngagementEvents } = loadModule();
+        await expect(recordEngagementEvents({ visitorId: 'v1' }, '', [{ type: 'page_view' }])).rejects.toMatchObject({ status: 400, code: 'invalid_session' });
+    });
+});
+
+describe('summaries', () => {
+    test('follow the events as they arrive and after a restart', async () => {
+        const engagement = loadModule();
+        expect(await engagement.listEngagementSummaries()).toEqual([]);
+
+        await engagement.recordEngagementEvents({ visitorId: 'v1', campaign: 'spring' }, SESSION, [
+            { type: 'page_view' },
+            { type: 'research_open' },
+            { type: 'section_time', section: 'full-research-section', ms: 20000 },
+        ]);
+        await engagement.recordEngagementEvents({ visitorId: 'v2', campaign: null }, 'session-0002', [{ type: 'page_view' }]);
+        expect(await engagement.getEngagementSummary('v1')).toMatchObject({ campaign: 'spring', pageViews: 1, sessions: 1, researchOpens: 1, readResearch: false });
+
+        await engagement.recordEngagementEvents({ visitorId: 'v1', campaign: 'spring' }, 'session-0003', [
+            { type: 'section_time', section: 'full-research-section', ms: 15000 },
+        ]);
+        const expected = { visitorId: 'v1', sessions: 2, sectionTimeMs: { 'full-research-section': 35000 }, readResearch: true };
+        expect(await engagement.getEngagementSummary('v1')).toMatchObject(expected);
+
+        const restarted = loadModule();
+        expect(await restarted.getEngagementSummary('v1')).toMatchObject(expected);
+        expect((await restarted.listEngagementSummaries()).map(summary => summary.visitorId).sort()).toEqual(['v1', 'v2']);
+    });
+
+    test('an unknown visitor has an empty summary', async () => {
+        expect(await loadModule().getEngagementSummary('nobody')).toMatchObject({ visitorId: 'nobody', pageViews: 0, sessions: 0, lastSeen: null });
+    });
+
+    test('a summary handed out is not changed by later events', async () => {
+        const engagement = loadModule();
+        await engagement.recordEngagementEvents({ visitorId: 'v1' }, SESSION, [{ type: 'section_time', section: 'briefing', ms: 1000 }]);
+        const summary = await engagement.getEngagementSummary('v1');
+        await engagement.recordEngagementEvents({ visitorId: 'v1' }, SESSION, [{ type: 'section_time', section: 'briefing', ms: 1000 }]);
+        expect(summary.sectionTimeMs).toEqual({ briefing: 1000 });
+    });
+});
@@ -0,0 +1,60 @@
+// __tests__/lib/logoImage.test.js
+// logo_url comes from the record: downloads must stay off internal addresses and oversized PNGs are refused.
+import axios from 'axios';
+import { fetchLogoImage, isPublicAddress } from '@/lib/logoImage';
+
+// A PNG signature and IHDR chunk header for a width x height image; enough for the size check.
+const pngHeader = (width, height) => {
+    const buffer = Buffer.alloc(33);
+    Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex').copy(buffer);
+    buffer.writeUInt32BE(width, 16);
+    buffer.writeUInt32BE(height, 20);
+    return buffer;
+};
+
+describe('isPublicAddress', () => {
+    test.each(['8.8.8.8', '93.184.216.34', '2606:4700:4700::1111'])('%s is public', (address) => {
+        expect(isPublicAddress(address)).toBe(true);
+    });
+
+    test.each([
+        '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', '::', '::ffff:127.0.0.1', 'fd00::1', 'fe80::1', 'not-an-ip',
+    ])('%s is not', (address) => {
+        expect(isPublicAddress(address)).toBe(false);
+    });
+});
+
+describe('fetchLogoImage', () => {
+    let get;
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        get = jest.spyOn(axios, 'get');
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    test.each([
+        'http://127.0.0.1/logo.png',
+        'http://[::1]/logo.png',
+        'http://169.254.169.254/latest/meta-data/',
+        'file:///etc/passwd',
+    ])('does not request %s', async (url) => {
+        expect(await fetchLogoImage(url)).toBeNull();
+        expect(get).not.toHaveBeenCalled();
+    });
+
+    test('checks every resolved address and redirect hop, and limits redirects', async () => {
+        get.mockResolvedValue({ data: pngHeader(200, 100) });
+        expect(await fetchLogoImage('https://logo.example/logo.png')).toMatchObject({ format: 'png' });
+        const [, options] = get.mock.calls[0];
+        expect(options.maxRedirects).toBeLessThanOrEqual(3);
+        await expect(options.lookup('localhost', {})).rejects.toThrow('not a public address');
+        expect(() => options.beforeRedirect({ protocol: 'http:', hostname: '10.0.0.5' })).toThrow('not a public address');
+        expect(() => options.beforeRedirect({ protocol: 'https:', hostname: 'cdn.example' })).not.toThrow();
+    });
+
+    test('refuses a PNG whose header declares too many pixels', async () => {
+        get.mockResolvedValue({ data: pngHeader(20000, 20000) });
+        expect(await fetchLogoImage('https://logo.example/huge.png')).toBeNull();
+    });
+});
@@ -0,0 +1,106 @@
+// __tests__/lib/recordVersions.test.js
+// Version history and visits behind the "Updated" badges, against a temporary DATA_DIR.
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const RECORD = { visitor_id: 'v1', first_name: 'Ada', company_short: 'Acme', key_challenge_or_opportunity: 'Manual invoicing.' };
+const CHANGED_RECORD = { ...RECORD, key_challenge_or_opportunity: 'Manual invoicing and reporting.' };
+const MINUTE = 60 * 1000;
+
+let dataDir;
+let clock;
+
+// A fresh module instance, as after a server restart: it reads the files again.
+const loadModule = () => {
+    let loaded;
+    jest.isolateModules(() => { loaded = require('../../lib/recordVersions'); });
+    return loaded;
+};
+const readLines = async (file) => (await fs.readFile(path.join(dataDir, file), 'utf8')).trim().split('\n');
+const advance = (ms) => {
+    clock += ms;
+    jest.setSystemTime(clock);
+};
+
+beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'record-versions-'));
+    process.env.DATA_DIR = dataDir;
+    clock = Date.parse('2024-05-01T09:00:00.000Z');
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'], now: clock });
+});
+
+afterEach(async () => {
+    jest.useRealTimers();
+    delete process.env.DATA_DIR;
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe('recordVisitorView', () => {
+    test('badges what changed since the previous visit, and keeps the badges for the rest of the visit', async () => {
+        const { recordVisitorView } = loadModule();
+        expect(await recordVisitorView('v1', RECORD)).toEqual({ version: 1, since: null, updated: [] });
+
+        advance(2 * 60 * MINUTE);
+        const nextVisit = await recordVisitorView('v1', CHANGED_RECORD);
+        expect(nextVisit).toEqual({ version: 2, since: '2024-05-01T09:00:00.000Z', updated: ['field:keyChallengeOpportunity'] });
+
+        advance(5 * MINUTE); // a reload
+        expect(await recordVisitorView('v1', CHANGED_RECORD)).toEqual(nextVisit);
+
+        advance(2 * 60 * MINUTE);
+        expect((await recordVisitorView('v1', CHANGED_RECORD)).updated).toEqual([]);
+    });
+
+    test('stores one version when the same new record is viewed concurrently', async () => {
+        const { recordVisitorView, listRecordVersions } = loadModule();
+        const results = await Promise.all([1, 2, 3, 4].map(() => recordVisitorView('v1', RECORD)));
+        expect(results.map(result => result.version)).toEqual([1, 1, 1, 1]);
+        expect(await listRecordVersions('v1')).toHaveLength(1);
+        expect(await readLines('record-versions.jsonl')).toHaveLength(1);
+    });
+
+    test('picks up the stored visits after a restart', async () => {
+        await loadModule().recordVisitorView('v1', RECORD);
+        advance(2 * 60 * MINUTE);
+        expect(await loadModule().recordVisitorView('v1', CHANGED_RECORD)).toMatchObject({ version: 2, updated: ['field:keyChallengeOpportunity'] });
+    });
+
+    test('compacts the view log to the last visits of each visitor', async () => {
+        const { recordVisitorView } = loadModule();
+        await recordVisitorView('v1', RECORD);
+        advance(2 * 60 * MINUTE);
+        await recordVisitorView('v1', CHANGED_RECORD);
+        for (let view = 0; view < 1010; view += 1) {
+            advance(MINUTE);
+            await recordVisitorView('v2', { ...RECORD, visitor_id: 'v2' }); // one long visit
+        }
+        const lines = await readLines('record-views.jsonl');
+        expect(lines.length).toBeLessThan(20); // the compacted visits and the views since
+
+        advance(2 * 60 * MINUTE);
+        expect(await loadModule().recordVisitorView('v1', RECORD)).toMatchObject({ version: 3, since: '2024-05-01T11:00:00.000Z', updated: ['field:keyChallengeOpportunity'] });
+    });
+});
+
+describe('listRecordVersions', () => {
+    test('returns the changed values of each version, newest first', async () => {
+        const { recordVisitorView, listRecordVersions } = loadModule();
+        await recordVisitorView('v1', RECORD);
+        advance(MINUTE);
+        await recordVisitorView('v1', CHANGED_RECORD);
+
+        const [latest, first] = await listRecordVersions('v1');
+        expect(first).toMatchObject({ version: 1, changes: null });
+        expect(latest).toMatchObject({
+            version: 2,
+            changes: {
+                updated: ['field:keyChallengeOpportunity'],
+                removed: [],
+                values: { 'field:keyChallengeOpportunity': { before: '"Manual invoicing."', after: '"Manual invoicing and reporting."' } },
+            },
+        });
+        expect(latest).not.toHaveProperty('items');
+        expect(latest).not.toHaveProperty('snapshot');
+    });
+});
@@ -0,0 +1,35 @@
+// __tests__/lib/roi.test.js
+// Which charts the analytics section shows, with and without the ROI calculator.
+import { ILLUSTRATIVE_CHART_SPECS } from '@/lib/chartSpecs';
+import { createTranslator } from '@/lib/i18n';
+import { getAnalyticsChartSpecs, getRoiDefaults, projectRoi } from '@/lib/roi';
+
+const i18n = createTranslator('en');
+const RECORD_CHARTS = [{ type: 'doughnut', title: 'Where time goes', labels: ['a', 'b'], datasets: [{ label: 'Share', data: [1, 2] }] }];
+const projection = (teamSize) => projectRoi({ ...getRoiDefaults({}), teamSize });
+const titles = (specs) => specs.map(spec => spec.title);
+
+describe('getAnalyticsChartSpecs', () => {
+    test('without the calculator: the record charts, else the illustrative ones', () => {
+        expect(getAnalyticsChartSpecs(RECORD_CHARTS, null, 'EUR', i18n)).toBe(RECORD_CHARTS);
+        expect(getAnalyticsChartSpecs([], null, 'EUR', i18n)).toBe(ILLUSTRATIVE_CHART_SPECS);
+    });
+
+    test('adds the calculator charts after the record charts', () => {
+        const specs = getAnalyticsChartSpecs(RECORD_CHARTS, projection(5), 'EUR', i18n);
+        expect(titles(specs)).toEqual(['Where time goes', i18n.t('roi.chart_savings_title'), i18n.t('roi.chart_hours_title')]);
+    });
+
+    test('replaces the illustrative revenue line and efficiency bars with the calculator charts', () => {
+        const specs = getAnalyticsChartSpecs([], projection(5), 'EUR', i18n);
+        expect(specs).toHaveLength(ILLUSTRATIVE_CHART_SPECS.length);
+        expect(titles(specs)).toEqual(expect.arrayContaining([i18n.t('roi.chart_savings_title'), i18n.t('roi.chart_hours_title')]));
+        expect(specs.filter(spec => spec.type === 'line' || spec.type === 'bar').every(spec => !ILLUSTRATIVE_CHART_SPECS.includes(spec))).toBe(true);
+    });
+
+    test('follows the calculator inputs', () => {
+        const [, small] = getAnalyticsChartSpecs(RECORD_CHARTS, projection(5), 'EUR', i18n);
+        const [, large] = getAnalyticsChartSpecs(RECORD_CHARTS, projection(50), 'EUR', i18n);
+        expect(large.datasets[0].data[3]).toBeGreaterThan(small.datasets[0].data[3]);
+    });
+});
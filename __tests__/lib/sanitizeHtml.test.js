@@ -0,0 +1,80 @@
+// __tests__/lib/sanitizeHtml.test.js
+// Known XSS payloads in research markdown, run through the same marked -> sanitizeHtml path as the dashboard.
+import { marked } from 'marked';
+import { sanitizeHtml } from '@/lib/sanitizeHtml';
+
+const render = (markdown) => sanitizeHtml(marked.parse(markdown, { gfm: true, breaks: true }));
+
+// Every start tag in the output, with its attributes. Escaped text (&lt;img ...) is not a tag.
+const startTags = (html) => [...html.matchAll(/<([a-z][a-z0-9]*)\b([^>]*)>/gi)].map(([, name, attributes]) => ({ name: name.toLowerCase(), attributes }));
+
+function expectNoDangerousMarkup(html) {
+    startTags(html).forEach(({ name, attributes }) => {
+        expect(['script', 'style', 'iframe', 'svg', 'math', 'object', 'embed', 'form', 'noscript', 'template', 'base', 'meta', 'link']).not.toContain(name);
+        expect(attributes).not.toMatch(/\son[a-z]+\s*=/i);
+        expect(attributes).not.toMatch(/\sstyle\s*=/i);
+        expect(attributes).not.toMatch(/\s(href|src|srcset|action|formaction|xlink:href)\s*=\s*["']?\s*(javascript|data|vbscript):/i);
+    });
+}
+
+function expectNeutralized(html) {
+    expectNoDangerousMarkup(html);
+    // mXSS: the output is parsed again by the browser; a second pass must not surface anything either.
+    expectNoDangerousMarkup(sanitizeHtml(html));
+}
+
+const PAYLOADS = {
+    'javascript: link': '[click](javascript:alert(1))',
+    'javascript: link, mixed case': '[click](JaVaScRiPt:alert(document.cookie))',
+    'javascript: link, entity-encoded': '<a href="jav&#x09;ascript:alert(1)">click</a>',
+    'javascript: link, leading whitespace': '<a href="  javascript:alert(1)">click</a>',
+    'javascript: link, reference style': '[click][x]\n\n[x]: javascript:alert(1)',
+    'data: link': '[click](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+    'data: image': '![pixel](data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+)',
+    'vbscript: link': '<a href="vbscript:msgbox(1)">click</a>',
+    'double-quoted on* handler': '<img src="https://example.com/x.png" onerror="alert(1)">',
+    'single-quoted on* handler': "<p onclick='alert(1)'>text</p>",
+    'unquoted on* handler': '<a href="https://example.com" onmouseover=alert(1)>link</a>',
+    'on* handler after a slash': '<img/src="x"/onerror="alert(1)">',
+    '<svg onload>': '<svg onload="alert(1)"></svg>',
+    '<svg> with script': '<svg><script>alert(1)</script></svg>',
+    '<svg> with animate': '<svg><a><animate attributeName="href" values="javascript:alert(1)"/><text y="20">x</text></a></svg>',
+    '<iframe> javascript:': '<iframe src="javascript:alert(1)"></iframe>',
+    '<iframe srcdoc>': '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+    '<script>': '<script>alert(1)</script>',
+    '<style> block': '<style>body { background: url("javascript:alert(1)") }</style>',
+    'style attribute': '<p style="background-image: url(javascript:alert(1))">text</p>',
+    '<object> / <embed>': '<object data="javascript:alert(1)"></object><embed src="javascript:alert(1)">',
+    '<form formaction>': '<form><button formaction="javascript:alert(1)">go</button></form>',
+    '<base href>': '<base href="javascript:alert(1)//">',
+    '<meta refresh>': '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+    'mXSS: noscript title': '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+    'mXSS: math/mglyph/style': '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)></style></mglyph></table></mtext></math>',
+    'mXSS: svg/p/style': '<svg></p><style><a id="</style><img src=1 onerror=alert(1)>"></style></svg>',
+    'mXSS: nested form/math': '<form><math><mtext></form><form><mglyph><style></math><img src onerror=alert(1)>',
+    'mXSS: template': '<template><img src=x onerror=alert(1)></template>',
+    'mXSS: comment breakout': '<!--><img src=x onerror=alert(1)>-->',
+    'mXSS: textarea': '<textarea></textarea><img src=x onerror=alert(1)></textarea>',
+    'mXSS: backtick attribute': '<img src=`x` onerror=`alert(1)`>',
+};
+
+describe('sanitizeHtml(marked.parse(...))', () => {
+    test.each(Object.entries(PAYLOADS))('neutralizes %s', (name, payload) => {
+        expectNeutralized(render(payload));
+    });
+
+    test('drops the dangerous href but keeps the link text', () => {
+        const html = render('[click](javascript:alert(1))');
+        expect(html).toContain('click');
+        expect(html).not.toMatch(/href=/);
+    });
+
+    test('keeps safe links, opening them in a new tab without window.opener', () => {
+        expect(render('[site](https://example.com)')).toBe('<p><a href="https://example.com" target="_blank" rel="noopener noreferrer">site</a></p>\n');
+        expect(render('[top](#research-market)')).toBe('<p><a href="#research-market">top</a></p>\n');
+    });
+
+    test('keeps ordinary markdown formatting', () => {
+        expect(render('## Title\n\n**bold** and `code`')).toBe('<h2>Title</h2>\n<p><strong>bold</strong> and <code>code</code></p>\n');
+    });
+});
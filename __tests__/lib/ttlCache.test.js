@@ -0,0 +1,51 @@
+// __tests__/lib/ttlCache.test.js
+// The in-memory caches: expiry, and the size cap that keeps request-chosen keys from growing them without end.
+import { createTtlCache } from '@/lib/ttlCache';
+
+const MINUTE = 60 * 1000;
+
+beforeEach(() => { jest.useFakeTimers({ now: Date.parse('2024-05-01T09:00:00.000Z') }); });
+afterEach(() => { jest.useRealTimers(); });
+
+test('an entry expires after its TTL', () => {
+    const cache = createTtlCache(MINUTE);
+    cache.set('a', 1);
+    cache.set('b', 2, 5 * MINUTE);
+    jest.advanceTimersByTime(MINUTE);
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.get('b')).toBe(2);
+});
+
+describe('with more keys than maxEntries', () => {
+    test('drops the oldest entries', () => {
+        const cache = createTtlCache(MINUTE, { maxEntries: 3 });
+        ['a', 'b', 'c', 'd', 'e'].forEach((key, index) => cache.set(key, index));
+        expect(cache.size).toBe(3);
+        expect(['a', 'b', 'c', 'd', 'e'].map(key => cache.get(key))).toEqual([undefined, undefined, 2, 3, 4]);
+    });
+
+    test('keeps an entry that was set again', () => {
+        const cache = createTtlCache(MINUTE, { maxEntries: 2 });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.set('a', 3);
+        cache.set('c', 4);
+        expect([cache.get('a'), cache.get('b'), cache.get('c')]).toEqual([3, undefined, 4]);
+    });
+
+    test('drops the expired entries before any live one', () => {
+        const cache = createTtlCache(MINUTE, { maxEntries: 2 });
+        cache.set('long', 1, 10 * MINUTE);
+        cache.set('short', 2);
+        jest.advanceTimersByTime(2 * MINUTE);
+        cache.set('new', 3);
+        expect([cache.get('long'), cache.get('new')]).toEqual([1, 3]);
+        expect(cache.size).toBe(2);
+    });
+});
+
+test('many distinct keys stay within the default cap', () => {
+    const cache = createTtlCache(MINUTE);
+    for (let index = 0; index < 5000; index += 1) cache.set(`visitor-${index}`, null);
+    expect(cache.size).toBe(1000);
+});
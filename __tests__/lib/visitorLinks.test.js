@@ -0,0 +1,85 @@
+// __tests__/lib/visitorLinks.test.js
+// Which visitor keys open a dashboard, and the origins for the absolute URLs the app hands out (never taken
+// from a client-chosen Host header).
+import { getPublicOrigin } from '@/lib/visitorLinks';
+
+const request = (host, { encrypted = false, localPort = 3000 } = {}) => ({ headers: { host }, socket: { encrypted, localPort } });
+
+describe('getPublicOrigin', () => {
+    const env = { ...process.env };
+    afterEach(() => { process.env = { ...env }; });
+
+    test('uses PUBLIC_SITE_URL without its trailing slash', () => {
+        process.env.PUBLIC_SITE_URL = 'https://insights.example.com/';
+        process.env.NODE_ENV = 'production';
+        expect(getPublicOrigin(request('attacker.example'))).toBe('https://insights.example.com');
+    });
+
+    test('has no origin in production without PUBLIC_SITE_URL', () => {
+        delete process.env.PUBLIC_SITE_URL;
+        process.env.NODE_ENV = 'production';
+        expect(getPublicOrigin(request('attacker.example'))).toBeNull();
+    });
+
+    describe('in development', () => {
+        beforeEach(() => {
+            delete process.env.PUBLIC_SITE_URL;
+            process.env.NODE_ENV = 'development';
+        });
+
+        test.each([
+            ['localhost:3000', false, 'http://localhost:3000'],
+            ['127.0.0.1:4000', false, 'http://127.0.0.1:4000'],
+            ['localhost', true, 'https://localhost'],
+        ])('keeps the loopback host %s', (host, encrypted, origin) => {
+            expect(getPublicOrigin(request(host, { encrypted }))).toBe(origin);
+        });
+
+        test('replaces any other host with localhost on the server port', () => {
+            expect(getPublicOrigin(request('attacker.example', { localPort: 3999 }))).toBe('http://localhost:3999');
+            expect(getPublicOrigin(request(undefined))).toBe('http://localhost:3000');
+        });
+    });
+});
+
+describe('resolveVisitorKey', () => {
+    const env = { ...process.env };
+    let warn;
+    beforeEach(() => { warn = jest.spyOn(console, 'warn').mockImplementation(() => {}); });
+    afterEach(() => {
+        process.env = { ...env };
+        warn.mockRestore();
+    });
+
+    // The settings are read when the module loads, as at server start.
+    const loadModule = (settings) => {
+        delete process.env.VISITOR_LINK_SECRET;
+        delete process.env.ALLOW_UNSIGNED_VISITOR_IDS;
+        Object.assign(process.env, settings);
+        let loaded;
+        jest.isolateModules(() => { loaded = require('../../lib/visitorLinks'); });
+        return loaded;
+    };
+
+    test('accepts a signed token and refuses raw IDs', () => {
+        const { createVisitorToken, resolveVisitorKey } = loadModule({ VISITOR_LINK_SECRET: 'secret' });
+        const { token } = createVisitorToken({ visitorId: 'rec1', campaign: 'spring' });
+        expect(resolveVisitorKey(token)).toMatchObject({ visitorId: 'rec1', campaign: 'spring' });
+        expect(() => resolveVisitorKey('rec1')).toThrow(expect.objectContaining({ status: 401, code: 'link_invalid' }));
+        expect(warn).not.toHaveBeenCalled();
+    });
+
+    test('refuses raw IDs when the secret is missing, and warns at startup', () => {
+        const { resolveVisitorKey } = loadModule({});
+        expect(() => resolveVisitorKey('rec1')).toThrow(expect.objectContaining({ code: 'link_invalid' }));
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('VISITOR_LINK_SECRET is not set'));
+    });
+
+    test.each([
+        ['without a secret', {}],
+        ['next to signed links', { VISITOR_LINK_SECRET: 'secret' }],
+    ])('accepts raw IDs with ALLOW_UNSIGNED_VISITOR_IDS=true %s', (label, settings) => {
+        const { resolveVisitorKey } = loadModule({ ...settings, ALLOW_UNSIGNED_VISITOR_IDS: 'true' });
+        expect(resolveVisitorKey(' rec1 ')).toEqual({ visitorId: 'rec1', campaign: null, expiresAt: null });
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * @jest-environment jsdom
+ */
+// __tests__/pages/dashboard.a11y.test.js
+// axe over pages/dashboard.js, rendered with the props its getServerSideProps builds from the mock backend
+// (lib/mockBackend.js and the fixtures in lib/mockFixtures.js).
+import { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import { axe, toHaveNoViolations } from 'jest-axe';
+
+expect.extend(toHaveNoViolations);
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+// jsdom has no canvas context for Chart.js to draw into; keep the <canvas> react-chartjs-2 renders, with the
+// accessibility props SpecChart passes to it.
+jest.mock('react-chartjs-2', () => {
+    const MockChart = ({ options, data, ...canvasProps }) => <canvas {...canvasProps} />;
+    return { Line: MockChart, Bar: MockChart, Doughnut: MockChart, Radar: MockChart };
+});
+
+let mockQuery = {};
+jest.mock('next/router', () => ({ useRouter: () => ({ query: mockQuery, push: jest.fn() }) }));
+
+// The page's own calls to the API routes (visit recording, ROI scenarios) answer with an empty history.
+jest.mock('axios', () => ({
+    __esModule: true,
+    default: {
+        get: jest.fn(() => Promise.reject(new Error('No network in tests'))),
+        post: jest.fn(() => Promise.resolve({ data: { success: true, data: { version: 1, since: null, updated: [] } } })),
+        isCancel: () => false,
+    },
+}));
+
+// Both read their settings when they load, as at server start, and log a notice about them.
+process.env.MOCK_BACKEND = 'true';
+process.env.ALLOW_UNSIGNED_VISITOR_IDS = 'true';
+const startupNotices = jest.spyOn(console, 'warn').mockImplementation(() => {});
+const { default: DashboardPage, getServerSideProps } = require('../../pages/dashboard');
+startupNotices.mockRestore();
+
+const serverProps = async (query) => {
+    const req = { headers: { host: 'localhost:3000', 'accept-language': 'en' }, socket: { localPort: 3000 } };
+    const res = { statusCode: 200, setHeader: jest.fn() };
+    return (await getServerSideProps({ query, req, res })).props;
+};
+
+describe('dashboard page', () => {
+    let container;
+    let root;
+    beforeEach(() => {
+        // Browser APIs the engagement tracking uses and jsdom does not have.
+        globalThis.fetch = jest.fn(() => Promise.resolve({ ok: true }));
+        globalThis.IntersectionObserver = class { observe() {} unobserve() {} disconnect() {} };
+        container = document.body.appendChild(document.createElement('div'));
+        root = createRoot(container);
+    });
+    afterEach(() => {
+        act(() => root.unmount());
+        container.remove();
+        delete globalThis.fetch;
+        delete globalThis.IntersectionObserver;
+    });
+
+    const renderPage = async (query) => {
+        mockQuery = query;
+        const props = await serverProps(query);
+        await act(async () => root.render(<DashboardPage {...props} />));
+        return props;
+    };
+
+    test.each(['demo-full', 'demo-minimal', 'demo-bad-kpi'])('%s has no axe violations', async (visitorId) => {
+        const props = await renderPage({ visitor_id: visitorId });
+        expect(props.initialRecord).not.toBeNull();
+        expect(container.querySelector('main h1')).not.toBeNull();
+        expect(container.querySelectorAll('#dashboard-content-wrapper > .dashboard-section').length).toBeGreaterThan(1);
+        expect(await axe(container)).toHaveNoViolations();
+    });
+
+    test.each([
+        ['the no-data state', { visitor_id: 'demo-empty' }],
+        ['the ready state', {}],
+    ])('%s has no axe violations', async (label, query) => {
+        await renderPage(query);
+        expect(container.querySelector('#dashboard-content-wrapper')).toBeNull();
+        expect(await axe(container)).toHaveNoViolations();
+    });
+});
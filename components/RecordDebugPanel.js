@@ -0,0 +1,25 @@
+// components/RecordDebugPanel.js
+// Admin-only view of the warnings normalizeVisitorRecord() and resolveDashboardLayout() raised for the current record.
+// Rendered by the dashboard for admin previews: ?debug=1 from a request with the admin credentials.
+
+export default function RecordDebugPanel({ warnings, rawRecord }) {
+    return (
+        <section className="dashboard-section card record-debug-panel" aria-label="Record validation warnings">
+            <h2 className="section-title">
+                <span className="dashicons dashicons-admin-tools"></span>
+                Record Check: {warnings.length === 0 ? 'No issues found' : `${warnings.length} warning${warnings.length === 1 ? '' : 's'}`}
+            </h2>
+            {warnings.length > 0 && (
+                <ul className="record-debug-warnings">
+                    {warnings.map((warning, index) => (
+                        <li key={index}><code>{warning.field}</code> {warning.message}</li>
+                    ))}
+                </ul>
+            )}
+            <details>
+                <summary>Raw record fields</summary>
+                <pre>{JSON.stringify(rawRecord, null, 2)}</pre>
+            </details>
+        </section>
+    );
+}
@@ -0,0 +1,77 @@
+// components/SpecChart.js
+// Renders one normalized chart spec (see lib/chartSpecs.js) inside the dashboard's chart wrapper. The canvas is
+// described by a generated text summary, and a toggleable table gives screen-reader and keyboard users the data.
+import {
+    Chart as ChartJS, CategoryScale, LinearScale, RadialLinearScale, PointElement, LineElement,
+    BarElement, ArcElement, Title, Tooltip, Legend, Filler, Colors // Keep Colors if using Chart.js v4+
+} from 'chart.js';
+import { useId, useState } from 'react';
+import { Line, Bar, Doughnut, Radar } from 'react-chartjs-2';
+import usePrefersReducedMotion from '@/hooks/usePrefersReducedMotion';
+import { buildChartData, buildChartOptions, CIRCULAR_CHART_TYPES, describeChartSpec, formatChartValue } from '@/lib/chartSpecs';
+
+// Registered here so every page that shows charts (dashboard, admin preview) gets the same Chart.js setup.
+ChartJS.register(
+    CategoryScale, LinearScale, RadialLinearScale, PointElement, LineElement, BarElement,
+    ArcElement, Title, Tooltip, Legend, Filler, Colors // Keep Colors
+);
+
+const CHART_COMPONENTS = { line: Line, bar: Bar, stacked_bar: Bar, doughnut: Doughnut, radar: Radar };
+
+function ChartDataTable({ id, spec, i18n, hidden }) {
+    return (
+        <div id={id} className="chart-data-table" hidden={hidden}>
+            <table>
+                <caption>{spec.title}</caption>
+                <thead>
+                    <tr>
+                        <th scope="col">{i18n.t('charts.col_category')}</th>
+                        {spec.datasets.map((dataset, index) => <th key={index} scope="col">{dataset.label}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {spec.labels.map((label, row) => (
+                        <tr key={row}>
+                            <th scope="row">{label}</th>
+                            {spec.datasets.map((dataset, index) => <td key={index}>{formatChartValue(spec, dataset.data[row], i18n.locale)}</td>)}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+export default function SpecChart({ spec, chartColors, i18n, style }) {
+    const id = useId();
+    const [showTable, setShowTable] = useState(false);
+    const reducedMotion = usePrefersReducedMotion();
+    const ChartComponent = CHART_COMPONENTS[spec.type];
+    const isCircular = CIRCULAR_CHART_TYPES.includes(spec.type);
+    const containerStyle = isCircular
+        ? { height: '320px', maxWidth: '400px', marginLeft: 'auto', marginRight: 'auto' }
+        : { height: '300px' };
+    const summaryId = `${id}-summary`;
+    const tableId = `${id}-table`;
+    return (
+        <div className="chart-container-wrapper" style={style}>
+            <h3 className="subsection-title chart-title"><span className={`dashicons ${spec.icon}`} aria-hidden="true"></span>{spec.title}</h3>
+            <div className="chart-container" style={containerStyle}>
+                {chartColors && (
+                    <ChartComponent
+                        options={buildChartOptions(spec, chartColors, i18n.locale, { reducedMotion })}
+                        data={buildChartData(spec, chartColors)}
+                        role="img"
+                        aria-label={spec.title}
+                        aria-describedby={summaryId}
+                    />
+                )}
+            </div>
+            <p id={summaryId} className="chart-summary">{describeChartSpec(spec, i18n)}</p>
+            <button type="button" className="chart-table-toggle" aria-expanded={showTable} aria-controls={tableId} onClick={() => setShowTable(!showTable)}>
+                <span className="dashicons dashicons-editor-table" aria-hidden="true"></span>{i18n.t(showTable ? 'charts.hide_table' : 'charts.show_table')}
+            </button>
+            <ChartDataTable id={tableId} spec={spec} i18n={i18n} hidden={!showTable} />
+        </div>
+    );
+}
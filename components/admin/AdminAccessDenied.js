@@ -0,0 +1,15 @@
+// components/admin/AdminAccessDenied.js
+// Full page shown by the admin pages when authorizeAdminPage() (lib/adminAuth.js) refuses the request.
+import Head from 'next/head';
+
+export default function AdminAccessDenied({ message }) {
+    return (
+        <main className="admin-console">
+            <Head><title>MakerToo Admin</title><meta name="robots" content="noindex, nofollow" /></Head>
+            <section className="dashboard-section card">
+                <h1 className="section-title"><span className="dashicons dashicons-lock"></span>Admin access required</h1>
+                <p>{message}</p>
+            </section>
+        </main>
+    );
+}
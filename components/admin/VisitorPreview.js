@@ -0,0 +1,210 @@
+// components/admin/VisitorPreview.js
+// Admin console preview of one raw visitor record (an entry from GET /api/admin/visitors): the record check,
+// the shareable link, and the dashboard sections exactly as pages/dashboard.js renders them.
+// Logo-derived brand colors are resolved only when the real dashboard loads; the preview uses `brand_colors`.
+import { useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import RecordDebugPanel from '@/components/RecordDebugPanel';
+import { SECTION_COMPONENTS } from '@/components/sections';
+import useBookingCompletion from '@/hooks/useBookingCompletion';
+import useRoiCalculator from '@/hooks/useRoiCalculator';
+import { resolveBookingConfig } from '@/lib/bookingProviders';
+import { createCopyReader, getCopyValues } from '@/lib/dashboardCopy';
+import { getVisibleSections, resolveDashboardLayout, resolveLayoutCampaign } from '@/lib/dashboardLayout';
+import { createTranslator, resolveLocale } from '@/lib/i18n';
+import { NO_CHANGES } from '@/lib/recordChanges';
+import { buildTheme, resolveThemeMode } from '@/lib/theme';
+import { normalizeVisitorRecord } from '@/lib/visitorRecord';
+
+const ignoreEngagement = () => {};
+
+// A signed link when the server can sign them, otherwise the plain ?visitor_id= link.
+async function requestShareLink(visitorId, campaign) {
+    try {
+        const response = await axios.post('/api/links', { visitorId, campaign: campaign || undefined });
+        return response.data.data.url;
+    } catch (err) {
+        if (err.response?.data?.data?.code !== 'signing_not_configured') throw err;
+        return `${window.location.origin}/dashboard?visitor_id=${encodeURIComponent(visitorId)}`;
+    }
+}
+
+// Scenarios the lead sent from the ROI calculator (GET /api/roi-scenarios), newest first.
+function RoiScenarioList({ visitorId, i18n }) {
+    const [state, setState] = useState({ status: 'loading', scenarios: [], message: '' });
+    useEffect(() => {
+        const controller = new AbortController();
+        axios.get('/api/roi-scenarios', { params: { visitor_id: visitorId }, signal: controller.signal })
+            .then(response => setState({ status: 'loaded', scenarios: response.data.data.scenarios, message: '' }))
+            .catch((err) => {
+                if (!axios.isCancel(err)) setState({ status: 'error', scenarios: [], message: err.response?.data?.data?.message || err.message });
+            });
+        return () => controller.abort();
+    }, [visitorId]);
+
+    if (state.status === 'error') return <p className="admin-share-status is-error">ROI scenarios unavailable: {state.message}</p>;
+    if (state.status === 'loading' || state.scenarios.length === 0) return null;
+    return (
+        <details className="admin-roi-scenarios">
+            <summary>{state.scenarios.length} ROI scenario{state.scenarios.length === 1 ? '' : 's'} sent by the lead</summary>
+            <table className="roi-table">
+                <thead><tr><th scope="col">Sent</th><th scope="col">Team</th><th scope="col">Hours / person / week</th><th scope="col">Cost / hour</th><th scope="col">Savings / year (phase 2)</th></tr></thead>
+                <tbody>
+                    {state.scenarios.map(scenario => (
+                        <tr key={scenario.at}>
+                            <th scope="row">{new Date(scenario.at).toLocaleString()}</th>
+                            <td>{scenario.teamSize}</td>
+                            <td>{scenario.hoursPerWeek}</td>
+                            <td>{i18n.currency(scenario.hourlyCost, scenario.currency)}</td>
+                            <td>{i18n.currency(scenario.annualSavings.ai, scenario.currency)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </details>
+    );
+}
+
+// Meetings the lead booked through the scheduler embed (GET /api/bookings), newest first.
+function BookingList({ visitorId }) {
+    const [state, setState] = useState({ status: 'loading', bookings: [], message: '' });
+    useEffect(() => {
+        const controller = new AbortController();
+        axios.get('/api/bookings', { params: { visitor_id: visitorId }, signal: controller.signal })
+            .then(response => setState({ status: 'loaded', bookings: response.data.data.bookings, message: '' }))
+            .catch((err) => {
+                if (!axios.isCancel(err)) setState({ status: 'error', bookings: [], message: err.response?.data?.data?.message || err.message });
+            });
+        return () => controller.abort();
+    }, [visitorId]);
+
+    if (state.status === 'error') return <p className="admin-share-status is-error">Bookings unavailable: {state.message}</p>;
+    if (state.status === 'loading' || state.bookings.length === 0) return null;
+    return (
+        <ul className="admin-bookings">
+            {state.bookings.map(booking => (
+                <li key={`${booking.at}-${booking.reference || ''}`}>
+                    <span className="dashicons dashicons-calendar-alt"></span>
+                    Booked via {booking.provider} on {new Date(booking.at).toLocaleString()}
+                    {booking.startTime ? `, meeting ${new Date(booking.startTime).toLocaleString()}` : ''}
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+const MAX_CHANGE_PREVIEW = 160;
+const previewValue = (value) => (value.length > MAX_CHANGE_PREVIEW ? `${value.slice(0, MAX_CHANGE_PREVIEW)}…` : value);
+
+// Before and after of each changed item in a version; the full text is in the tooltip.
+function RecordChangeValues({ values }) {
+    return (
+        <dl className="admin-record-changes">
+            {Object.entries(values).map(([item, { before, after }]) => (
+                <div key={item}>
+                    <dt><code>{item}</code></dt>
+                    <dd>
+                        {before === null ? <em>new</em> : <del title={before}>{previewValue(before)}</del>}
+                        {' → '}
+                        {after === null ? <em>removed</em> : <ins title={after}>{previewValue(after)}</ins>}
+                    </dd>
+                </div>
+            ))}
+        </dl>
+    );
+}
+
+// Versions of the record the dashboard has served (GET /api/record-versions), newest first, with what changed.
+function RecordVersionList({ visitorId }) {
+    const [state, setState] = useState({ status: 'loading', versions: [], message: '' });
+    useEffect(() => {
+        const controller = new AbortController();
+        axios.get('/api/record-versions', { params: { visitor_id: visitorId }, signal: controller.signal })
+            .then(response => setState({ status: 'loaded', versions: response.data.data.versions, message: '' }))
+            .catch((err) => {
+                if (!axios.isCancel(err)) setState({ status: 'error', versions: [], message: err.response?.data?.data?.message || err.message });
+            });
+        return () => controller.abort();
+    }, [visitorId]);
+
+    if (state.status === 'error') return <p className="admin-share-status is-error">Version history unavailable: {state.message}</p>;
+    if (state.status === 'loading' || state.versions.length === 0) return null;
+    return (
+        <details className="admin-roi-scenarios">
+            <summary>{state.versions.length} record version{state.versions.length === 1 ? '' : 's'} served</summary>
+            <ul className="admin-record-versions">
+                {state.versions.map(version => (
+                    <li key={version.version}>
+                        <strong>v{version.version}</strong> · {new Date(version.at).toLocaleString()}
+                        {version.changes
+                            ? <> · updated: {version.changes.updated.map(item => <code key={item}>{item}</code>)}{version.changes.removed.length > 0 && <> · removed: {version.changes.removed.map(item => <code key={item}>{item}</code>)}</>}</>
+                            : ' · first version seen'}
+                        {version.changes?.values && <RecordChangeValues values={version.changes.values} />}
+                    </li>
+                ))}
+            </ul>
+        </details>
+    );
+}
+
+export default function VisitorPreview({ entry, config }) {
+    const [shareState, setShareState] = useState({ status: 'idle', url: '', message: '' });
+    const locale = resolveLocale(entry.language);
+    const i18n = useMemo(() => createTranslator(locale), [locale]);
+    const { model: visitor } = useMemo(() => normalizeVisitorRecord(entry.record, { locale }), [entry.record, locale]);
+    // No signed link here, so the record's own campaign applies, as on the dashboard for a plain ?visitor_id= link.
+    const campaign = resolveLayoutCampaign(null, visitor);
+    const layout = useMemo(() => resolveDashboardLayout({ configLayout: config?.dashboardLayout, campaign, recordLayout: visitor.layout, locale }), [config, campaign, visitor.layout, locale]);
+    const theme = useMemo(() => buildTheme({ brandColors: visitor.brandColors, mode: resolveThemeMode(visitor.themeMode) }), [visitor.brandColors, visitor.themeMode]);
+    const visibleSections = getVisibleSections(layout, visitor);
+    const copy = createCopyReader(layout.copy, getCopyValues(visitor));
+    const roiCalculator = useRoiCalculator(visitor, { canSubmit: false });
+    const roi = visibleSections.some(section => section.type === 'roi') ? roiCalculator : null;
+    const bookingConfig = useMemo(() => resolveBookingConfig(config), [config]);
+    const booking = useBookingCompletion(bookingConfig);
+
+    const handleCopyLink = async () => {
+        setShareState({ status: 'working', url: '', message: '' });
+        try {
+            const url = await requestShareLink(entry.visitorId, entry.campaign);
+            try {
+                await navigator.clipboard.writeText(url);
+                setShareState({ status: 'copied', url, message: 'Link copied to the clipboard.' });
+            } catch (clipboardError) {
+                setShareState({ status: 'ready', url, message: 'Copy the link below.' });
+            }
+        } catch (err) {
+            setShareState({ status: 'failed', url: '', message: err.response?.data?.data?.message || err.message });
+        }
+    };
+
+    return (
+        <div className="admin-preview" style={theme.cssVariables}>
+            <header className="admin-preview-header">
+                <div>
+                    <h2>{visitor.companyName}</h2>
+                    <p>{visitor.firstName}{entry.visitorId ? <> · <code>{entry.visitorId}</code></> : null}{entry.campaign ? ` · ${entry.campaign}` : ''} · {locale}</p>
+                </div>
+                <button type="button" className="button button-primary" onClick={handleCopyLink} disabled={!entry.visitorId || shareState.status === 'working'}>
+                    <span className="dashicons dashicons-admin-links"></span>Copy share link
+                </button>
+            </header>
+            {shareState.message && (
+                <p className={`admin-share-status ${shareState.status === 'failed' ? 'is-error' : ''}`}>
+                    {shareState.message} {shareState.url && <input type="text" readOnly value={shareState.url} onFocus={(e) => e.target.select()} aria-label="Share link" />}
+                </p>
+            )}
+
+            {entry.visitorId && <BookingList visitorId={entry.visitorId} />}
+            {entry.visitorId && <RoiScenarioList visitorId={entry.visitorId} i18n={i18n} />}
+            {entry.visitorId && <RecordVersionList visitorId={entry.visitorId} />}
+
+            <RecordDebugPanel warnings={[...entry.warnings, ...layout.warnings]} rawRecord={entry.record} />
+
+            {visibleSections.map((section) => {
+                const SectionComponent = SECTION_COMPONENTS[section.type];
+                return <SectionComponent key={section.id} section={section} domId={`preview-${section.domId}`} visitor={visitor} copy={copy} i18n={i18n} chartColors={theme.chartColors} wpConfig={config} onTrack={ignoreEngagement} roi={roi} bookingConfig={bookingConfig} booking={booking} changes={NO_CHANGES} />;
+            })}
+        </div>
+    );
+}
@@ -0,0 +1,32 @@
+// components/sections/AnalyticsSection.js
+import SpecChart from '@/components/SpecChart';
+import { CIRCULAR_CHART_TYPES } from '@/lib/chartSpecs';
+import { getAnalyticsChartSpecs } from '@/lib/roi';
+import CopyText from './CopyText';
+import UpdatedBadge from './UpdatedBadge';
+
+export default function AnalyticsSection({ domId, visitor, copy, i18n, chartColors, roi, changes }) {
+    const hasRecordCharts = visitor.charts.length > 0;
+    // The ROI calculator, when shown, drives a savings and an efficiency chart next to the record's charts.
+    const followsRoi = Boolean(roi);
+    const chartSpecs = getAnalyticsChartSpecs(visitor.charts, roi?.projection, roi?.currency, i18n);
+    const gridChartSpecs = chartSpecs.filter(spec => !CIRCULAR_CHART_TYPES.includes(spec.type));
+    const circularChartSpecs = chartSpecs.filter(spec => CIRCULAR_CHART_TYPES.includes(spec.type));
+    return (
+        <section id={domId} className="dashboard-section card">
+            <h2 className="section-title"><span className="dashicons dashicons-chart-area"></span><CopyText segments={copy.segments(hasRecordCharts ? 'analytics.title' : 'analytics.title_illustrative')} />{hasRecordCharts && changes.field('charts') && <UpdatedBadge i18n={i18n} />}</h2>
+            <p style={{textAlign: 'center', marginBottom: '30px', color: 'var(--text-secondary)'}}>
+                <CopyText segments={copy.segments('analytics.intro')} /> <CopyText segments={copy.segments(hasRecordCharts ? 'analytics.note' : 'analytics.note_illustrative')} />
+                {followsRoi && <> <CopyText segments={copy.segments('analytics.note_roi')} /></>}
+            </p>
+            {gridChartSpecs.length > 0 && (
+                <div className="charts-grid">
+                    {gridChartSpecs.map((spec, index) => <SpecChart key={index} spec={spec} chartColors={chartColors} i18n={i18n} />)}
+                </div>
+            )}
+            {circularChartSpecs.map((spec, index) => (
+                <SpecChart key={index} spec={spec} chartColors={chartColors} i18n={i18n} style={gridChartSpecs.length > 0 || index > 0 ? { marginTop: '40px' } : undefined} />
+            ))}
+        </section>
+    );
+}
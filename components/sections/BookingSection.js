@@ -0,0 +1,65 @@
+// components/sections/BookingSection.js
+// The scheduler embed (lib/bookingProviders.js), prefilled with the lead's details, and the confirmation
+// shown once hooks/useBookingCompletion.js reports a booking (the `booking` prop). `bookingConfig` is the
+// page's resolveBookingConfig(wpConfig), the same one the hook listens with.
+import { useEffect, useState } from 'react';
+import { buildBookingEmbedUrl } from '@/lib/bookingProviders';
+import { getRecordFallback } from '@/lib/visitorRecord';
+import CopyText from './CopyText';
+
+const BOOKING_TIME_FORMAT = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' };
+
+export default function BookingSection({ domId, visitor, copy, i18n, wpConfig, bookingConfig = null, booking = null }) {
+    const bookingLink = wpConfig?.bookingLink;
+    // Calendly only reports bookings to the host named in the embed URL, which is known in the browser only.
+    const [embedHost, setEmbedHost] = useState(null);
+    useEffect(() => { setEmbedHost(window.location.host); }, []);
+
+    // Generic fallbacks ('Valued Lead') are not worth prefilling.
+    const knownValue = (key) => (visitor[key] && visitor[key] !== getRecordFallback(key, i18n.locale) ? visitor[key] : null);
+    const embedUrl = bookingConfig && embedHost ? buildBookingEmbedUrl(bookingConfig, {
+        firstName: knownValue('firstName'),
+        companyName: knownValue('companyName'),
+        visitorId: visitor.visitorId,
+        campaign: visitor.campaign,
+    }, { embedHost }) : null;
+
+    let content;
+    if (booking) {
+        content = (
+            <div className="booking-confirmation" role="status">
+                <span className="dashicons dashicons-yes-alt"></span>
+                <h3>{i18n.t('booking.confirmed_title', { firstName: visitor.firstName })}</h3>
+                <p>{booking.startTime ? i18n.t('booking.confirmed_time', { date: i18n.date(booking.startTime, BOOKING_TIME_FORMAT) }) : i18n.t('booking.confirmed')}</p>
+            </div>
+        );
+    } else if (bookingConfig) {
+        content = embedUrl ? (
+            <iframe
+                src={embedUrl}
+                title={i18n.t('booking.iframe_title', { companyName: visitor.companyName })}
+                loading="lazy"
+                style={{ width: '100%', height: '700px', border: 'none', borderRadius: 'var(--border-radius-md)' }}/>
+        ) : <p className="booking-loading">{i18n.t('booking.loading')}</p>;
+    } else {
+        content = (
+            <div className="booking-placeholder">
+                <span className="dashicons dashicons-clock"></span>
+                <p>{i18n.t('booking.placeholder')}</p>
+                {/* ACTION: Replace with your actual contact email */}
+                <p>{i18n.rich('booking.contact', {}, { email: <a key="email" href="mailto:hello@makertoo.com">hello@makertoo.com</a> })}</p>
+                {bookingLink && <p style={{fontSize: '0.8em', marginTop: '10px', color: 'var(--accent-pink)'}}>{i18n.t('booking.admin_note')}</p>}
+            </div>
+        );
+    }
+
+    return (
+        <section id={domId} className="dashboard-section card">
+            <h2 className="section-title"><span className="dashicons dashicons-calendar-alt"></span><CopyText segments={copy.segments('booking.title')} /></h2>
+            <p><CopyText segments={copy.segments('booking.intro')} /></p>
+            <div id="booking-widget-container" className="booking-widget">
+                {content}
+            </div>
+        </section>
+    );
+}
@@ -0,0 +1,25 @@
+// components/sections/BriefingSection.js
+import CopyText from './CopyText';
+import UpdatedBadge from './UpdatedBadge';
+
+export default function BriefingSection({ domId, visitor, copy, i18n, onTrack, changes }) {
+    const { companyName, companyLogo, companyWebsite, overviewShort, usp, founderBio } = visitor;
+    return (
+        <section id={domId} className="dashboard-section card">
+            <h2 className="section-title">
+                <span className="dashicons dashicons-testimonial"></span> {/* Icon color purple from CSS */}
+                <CopyText segments={copy.segments('briefing.title')} />
+            </h2>
+            {companyLogo && companyLogo.startsWith('http') && (
+                <div className="company-logo-container">
+                    <a href={companyWebsite && companyWebsite.startsWith('http') ? companyWebsite : '#'} target="_blank" rel="noopener noreferrer" title={i18n.t('briefing.website_title', { companyName })} onClick={() => { if (companyWebsite) onTrack('outbound_click', { target: 'logo', url: companyWebsite }); }}>
+                        <img src={companyLogo} alt={i18n.t('briefing.logo_alt', { companyName })} className="company-logo" />
+                    </a>
+                </div>
+            )}
+            {overviewShort && <><h3 className="subsection-title"><CopyText segments={copy.segments('briefing.snapshot_heading')} />{changes.field('overviewShort') && <UpdatedBadge i18n={i18n} />}</h3><p>{overviewShort}</p></>}
+            {usp && <><h3 className="subsection-title"><CopyText segments={copy.segments('briefing.usp_heading')} />{changes.field('usp') && <UpdatedBadge i18n={i18n} />}</h3><p>{usp}</p></>}
+            {founderBio && <><h3 className="subsection-title"><CopyText segments={copy.segments('briefing.leadership_heading')} />{changes.field('founderBio') && <UpdatedBadge i18n={i18n} />}</h3><p>{founderBio}</p></>}
+        </section>
+    );
+}
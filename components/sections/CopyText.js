@@ -0,0 +1,6 @@
+// components/sections/CopyText.js
+// Renders copy segments from lib/dashboardCopy.js ({ text, bold }) as text, with <strong> for bold runs.
+
+export default function CopyText({ segments }) {
+    return segments.map((segment, index) => (segment.bold ? <strong key={index}>{segment.text}</strong> : <span key={index}>{segment.text}</span>));
+}
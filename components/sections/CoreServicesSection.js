@@ -0,0 +1,19 @@
+// components/sections/CoreServicesSection.js
+import CopyText from './CopyText';
+import UpdatedBadge from './UpdatedBadge';
+
+export default function CoreServicesSection({ domId, copy, i18n, changes }) {
+    return (
+        <section id={domId} className="dashboard-section card">
+            <h2 className="section-title">
+                <span className="dashicons dashicons-awards"></span> {/* Icon color blue from CSS */}
+                <CopyText segments={copy.segments('core_services.title')} />
+                {changes.field('coreServices') && <UpdatedBadge i18n={i18n} />}
+            </h2>
+            <p><CopyText segments={copy.segments('core_services.intro')} /></p>
+            <ul className="styled-list">
+                {copy.list('core_services.bullets').map((segments, index) => <li key={index}><CopyText segments={segments} /></li>)}
+            </ul>
+        </section>
+    );
+}
@@ -0,0 +1,13 @@
+// components/sections/CustomSection.js
+// Extra sections added through a layout (lib/dashboardLayout.js): a title and a markdown body.
+import { renderMarkdownForHTML } from '@/lib/markdown';
+import CopyText from './CopyText';
+
+export default function CustomSection({ domId, section, copy }) {
+    return (
+        <section id={domId} className="dashboard-section card custom-section">
+            <h2 className="section-title"><span className={`dashicons ${section.icon}`}></span><CopyText segments={copy.format(section.title)} /></h2>
+            <div className="markdown-content" dangerouslySetInnerHTML={renderMarkdownForHTML(copy.markdown(section.body))}></div>
+        </section>
+    );
+}
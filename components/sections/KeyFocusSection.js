@@ -0,0 +1,21 @@
+// components/sections/KeyFocusSection.js
+import CopyText from './CopyText';
+import UpdatedBadge from './UpdatedBadge';
+
+export default function KeyFocusSection({ domId, visitor, copy, i18n, changes }) {
+    return (
+        <section id={domId} className="dashboard-section card">
+            <h2 className="section-title">
+                <span className="dashicons dashicons-admin-generic"></span> {/* Icon color green from CSS */}
+                <CopyText segments={copy.segments('key_focus.title')} />
+            </h2>
+            <h3 className="subsection-title"><CopyText segments={copy.segments('key_focus.area_heading')} />{changes.field('keyChallengeOpportunity') && <UpdatedBadge i18n={i18n} />}</h3>
+            <p style={{fontSize: "1.05em", fontWeight: "500", color: "var(--text-primary)"}}>{visitor.keyChallengeOpportunity}</p>
+            <h3 className="subsection-title"><CopyText segments={copy.segments('key_focus.approach_heading')} /></h3>
+            <p><CopyText segments={copy.segments('key_focus.intro')} /></p>
+            <ul className="styled-list">
+                {copy.list('key_focus.bullets').map((segments, index) => <li key={index}><CopyText segments={segments} /></li>)}
+            </ul>
+        </section>
+    );
+}
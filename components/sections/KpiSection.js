@@ -0,0 +1,41 @@
+// components/sections/KpiSection.js
+import CopyText from './CopyText';
+import UpdatedBadge from './UpdatedBadge';
+
+const STATUS_ICONS = { positive: 'dashicons-yes-alt', neutral: 'dashicons-minus', negative: 'dashicons-warning' };
+
+// A KPI's value with its unit, and its status badge; also used for the KPI rows of /admin/compare.
+export function KpiValue({ kpi, i18n }) {
+    return <>{i18n.number(kpi.value)}{kpi.unit_suffix ? <span className="kpi-unit">{kpi.unit_suffix}</span> : ''}</>;
+}
+
+export function KpiStatus({ kpi, i18n }) {
+    if (!kpi.status) return null;
+    return (
+        <div className={`kpi-status kpi-status-${kpi.status}`}>
+            <span className={`dashicons ${STATUS_ICONS[kpi.status]}`} aria-hidden="true"></span>{i18n.t(`kpis.status_${kpi.status}`)}
+        </div>
+    );
+}
+
+export default function KpiSection({ domId, visitor, copy, i18n, changes }) {
+    return (
+        <section id={domId} className="dashboard-section card">
+            <h2 className="section-title"><span className="dashicons dashicons-performance" aria-hidden="true"></span><CopyText segments={copy.segments('kpis.title')} /></h2>
+            <ul className="kpi-cards-container">
+                {visitor.kpis.map((kpi, index) => (
+                    <li key={index} className="kpi-card" style={kpi.color ? {borderLeftColor: kpi.color} : {}}>
+                        <div className="kpi-label">
+                            {kpi.icon && <span className={`dashicons ${kpi.icon}`} style={kpi.color ? {color: kpi.color} : {}} aria-hidden="true"></span>}
+                            {kpi.label}
+                            {changes.kpi(kpi.label) && <UpdatedBadge i18n={i18n} />}
+                        </div>
+                        <div className="kpi-value" style={kpi.color ? {color: kpi.color} : {}}><KpiValue kpi={kpi} i18n={i18n} /></div>
+                        <KpiStatus kpi={kpi} i18n={i18n} />
+                        {kpi.target && <div className="kpi-target"><small>{kpi.target}</small></div>}
+                    </li>
+                ))}
+            </ul>
+        </section>
+    );
+}
@@ -0,0 +1,206 @@
+// components/sections/ResearchReader.js
+// The research report inside the accordion: a sticky table of contents with reading progress, search with
+// highlighted matches, and collapsible parts (lib/researchDocument.js). Which parts are collapsed, and moving
+// to a part, belong to ResearchSection, which persists them and resolves #fragment links.
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { getScrollBehavior } from '@/lib/motion';
+import { findMatchingParts } from '@/lib/researchDocument';
+import UpdatedBadge from './UpdatedBadge';
+
+const MATCH_CLASS = 'research-match';
+// A heading becomes the "current" table of contents entry once it scrolls above this line.
+const ACTIVE_HEADING_OFFSET_PX = 120;
+
+// Wraps every case-insensitive occurrence of `query` in the text nodes under `root` in a <mark>.
+function highlightMatches(root, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+    textNodes.forEach((node) => {
+        const text = node.nodeValue;
+        const lower = text.toLowerCase();
+        let index = lower.indexOf(needle);
+        if (index === -1) return;
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        while (index !== -1) {
+            fragment.append(text.slice(last, index));
+            const mark = document.createElement('mark');
+            mark.className = MATCH_CLASS;
+            mark.textContent = text.slice(index, index + needle.length);
+            fragment.append(mark);
+            last = index + needle.length;
+            index = lower.indexOf(needle, last);
+        }
+        fragment.append(text.slice(last));
+        node.replaceWith(fragment);
+    });
+}
+
+function HighlightedText({ text, query }) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return text;
+    const pieces = [];
+    const lower = text.toLowerCase();
+    let last = 0;
+    for (let index = lower.indexOf(needle); index !== -1; index = lower.indexOf(needle, last)) {
+        pieces.push(text.slice(last, index), <mark key={index} className={MATCH_CLASS}>{text.slice(index, index + needle.length)}</mark>);
+        last = index + needle.length;
+    }
+    pieces.push(text.slice(last));
+    return pieces;
+}
+
+// Sanitized part HTML; search marks are added to the DOM after React has rendered it.
+function PartHtml({ html, query }) {
+    const ref = useRef(null);
+    const hasMarks = useRef(false);
+    useEffect(() => {
+        const element = ref.current;
+        if (!element || (!query.trim() && !hasMarks.current)) return;
+        element.innerHTML = html; // drops the previous query's marks
+        highlightMatches(element, query);
+        hasMarks.current = Boolean(query.trim());
+    }, [html, query]);
+    return <div ref={ref} className="research-part-content" dangerouslySetInnerHTML={{ __html: html }}></div>;
+}
+
+function ResearchPart({ part, query, collapsed, matching, onToggle, onNavigate, changes, i18n }) {
+    // Parts with search matches open up while the search is active.
+    const isCollapsed = collapsed.has(part.id) && !matching.has(part.id);
+    const HeadingTag = `h${part.depth}`;
+    const bodyId = `${part.id}-body`;
+    return (
+        <div className="research-part">
+            <HeadingTag id={part.id} className="research-part-heading" data-research-heading="">
+                <button type="button" className="research-part-toggle" aria-expanded={!isCollapsed} aria-controls={bodyId} onClick={() => onToggle(part.id)}>
+                    <span className={`dashicons ${isCollapsed ? 'dashicons-arrow-right-alt2' : 'dashicons-arrow-down-alt2'}`} aria-hidden="true"></span>
+                    <span><HighlightedText text={part.title} query={query} /></span>
+                </button>
+                {changes.research(part.id) && <UpdatedBadge i18n={i18n} />}
+                <a className="research-anchor" href={`#${part.id}`} aria-label={i18n.t('research.section_link', { title: part.title })} onClick={(e) => { e.preventDefault(); onNavigate(part.id); }}>#</a>
+            </HeadingTag>
+            <div id={bodyId} className="research-part-body" hidden={isCollapsed}>
+                {part.html && <PartHtml html={part.html} query={query} />}
+                {part.children.map(child => (
+                    <ResearchPart key={child.id} part={child} query={query} collapsed={collapsed} matching={matching} onToggle={onToggle} onNavigate={onNavigate} changes={changes} i18n={i18n} />
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default function ResearchReader({ researchDocument, collapsed, onToggle, onSetCollapsed, onNavigate, changes, i18n }) {
+    const { t } = i18n;
+    const { intro, parts, outline } = researchDocument;
+    const [query, setQuery] = useState('');
+    const [matchState, setMatchState] = useState({ count: 0, current: -1 });
+    const [activeId, setActiveId] = useState(null);
+    const [progress, setProgress] = useState(0);
+    const contentRef = useRef(null);
+    const matching = useMemo(() => findMatchingParts(parts, query), [parts, query]);
+    const minDepth = outline.length > 0 ? Math.min(...outline.map(entry => entry.depth)) : 1;
+
+    // Counted from the DOM once the parts have added their marks (child effects run first).
+    useEffect(() => {
+        const count = contentRef.current ? contentRef.current.querySelectorAll(`mark.${MATCH_CLASS}`).length : 0;
+        setMatchState({ count, current: -1 });
+    }, [query, researchDocument]);
+
+    // Reading progress and the current table of contents entry follow the page scroll.
+    useEffect(() => {
+        let frame = null;
+        const update = () => {
+            frame = null;
+            const content = contentRef.current;
+            if (!content) return;
+            const rect = content.getBoundingClientRect();
+            const read = rect.height > 0 ? (window.innerHeight - rect.top) / rect.height : 0;
+            setProgress(Math.round(Math.min(Math.max(read, 0), 1) * 100));
+            let current = null;
+            content.querySelectorAll('[data-research-heading]').forEach((heading) => {
+                if (heading.offsetParent !== null && heading.getBoundingClientRect().top <= ACTIVE_HEADING_OFFSET_PX) current = heading.id;
+            });
+            setActiveId(current);
+        };
+        const schedule = () => { if (frame === null) frame = requestAnimationFrame(update); };
+        update();
+        window.addEventListener('scroll', schedule, { passive: true });
+        window.addEventListener('resize', schedule);
+        return () => {
+            if (frame !== null) cancelAnimationFrame(frame);
+            window.removeEventListener('scroll', schedule);
+            window.removeEventListener('resize', schedule);
+        };
+    }, [researchDocument, collapsed]);
+
+    const goToMatch = (step) => {
+        const marks = [...contentRef.current.querySelectorAll(`mark.${MATCH_CLASS}`)];
+        if (marks.length === 0) return;
+        const current = matchState.current === -1 && step < 0 ? marks.length - 1 : (matchState.current + step + marks.length) % marks.length;
+        marks.forEach((mark, index) => mark.classList.toggle('is-current', index === current));
+        marks[current].scrollIntoView({ behavior: getScrollBehavior(), block: 'center' });
+        setMatchState({ count: marks.length, current });
+    };
+    const handleSearchKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            goToMatch(e.shiftKey ? -1 : 1);
+        } else if (e.key === 'Escape') {
+            setQuery('');
+        }
+    };
+
+    let matchText = '';
+    if (query.trim() && matchState.count === 0) matchText = t('research.no_matches');
+    else if (query.trim() && matchState.current >= 0) matchText = t('research.match_position', { current: matchState.current + 1, count: matchState.count });
+    else if (query.trim()) matchText = t(matchState.count === 1 ? 'research.matches_one' : 'research.matches_other', { count: matchState.count });
+
+    return (
+        <div className={`research-reader ${outline.length > 0 ? 'has-toc' : ''}`}>
+            {outline.length > 0 && (
+                <nav className="research-toc" aria-label={t('research.toc_title')}>
+                    <p className="research-toc-title">{t('research.toc_title')}</p>
+                    <div className="research-progress" role="progressbar" aria-label={t('research.progress')} aria-valuemin={0} aria-valuemax={100} aria-valuenow={progress}>
+                        <span style={{ width: `${progress}%` }}></span>
+                    </div>
+                    <ol>
+                        {outline.map(entry => (
+                            <li key={entry.id} className={`${entry.id === activeId ? 'is-active' : ''} ${query.trim() && !matching.has(entry.id) ? 'is-dimmed' : ''}`} style={{ paddingLeft: `${(entry.depth - minDepth) * 14}px` }}>
+                                <a href={`#${entry.id}`} aria-current={entry.id === activeId ? 'location' : undefined} onClick={(e) => { e.preventDefault(); onNavigate(entry.id); }}>{entry.title}</a>
+                                {changes.research(entry.id) && <UpdatedBadge i18n={i18n} />}
+                            </li>
+                        ))}
+                    </ol>
+                </nav>
+            )}
+            <div className="research-main">
+                <div className="research-toolbar">
+                    <input type="search" value={query} placeholder={t('research.search_placeholder')} aria-label={t('research.search_label')} onChange={(e) => setQuery(e.target.value)} onKeyDown={handleSearchKeyDown} />
+                    <span className="research-match-count" aria-live="polite">{matchText}</span>
+                    <button type="button" className="research-tool" onClick={() => goToMatch(-1)} disabled={matchState.count === 0} aria-label={t('research.previous_match')} title={t('research.previous_match')}>
+                        <span className="dashicons dashicons-arrow-up-alt2" aria-hidden="true"></span>
+                    </button>
+                    <button type="button" className="research-tool" onClick={() => goToMatch(1)} disabled={matchState.count === 0} aria-label={t('research.next_match')} title={t('research.next_match')}>
+                        <span className="dashicons dashicons-arrow-down-alt2" aria-hidden="true"></span>
+                    </button>
+                    {outline.length > 0 && (
+                        <>
+                            <button type="button" className="research-tool" onClick={() => onSetCollapsed([])}>{t('research.expand_all')}</button>
+                            <button type="button" className="research-tool" onClick={() => onSetCollapsed(outline.map(entry => entry.id))}>{t('research.collapse_all')}</button>
+                        </>
+                    )}
+                </div>
+                <div ref={contentRef} className="research-content">
+                    {intro.html && changes.research('intro') && <UpdatedBadge i18n={i18n} />}
+                    {intro.html && <PartHtml html={intro.html} query={query} />}
+                    {parts.map(part => (
+                        <ResearchPart key={part.id} part={part} query={query} collapsed={collapsed} matching={matching} onToggle={onToggle} onNavigate={onNavigate} changes={changes} i18n={i18n} />
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
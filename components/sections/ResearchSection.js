@@ -0,0 +1,130 @@
+// components/sections/ResearchSection.js
+// The deep research report behind an accordion (the reader itself is ResearchReader). Owns the state that
+// outlives a page load: whether the accordion is open and which parts are collapsed, kept per visitor in
+// localStorage, and #research-... fragment links, which open the accordion and the parts above their target.
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { getScrollBehavior } from '@/lib/motion';
+import { RESEARCH_ANCHOR_PREFIX, buildResearchDocument } from '@/lib/researchDocument';
+import CopyText from './CopyText';
+import UpdatedBadge from './UpdatedBadge';
+import ResearchReader from './ResearchReader';
+
+const STORAGE_KEY_PREFIX = 'makertoo.research.';
+
+const readStoredState = (key) => {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(key));
+        return stored && typeof stored === 'object' ? stored : null;
+    } catch (e) {
+        return null; // storage disabled or corrupt; start closed
+    }
+};
+
+export default function ResearchSection({ domId, visitor, copy, i18n, onTrack, changes }) {
+    const researchDocument = useMemo(() => buildResearchDocument(visitor.deepResearchMd), [visitor.deepResearchMd]);
+    const storageKey = `${STORAGE_KEY_PREFIX}${visitor.visitorId || 'default'}`;
+    const [isResearchAccordionOpen, setIsResearchAccordionOpen] = useState(false);
+    const [collapsed, setCollapsed] = useState(() => new Set());
+    const [restoredKey, setRestoredKey] = useState(null);
+    const [scrollTarget, setScrollTarget] = useState(null);
+    const isOpenRef = useRef(false);
+    isOpenRef.current = isResearchAccordionOpen;
+
+    // The server always renders the accordion closed; the saved state is applied after hydration.
+    useEffect(() => {
+        const stored = readStoredState(storageKey);
+        const partIds = new Set(researchDocument.outline.map(entry => entry.id));
+        setIsResearchAccordionOpen(stored?.open === true);
+        setCollapsed(new Set(Array.isArray(stored?.collapsed) ? stored.collapsed.filter(id => partIds.has(id)) : []));
+        setRestoredKey(storageKey);
+    }, [storageKey, researchDocument]);
+
+    useEffect(() => {
+        if (restoredKey !== storageKey) return;
+        try {
+            window.localStorage.setItem(storageKey, JSON.stringify({ open: isResearchAccordionOpen, collapsed: [...collapsed] }));
+        } catch (e) {
+            // Private mode or a full quota: the reader still works, it just starts closed next time.
+        }
+    }, [isResearchAccordionOpen, collapsed, storageKey, restoredKey]);
+
+    // Opens the accordion and every part down to `id`, then scrolls there once it is rendered.
+    const revealPart = useCallback((id) => {
+        const entry = researchDocument.outline.find(part => part.id === id);
+        if (!entry) return;
+        if (!isOpenRef.current) onTrack('research_open');
+        setIsResearchAccordionOpen(true);
+        setCollapsed((previous) => {
+            const next = new Set(previous);
+            [...entry.ancestors, id].forEach(partId => next.delete(partId));
+            return next;
+        });
+        setScrollTarget({ id });
+    }, [researchDocument, onTrack]);
+
+    // Keyboard focus follows, so Tab continues from the part rather than from the link that led there.
+    useEffect(() => {
+        const heading = scrollTarget && document.getElementById(scrollTarget.id);
+        if (!heading) return;
+        heading.scrollIntoView({ behavior: getScrollBehavior(), block: 'start' });
+        heading.querySelector('.research-part-toggle')?.focus({ preventScroll: true });
+    }, [scrollTarget]);
+
+    useEffect(() => {
+        const handleHash = () => {
+            const id = decodeURIComponent(window.location.hash.slice(1));
+            if (id.startsWith(RESEARCH_ANCHOR_PREFIX)) revealPart(id);
+        };
+        handleHash();
+        window.addEventListener('hashchange', handleHash);
+        return () => window.removeEventListener('hashchange', handleHash);
+    }, [revealPart]);
+
+    // Table of contents and heading links: move there and put the part in the URL, without a history entry.
+    const navigateToPart = (id) => {
+        revealPart(id);
+        window.history.replaceState(window.history.state, '', `#${id}`);
+    };
+    const togglePart = (id) => setCollapsed((previous) => {
+        const next = new Set(previous);
+        if (next.has(id)) next.delete(id);
+        else next.add(id);
+        return next;
+    });
+
+    return (
+        <section id={domId} className="dashboard-section card">
+            <h2 className="section-title"><span className="dashicons dashicons-book-alt"></span><CopyText segments={copy.segments('research.title')} />{changes.anyResearch() && <UpdatedBadge i18n={i18n} />}</h2>
+            <p><CopyText segments={copy.segments('research.intro')} /></p>
+            <div id="deep-research-accordion" className="accordion">
+                <div className="accordion-item">
+                    <button
+                        type="button"
+                        id="deep-research-accordion-button"
+                        className="accordion-button"
+                        onClick={() => {
+                            if (!isResearchAccordionOpen) onTrack('research_open');
+                            setIsResearchAccordionOpen(!isResearchAccordionOpen);
+                        }}
+                        aria-expanded={isResearchAccordionOpen}
+                        aria-controls="deep-research-content-panel"
+                    >
+                        {i18n.t(isResearchAccordionOpen ? 'research.hide' : 'research.show')}
+                        <span className={`dashicons ${isResearchAccordionOpen ? 'dashicons-arrow-up-alt2' : 'dashicons-arrow-down-alt2'}`} aria-hidden="true"></span>
+                    </button>
+                    <div id="deep-research-content-panel" role="region" aria-labelledby="deep-research-accordion-button" className={`accordion-content markdown-content ${isResearchAccordionOpen ? 'open' : ''}`}>
+                        <ResearchReader
+                            researchDocument={researchDocument}
+                            collapsed={collapsed}
+                            onToggle={togglePart}
+                            onSetCollapsed={(ids) => setCollapsed(new Set(ids))}
+                            onNavigate={navigateToPart}
+                            changes={changes}
+                            i18n={i18n}
+                        />
+                    </div>
+                </div>
+            </div>
+        </section>
+    );
+}
@@ -0,0 +1,80 @@
+// components/sections/RoiSection.js
+// The ROI calculator. Its state lives in hooks/useRoiCalculator.js, owned by the page, because the
+// analytics section draws its savings and efficiency charts from the same projection.
+import { ROI_INPUTS, ROI_INPUT_KEYS, WORK_WEEKS_PER_YEAR, getBestPhase } from '@/lib/roi';
+import CopyText from './CopyText';
+
+const FIELD_LABELS = { teamSize: 'roi.team_size', hoursPerWeek: 'roi.hours_per_week', hourlyCost: 'roi.hourly_cost' };
+
+export default function RoiSection({ domId, copy, i18n, roi }) {
+    if (!roi) return null;
+    const { values, invalid, projection, currency, setValue, submit, canSubmit, submitState } = roi;
+    const bestPhase = getBestPhase(projection);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (submit && submitState !== 'sending') submit();
+    };
+
+    return (
+        <section id={domId} className="dashboard-section card">
+            <h2 className="section-title"><span className="dashicons dashicons-calculator"></span><CopyText segments={copy.segments('roi.title')} /></h2>
+            <p><CopyText segments={copy.segments('roi.intro')} /></p>
+            <form className="roi-calculator" onSubmit={handleSubmit} noValidate>
+                <div className="roi-inputs">
+                    {ROI_INPUT_KEYS.map((key) => {
+                        const { min, max, step } = ROI_INPUTS[key];
+                        const fieldId = `${domId}-${key}`;
+                        return (
+                            <div key={key} className="roi-field">
+                                <label htmlFor={fieldId}>{i18n.t(FIELD_LABELS[key], { currency })}</label>
+                                <input
+                                    id={fieldId} type="number" inputMode="decimal" min={min} max={max} step={step}
+                                    value={values[key]} onChange={(e) => setValue(key, e.target.value)}
+                                    aria-invalid={invalid[key]} aria-describedby={invalid[key] ? `${fieldId}-error` : undefined} />
+                                {invalid[key] && <small id={`${fieldId}-error`} className="roi-field-error">{i18n.t('roi.invalid', { min: i18n.number(min), max: i18n.number(max) })}</small>}
+                            </div>
+                        );
+                    })}
+                </div>
+
+                <p className="roi-summary" aria-live="polite">
+                    <CopyText segments={i18n.segments('roi.summary', { hours: i18n.number(bestPhase.hoursSavedPerYear), savings: i18n.currency(bestPhase.annualSavings, currency) })} />
+                </p>
+                <table className="roi-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">{i18n.t('roi.col_phase')}</th>
+                            <th scope="col">{i18n.t('roi.col_hours')}</th>
+                            <th scope="col">{i18n.t('roi.col_saved')}</th>
+                            <th scope="col">{i18n.t('roi.col_savings')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {projection.phases.map(phase => (
+                            <tr key={phase.id}>
+                                <th scope="row">{i18n.t(`roi.phase_${phase.id}`)}</th>
+                                <td>{i18n.number(phase.hoursPerWeek)}</td>
+                                <td>{i18n.number(phase.hoursSavedPerWeek)}</td>
+                                <td>{i18n.currency(phase.annualSavings, currency)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <p className="roi-assumptions"><small>{i18n.t('roi.assumptions', { weeks: WORK_WEEKS_PER_YEAR })}</small></p>
+
+                {canSubmit && (
+                    <div className="roi-actions">
+                        <button type="submit" className="button button-primary" disabled={!submit || submitState === 'sending'}>
+                            <span className="dashicons dashicons-email-alt"></span>{i18n.t(submitState === 'sending' ? 'roi.submitting' : 'roi.submit')}
+                        </button>
+                        <p className={`roi-submit-status ${submitState === 'failed' ? 'is-error' : ''}`} role="status">
+                            {submitState === 'sent' && i18n.t('roi.sent')}
+                            {submitState === 'failed' && i18n.t('roi.send_failed')}
+                        </p>
+                    </div>
+                )}
+            </form>
+        </section>
+    );
+}
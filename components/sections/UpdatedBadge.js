@@ -0,0 +1,5 @@
+// components/sections/UpdatedBadge.js
+// Marks content that changed since the visitor's last visit (hooks/useRecordUpdates.js).
+export default function UpdatedBadge({ i18n }) {
+    return <span className="updated-badge">{i18n.t('updates.badge')}</span>;
+}
@@ -0,0 +1,28 @@
+// components/sections/index.js
+// React side of the section registry in lib/dashboardLayout.js: one component per section type.
+// Every section receives { section, domId, visitor, copy, i18n, chartColors, wpConfig, onTrack, roi, booking, changes };
+// i18n is a translator from lib/i18n for the interface text around the copy, roi the calculator state from
+// hooks/useRoiCalculator.js while the layout shows the calculator (null otherwise), and booking the meeting
+// booked in the scheduler embed (hooks/useBookingCompletion.js; null until then). changes says what is new since
+// the visitor's last visit (lib/recordChanges.js), for the "Updated" badges.
+import AnalyticsSection from './AnalyticsSection';
+import BookingSection from './BookingSection';
+import BriefingSection from './BriefingSection';
+import CoreServicesSection from './CoreServicesSection';
+import CustomSection from './CustomSection';
+import KeyFocusSection from './KeyFocusSection';
+import KpiSection from './KpiSection';
+import ResearchSection from './ResearchSection';
+import RoiSection from './RoiSection';
+
+export const SECTION_COMPONENTS = {
+    briefing: BriefingSection,
+    key_focus: KeyFocusSection,
+    core_services: CoreServicesSection,
+    kpis: KpiSection,
+    roi: RoiSection,
+    analytics: AnalyticsSection,
+    research: ResearchSection,
+    booking: BookingSection,
+    custom: CustomSection,
+};
@@ -0,0 +1,35 @@
+// hooks/useBookingCompletion.js
+// Listens for the embedded scheduler's "meeting booked" postMessage (lib/bookingProviders.js), records the
+// booking through /api/bookings and returns it ({ provider, reference, startTime }) so the booking section
+// can switch to its confirmation. With canRecord false (previews) the confirmation shows but nothing is sent.
+import { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { parseBookingMessage } from '@/lib/bookingProviders';
+
+export default function useBookingCompletion(bookingConfig, { visitorKey = '', canRecord = false } = {}) {
+    const [booking, setBooking] = useState(null);
+    const recordedRef = useRef(false);
+
+    useEffect(() => { // a different visitor starts over
+        setBooking(null);
+        recordedRef.current = false;
+    }, [visitorKey]);
+
+    useEffect(() => {
+        if (!bookingConfig) return undefined;
+        const handleMessage = (event) => {
+            const completed = parseBookingMessage(bookingConfig, event);
+            if (!completed) return;
+            setBooking(previous => previous || completed);
+            // Cal.com reports each booking twice (v1 and v2 events); one request is enough.
+            if (!canRecord || !visitorKey || recordedRef.current) return;
+            recordedRef.current = true;
+            axios.post('/api/bookings', { key: visitorKey, ...completed })
+                .catch(err => console.warn('MAKERTOO_PAP_CLIENT: Could not record booking:', err.response?.data?.data?.message || err.message));
+        };
+        window.addEventListener('message', handleMessage);
+        return () => window.removeEventListener('message', handleMessage);
+    }, [bookingConfig, visitorKey, canRecord]);
+
+    return booking;
+}
@@ -0,0 +1,103 @@
+// hooks/useEngagementTracking.js
+// Wires the dashboard's passive engagement signals (page view, time per .dashboard-section,
+// scroll depth, booking-widget focus) into lib/tracking.js. Returns `track` for explicit
+// events such as opening the research accordion or clicking the company logo.
+import { useCallback, useEffect, useRef } from 'react';
+import { createTracker, isTrackingAllowed } from '@/lib/tracking';
+
+const SCROLL_MILESTONES = [25, 50, 75, 100];
+const MIN_SECTION_MS = 1000;
+
+export default function useEngagementTracking(visitorKey, enabled) {
+    const trackerRef = useRef(null);
+
+    useEffect(() => {
+        if (!enabled || !visitorKey || !isTrackingAllowed()) return undefined;
+        const tracker = createTracker(visitorKey);
+        trackerRef.current = tracker;
+        tracker.track('page_view');
+
+        // --- Time per section: a section is "being read" while it crosses the middle of the viewport ---
+        const intersecting = new Set();
+        const visibleSince = new Map();
+        const totals = new Map();
+        const startTimer = (id) => { if (!visibleSince.has(id)) visibleSince.set(id, performance.now()); };
+        const stopTimer = (id) => {
+            if (!visibleSince.has(id)) return;
+            totals.set(id, (totals.get(id) || 0) + performance.now() - visibleSince.get(id));
+            visibleSince.delete(id);
+        };
+        const flushSectionTimes = () => {
+            [...visibleSince.keys()].forEach(id => { stopTimer(id); startTimer(id); });
+            totals.forEach((ms, section) => { if (ms >= MIN_SECTION_MS) tracker.track('section_time', { section, ms: Math.round(ms) }); });
+            totals.clear();
+        };
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(({ target, isIntersecting }) => {
+                if (isIntersecting) {
+                    intersecting.add(target.id);
+                    if (document.visibilityState === 'visible') startTimer(target.id);
+                } else {
+                    intersecting.delete(target.id);
+                    stopTimer(target.id);
+                }
+            });
+        }, { rootMargin: '-50% 0px -50% 0px' });
+        document.querySelectorAll('.dashboard-section[id]').forEach(section => observer.observe(section));
+
+        // --- Scroll depth milestones, each reported once per page view ---
+        const reachedMilestones = new Set();
+        const handleScroll = () => {
+            const scrollable = document.documentElement.scrollHeight;
+            if (!scrollable) return;
+            const percent = ((window.scrollY + window.innerHeight) / scrollable) * 100;
+            SCROLL_MILESTONES.forEach(milestone => {
+                if (percent >= milestone - 1 && !reachedMilestones.has(milestone)) {
+                    reachedMilestones.add(milestone);
+                    tracker.track('scroll_depth', { percent: milestone });
+                }
+            });
+        };
+
+        // --- Booking widget focus: clicking into a cross-origin iframe blurs the window ---
+        let bookingFocused = false;
+        const handleWindowBlur = () => {
+            const active = document.activeElement;
+            if (!bookingFocused && active?.tagName === 'IFRAME' && active.closest('#booking-widget-container')) {
+                bookingFocused = true;
+                tracker.track('booking_focus');
+            }
+        };
+
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') {
+                flushSectionTimes();
+                [...visibleSince.keys()].forEach(stopTimer);
+                totals.clear();
+                tracker.flush({ beacon: true });
+            } else {
+                intersecting.forEach(startTimer);
+            }
+        };
+        const handlePageHide = () => { flushSectionTimes(); tracker.flush({ beacon: true }); };
+
+        window.addEventListener('scroll', handleScroll, { passive: true });
+        window.addEventListener('blur', handleWindowBlur);
+        window.addEventListener('pagehide', handlePageHide);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        handleScroll();
+
+        return () => {
+            observer.disconnect();
+            window.removeEventListener('scroll', handleScroll);
+            window.removeEventListener('blur', handleWindowBlur);
+            window.removeEventListener('pagehide', handlePageHide);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            flushSectionTimes();
+            tracker.flush({ beacon: true });
+            trackerRef.current = null;
+        };
+    }, [visitorKey, enabled]);
+
+    return useCallback((type, props) => { trackerRef.current?.track(type, props); }, []);
+}
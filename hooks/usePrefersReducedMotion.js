@@ -0,0 +1,18 @@
+// hooks/usePrefersReducedMotion.js
+// The prefers-reduced-motion setting (lib/motion.js), following changes while the page is open.
+// False during server rendering and the first client render, so hydration matches.
+import { useEffect, useState } from 'react';
+import { REDUCED_MOTION_QUERY } from '@/lib/motion';
+
+export default function usePrefersReducedMotion() {
+    const [reducedMotion, setReducedMotion] = useState(false);
+    useEffect(() => {
+        if (!window.matchMedia) return undefined;
+        const query = window.matchMedia(REDUCED_MOTION_QUERY);
+        const update = () => setReducedMotion(query.matches);
+        update();
+        query.addEventListener('change', update);
+        return () => query.removeEventListener('change', update);
+    }, []);
+    return reducedMotion;
+}
@@ -0,0 +1,25 @@
+// hooks/useRecordUpdates.js
+// Reports each dashboard view to /api/record-versions and returns what changed since the visitor's last
+// visit: a lookup from lib/recordChanges.js (NO_CHANGES until the answer arrives) and `since`, the date of
+// that visit. With canRecord false (previews) nothing is sent and nothing is marked as updated.
+import { useEffect, useMemo, useRef, useState } from 'react';
+import axios from 'axios';
+import { NO_CHANGES, createChangeLookup } from '@/lib/recordChanges';
+
+export default function useRecordUpdates(visitorKey, { canRecord = false } = {}) {
+    const [updates, setUpdates] = useState(null);
+    // Once per visitor key: a second report would count as a new visit and clear the badges.
+    const reportedKeyRef = useRef(null);
+
+    useEffect(() => {
+        if (!canRecord || !visitorKey || reportedKeyRef.current === visitorKey) return;
+        reportedKeyRef.current = visitorKey;
+        axios.post('/api/record-versions', { key: visitorKey })
+            .then(response => setUpdates({ visitorKey, ...response.data.data }))
+            .catch(err => console.warn('MAKERTOO_PAP_CLIENT: Could not check for record updates:', err.response?.data?.data?.message || err.message));
+    }, [visitorKey, canRecord]);
+
+    const current = updates && updates.visitorKey === visitorKey ? updates : null;
+    const changes = useMemo(() => (current ? createChangeLookup(current.updated) : NO_CHANGES), [current]);
+    return { changes, since: current?.since || null };
+}
@@ -0,0 +1,60 @@
+// hooks/useRoiCalculator.js
+// State behind the ROI calculator section (lib/roi.js): the prospect's raw inputs, the projection the
+// calculator and the analytics charts render, and `submit`, which posts the scenario to /api/roi-scenarios.
+// Pass canSubmit: false for previews; `submit` is then null and nothing is sent.
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { ROI_INPUT_KEYS, getRoiDefaults, parseRoiInput, projectRoi } from '@/lib/roi';
+
+const toFieldValues = (inputs) => Object.fromEntries(ROI_INPUT_KEYS.map(key => [key, String(inputs[key])]));
+
+export default function useRoiCalculator(visitor, { visitorKey = '', canSubmit = false } = {}) {
+    const { roiTeamSize, roiHoursPerWeek, roiHourlyCost, currency } = visitor;
+    const defaults = useMemo(
+        () => getRoiDefaults({ roiTeamSize, roiHoursPerWeek, roiHourlyCost }),
+        [roiTeamSize, roiHoursPerWeek, roiHourlyCost],
+    );
+    const [values, setValues] = useState(() => toFieldValues(defaults));
+    const [submitState, setSubmitState] = useState('idle'); // idle | sending | sent | failed
+
+    // A different record (or reloaded defaults) starts a fresh scenario.
+    useEffect(() => {
+        setValues(toFieldValues(defaults));
+        setSubmitState('idle');
+    }, [defaults]);
+
+    // Fields that do not parse keep projecting with the record's default, and are flagged as invalid.
+    const invalid = Object.fromEntries(ROI_INPUT_KEYS.map(key => [key, parseRoiInput(key, values[key]) === null]));
+    const inputs = Object.fromEntries(ROI_INPUT_KEYS.map(key => [key, invalid[key] ? defaults[key] : parseRoiInput(key, values[key])]));
+    const { teamSize, hoursPerWeek, hourlyCost } = inputs;
+    const projection = useMemo(() => projectRoi({ teamSize, hoursPerWeek, hourlyCost }), [teamSize, hoursPerWeek, hourlyCost]);
+
+    const setValue = useCallback((key, value) => {
+        setValues(previous => ({ ...previous, [key]: value }));
+        setSubmitState(previous => (previous === 'sending' ? previous : 'idle'));
+    }, []);
+
+    const hasInvalidInput = Object.values(invalid).some(Boolean);
+    const submit = async () => {
+        setSubmitState('sending');
+        try {
+            await axios.post('/api/roi-scenarios', { key: visitorKey, currency, inputs });
+            setSubmitState('sent');
+        } catch (err) {
+            console.warn('MAKERTOO_PAP_CLIENT: Could not send ROI scenario:', err.response?.data?.data?.message || err.message);
+            setSubmitState('failed');
+        }
+    };
+
+    return {
+        values,
+        invalid,
+        inputs,
+        projection,
+        currency,
+        setValue,
+        submit: canSubmit && visitorKey && !hasInvalidInput ? submit : null,
+        canSubmit: Boolean(canSubmit && visitorKey),
+        submitState,
+    };
+}
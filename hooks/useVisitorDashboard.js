@@ -0,0 +1,70 @@
+// hooks/useVisitorDashboard.js
+// React binding for lib/dashboardState.js: owns the reducer, fetches config when the server could
+// not provide it, and aborts the in-flight request whenever a new visitor is loaded or the page unmounts.
+// Loads show the locally cached record first (lib/recordCache.js). Nonce failures are retried on the server
+// (fetchVisitorRecord in lib/wpClient.js), so one that reaches the page is final.
+import { useCallback, useEffect, useReducer, useRef } from 'react';
+import { createInitialDashboardState, dashboardReducer } from '@/lib/dashboardState';
+import { getCachedRecord, saveCachedRecord } from '@/lib/recordCache';
+import { fetchDashboardConfig, fetchVisitor, isAbortError } from '@/lib/visitorClient';
+
+export default function useVisitorDashboard(initialProps) {
+    const [state, dispatch] = useReducer(dashboardReducer, initialProps, createInitialDashboardState);
+    const controllerRef = useRef(null);
+    const requestIdRef = useRef(0);
+
+    const startRequest = () => {
+        controllerRef.current?.abort();
+        controllerRef.current = new AbortController();
+        requestIdRef.current += 1;
+        return { signal: controllerRef.current.signal, requestId: requestIdRef.current };
+    };
+
+    const loadConfig = useCallback(async () => {
+        const { signal } = startRequest();
+        dispatch({ type: 'CONFIG_REQUESTED' });
+        try {
+            dispatch({ type: 'CONFIG_LOADED', config: await fetchDashboardConfig({ signal }) });
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error("MAKERTOO_PAP_CLIENT: CRITICAL - Error fetching dashboard config:", err);
+            dispatch({ type: 'CONFIG_FAILED', message: `Dashboard Error: Could not load configuration. ${err.message}` });
+        }
+    }, []);
+
+    const load = useCallback(async (visitorKey) => {
+        const { signal, requestId } = startRequest();
+        dispatch({ type: 'LOAD_REQUESTED', visitorKey, requestId });
+        const cached = getCachedRecord(visitorKey);
+        if (cached) dispatch({ type: 'LOAD_CACHED', requestId, record: cached.record, brand: cached.brand, campaign: cached.campaign, savedAt: cached.savedAt });
+        try {
+            const result = await fetchVisitor(visitorKey, { signal });
+            saveCachedRecord(visitorKey, result);
+            dispatch({ type: 'LOAD_SUCCEEDED', requestId, record: result.record, brand: result.brand, campaign: result.campaign });
+        } catch (err) {
+            if (isAbortError(err)) return;
+            dispatch({ type: 'LOAD_FAILED', requestId, code: err.code, message: err.message || 'An unexpected error occurred. Please try again.' });
+        }
+    }, []);
+
+    const clear = useCallback((message) => {
+        controllerRef.current?.abort();
+        dispatch({ type: 'CLEARED', message });
+    }, []);
+
+    const rejectInput = useCallback((message) => { dispatch({ type: 'INPUT_REJECTED', message }); }, []);
+
+    // Follow-up to the server render. It acts on the state as first rendered, so it runs once (load and
+    // loadConfig never change).
+    const serverStateRef = useRef(state);
+    useEffect(() => {
+        const serverState = serverStateRef.current;
+        if (!serverState.config) loadConfig(); // getServerSideProps could not provide config
+        else if (serverState.status === 'data_loaded') saveCachedRecord(serverState.visitorKey, serverState);
+        else if (serverState.status === 'error' && serverState.visitorKey) load(serverState.visitorKey); // transient server failure: cache + retries
+    }, [load, loadConfig]);
+
+    useEffect(() => () => controllerRef.current?.abort(), []);
+
+    return { state, load, clear, rejectInput };
+}
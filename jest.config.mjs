@@ -0,0 +1,11 @@
+// jest.config.mjs
+// Tests run through next/jest, so they get the same SWC transform, `@/` alias and env loading as the app.
+// Library tests run in node; files that render components opt into jsdom with a @jest-environment docblock.
+import nextJest from 'next/jest.js';
+
+const createJestConfig = nextJest({ dir: './' });
+
+export default createJestConfig({
+    testEnvironment: 'node',
+    testMatch: ['<rootDir>/__tests__/**/*.test.js'],
+});
@@ -0,0 +1,64 @@
+// lib/adminAuth.js
+// Credential check for internal (sales/admin) routes: `Authorization: Bearer <ADMIN_API_KEY>` for scripts,
+// or HTTP Basic auth with ADMIN_API_KEY as the password (any user name) for the /admin pages in a browser.
+import crypto from 'crypto';
+import { ApiError } from './apiResponse';
+
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+export const ADMIN_REALM = 'MakerToo admin';
+
+const readPassword = (scheme, credential) => {
+    if (scheme === 'Bearer') return credential;
+    if (scheme !== 'Basic') return null;
+    const decoded = Buffer.from(credential, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    return separator === -1 ? null : decoded.slice(separator + 1);
+};
+
+export function isAdminRequest(req) {
+    if (!ADMIN_API_KEY) return false;
+    const header = req.headers.authorization || '';
+    const [scheme, credential] = header.split(' ');
+    const password = credential ? readPassword(scheme, credential) : null;
+    return Boolean(password) && safeEqual(password, ADMIN_API_KEY);
+}
+
+export function assertAdminRequest(req) {
+    if (!ADMIN_API_KEY) {
+        throw new ApiError(503, 'admin_not_configured', 'Admin access is not configured on this server.');
+    }
+    if (!isAdminRequest(req)) {
+        throw new ApiError(401, 'unauthorized', 'Valid admin credentials are required.');
+    }
+}
+
+// For getServerSideProps of the /admin pages: null when the request may proceed, otherwise the message to
+// render. Unauthenticated browsers get a Basic auth challenge, so the password prompt appears on its own.
+export function authorizeAdminPage(req, res) {
+    try {
+        assertAdminRequest(req);
+        return null;
+    } catch (err) {
+        res.statusCode = err.status;
+        if (err.code === 'unauthorized') res.setHeader('WWW-Authenticate', `Basic realm="${ADMIN_REALM}", charset="UTF-8"`);
+        return err.message;
+    }
+}
+
+// For public pages with an admin-only variant (the dashboard's ?debug=1 preview): true for admin requests.
+// Anyone else gets the public page with a Basic auth challenge, so an admin's browser asks for the password.
+export function authorizeAdminPreview(req, res) {
+    if (isAdminRequest(req)) return true;
+    if (ADMIN_API_KEY) {
+        res.statusCode = 401;
+        res.setHeader('WWW-Authenticate', `Basic realm="${ADMIN_REALM}", charset="UTF-8"`);
+    }
+    return false;
+}
@@ -0,0 +1,36 @@
+// lib/apiResponse.js
+// Every /api route answers in the same envelope WordPress uses for admin-ajax:
+//   { success: true, data: ... } or { success: false, data: { code, message } }
+
+export class ApiError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+export function sendSuccess(res, data, status = 200) {
+    res.status(status).json({ success: true, data });
+}
+
+export function sendError(res, status, code, message) {
+    res.status(status).json({ success: false, data: { code, message } });
+}
+
+export function sendApiError(res, err) {
+    if (err instanceof ApiError) {
+        sendError(res, err.status, err.code, err.message);
+        return;
+    }
+    console.error('MAKERTOO_PAP_SERVER: Unhandled API error:', err);
+    sendError(res, 500, 'internal_error', 'An unexpected error occurred. Please try again.');
+}
+
+export function allowMethods(req, res, methods) {
+    if (methods.includes(req.method)) return true;
+    res.setHeader('Allow', methods.join(', '));
+    sendError(res, 405, 'method_not_allowed', `Method ${req.method} is not allowed.`);
+    return false;
+}
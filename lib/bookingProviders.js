@@ -0,0 +1,84 @@
+// lib/bookingProviders.js
+// Scheduler adapters for the booking section. Each provider knows how to prefill the lead's details into
+// its embed URL and how to recognise the postMessage it sends when a meeting has been booked:
+//   calcom:   Cal.com (cal.com or self-hosted), `embed` iframe; posts { originator: 'CAL', type: 'bookingSuccessful' }.
+//   calendly: Calendly inline embed; posts { event: 'calendly.event_scheduled' } when `embed_domain` is set.
+//   iframe:   any other page; it may post { type: 'makertoo:booking_completed', bookingId?, startTime? } itself.
+// The provider is detected from the booking link's host; WordPress can force one with `bookingProvider`.
+
+export const BOOKING_PROVIDERS = ['calcom', 'calendly', 'iframe'];
+const CAL_EMBED_NAMESPACE = 'makertoo';
+const MAX_REFERENCE_LENGTH = 512;
+
+// Placeholder links shipped with the plugin's sample config.
+export const isPlaceholderBookingLink = (link) => link.includes('YOUR_') || link.includes('page-slug') || link.includes('calendar-embed');
+
+const hostMatches = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+// { provider, url: URL } for a usable booking link in the public WP config, else null.
+export function resolveBookingConfig(wpConfig) {
+    const link = wpConfig?.bookingLink;
+    if (typeof link !== 'string' || !link.trim() || isPlaceholderBookingLink(link)) return null;
+    let url;
+    try {
+        url = new URL(link.trim());
+    } catch (e) {
+        return null;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    let provider = 'iframe';
+    if (BOOKING_PROVIDERS.includes(wpConfig.bookingProvider)) provider = wpConfig.bookingProvider;
+    else if (hostMatches(url.hostname, 'calendly.com')) provider = 'calendly';
+    else if (hostMatches(url.hostname, 'cal.com')) provider = 'calcom';
+    return { provider, url };
+}
+
+const setParams = (url, params) => {
+    Object.entries(params).forEach(([name, value]) => {
+        if (value !== null && value !== undefined && value !== '') url.searchParams.set(name, String(value));
+    });
+};
+
+// Embed URL with the lead's details. lead: { firstName, companyName, visitorId, campaign } (null when unknown).
+// embedHost: the dashboard's host, which Calendly needs before it sends booking events.
+export function buildBookingEmbedUrl({ provider, url: baseUrl }, lead, { embedHost } = {}) {
+    const url = new URL(baseUrl.href);
+    const { firstName, companyName, visitorId, campaign } = lead;
+    switch (provider) {
+        case 'calcom':
+            // `company` and `visitor_id` prefill booking questions with those identifiers; metadata lands on the booking.
+            setParams(url, { name: firstName, company: companyName, visitor_id: visitorId, 'metadata[visitorId]': visitorId, embed: CAL_EMBED_NAMESPACE, embedType: 'inline' });
+            break;
+        case 'calendly':
+            // a1 answers the event type's first custom question (ask for the company there); UTM values are kept on the event.
+            setParams(url, { name: firstName, a1: companyName, utm_source: 'makertoo-dashboard', utm_campaign: campaign, utm_content: visitorId, embed_domain: embedHost, embed_type: 'Inline' });
+            break;
+        default:
+            setParams(url, { first_name: firstName, company: companyName, visitor_id: visitorId });
+    }
+    return url.href;
+}
+
+const readReference = (value) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, MAX_REFERENCE_LENGTH) : null);
+const readTime = (value) => (typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? new Date(value).toISOString() : null);
+
+// { provider, reference, startTime } when `event` (a window message event) reports a completed booking
+// from the booking frame's origin, else null.
+export function parseBookingMessage({ provider, url }, event) {
+    if (!event || event.origin !== url.origin || !event.data || typeof event.data !== 'object') return null;
+    const { data } = event;
+    switch (provider) {
+        case 'calcom': {
+            if (data.originator !== 'CAL' || !['bookingSuccessful', 'bookingSuccessfulV2'].includes(data.type)) return null;
+            const booking = data.data?.booking || data.data || {};
+            return { provider, reference: readReference(booking.uid), startTime: readTime(booking.startTime) };
+        }
+        case 'calendly': {
+            if (data.event !== 'calendly.event_scheduled') return null;
+            return { provider, reference: readReference(data.payload?.event?.uri), startTime: null };
+        }
+        default:
+            if (data.type !== 'makertoo:booking_completed') return null;
+            return { provider, reference: readReference(data.bookingId), startTime: readTime(data.startTime) };
+    }
+}
@@ -0,0 +1,42 @@
+// lib/bookings.js
+// Server side of booking detection: the dashboard reports a meeting booked through the embedded scheduler
+// (lib/bookingProviders.js) and it is kept in .data/bookings.jsonl for sales. A booking reported twice
+// (Cal.com sends two events per booking) is stored once.
+import { ApiError } from './apiResponse';
+import { BOOKING_PROVIDERS } from './bookingProviders';
+import { createJsonlStore } from './jsonlStore';
+
+const bookingStore = createJsonlStore('bookings.jsonl');
+const MAX_REFERENCE_LENGTH = 512;
+
+export async function recordBooking({ visitorId, campaign }, { provider, reference, startTime } = {}) {
+    if (!BOOKING_PROVIDERS.includes(provider)) {
+        throw new ApiError(400, 'invalid_provider', `provider must be one of ${BOOKING_PROVIDERS.join(', ')}.`);
+    }
+    if (reference != null && (typeof reference !== 'string' || reference.length > MAX_REFERENCE_LENGTH)) {
+        throw new ApiError(400, 'invalid_reference', `reference must be a string of at most ${MAX_REFERENCE_LENGTH} characters.`);
+    }
+    if (startTime != null && (typeof startTime !== 'string' || Number.isNaN(Date.parse(startTime)))) {
+        throw new ApiError(400, 'invalid_start_time', 'startTime must be an ISO 8601 date.');
+    }
+    if (reference) {
+        const [existing] = await bookingStore.readAll(booking => booking.visitorId === visitorId && booking.reference === reference);
+        if (existing) return existing;
+    }
+    const booking = {
+        visitorId,
+        campaign,
+        provider,
+        reference: reference || null,
+        startTime: startTime ? new Date(startTime).toISOString() : null,
+        at: new Date().toISOString(),
+    };
+    await bookingStore.append(booking);
+    return booking;
+}
+
+// Newest first; every visitor's bookings when visitorId is empty.
+export async function listBookings(visitorId) {
+    const bookings = await bookingStore.readAll(booking => !visitorId || booking.visitorId === visitorId);
+    return bookings.reverse();
+}
@@ -0,0 +1,119 @@
+// lib/brandColors.js (server-only)
+// Decides which brand colors a visitor's dashboard uses: `brand_colors` from the record when set,
+// otherwise the dominant colors of the company logo (PNG, JPEG or SVG), otherwise none (house palette).
+// Logo results are cached per URL, since every dashboard load and PDF export asks again. The logo is never
+// downloaded while a page waits: until its colors are cached the house palette is used, and the extraction
+// runs in the background for the next load.
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import { fetchLogoImage } from './logoImage';
+import { getSaturationAndLightness, parseColor, toHex } from './theme';
+import { createTtlCache } from './ttlCache';
+
+const LOGO_COLORS_TTL_MS = Number(process.env.LOGO_COLORS_TTL_MS) || 24 * 60 * 60 * 1000;
+// A logo that could not be downloaded is retried sooner than a successfully analysed one.
+const LOGO_FAILURE_TTL_MS = 10 * 60 * 1000;
+const MAX_COLORS = 3;
+const MAX_SAMPLES = 10000;
+// Colors closer than this (RGB distance) count as the same brand color.
+const MIN_COLOR_DISTANCE = 60;
+
+const logoColorsCache = createTtlCache(LOGO_COLORS_TTL_MS);
+
+const colorDistance = (a, b) => Math.sqrt((a.r - b.r) ** 2 + (a.g - b.g) ** 2 + (a.b - b.b) ** 2);
+
+// Whites, blacks and greys are backgrounds and lettering, not brand colors.
+const isBrandCandidate = (color) => {
+    const { saturation, lightness } = getSaturationAndLightness(color);
+    return saturation >= 0.25 && lightness >= 0.12 && lightness <= 0.9;
+};
+
+// Most frequent distinct colors among `colors` ({ r, g, b, weight }), most frequent first.
+function pickDominantColors(colors) {
+    const buckets = new Map();
+    let total = 0;
+    colors.forEach((color) => {
+        if (!isBrandCandidate(color)) return;
+        const key = ((color.r >> 4) << 8) | ((color.g >> 4) << 4) | (color.b >> 4);
+        const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, weight: 0 };
+        bucket.r += color.r * color.weight;
+        bucket.g += color.g * color.weight;
+        bucket.b += color.b * color.weight;
+        bucket.weight += color.weight;
+        buckets.set(key, bucket);
+        total += color.weight;
+    });
+
+    const picked = [];
+    [...buckets.values()]
+        .filter(bucket => bucket.weight >= total * 0.01)
+        .sort((a, b) => b.weight - a.weight)
+        .map(bucket => ({ r: bucket.r / bucket.weight, g: bucket.g / bucket.weight, b: bucket.b / bucket.weight }))
+        .forEach((color) => {
+            if (picked.length < MAX_COLORS && picked.every(other => colorDistance(color, other) >= MIN_COLOR_DISTANCE)) picked.push(color);
+        });
+    return picked.map(toHex);
+}
+
+function sampleRaster({ width, height, data }) {
+    const step = Math.max(1, Math.floor(Math.sqrt((width * height) / MAX_SAMPLES)));
+    const samples = [];
+    for (let y = 0; y < height; y += step) {
+        for (let x = 0; x < width; x += step) {
+            const offset = (y * width + x) * 4;
+            if (data[offset + 3] >= 128) samples.push({ r: data[offset], g: data[offset + 1], b: data[offset + 2], weight: 1 });
+        }
+    }
+    return samples;
+}
+
+// SVG logos: count the colors used in fill/stroke/stop-color attributes and styles.
+function sampleSvg(source) {
+    const samples = [];
+    (source.match(/#[0-9a-f]{6}\b|#[0-9a-f]{3}\b|rgba?\([^)]*\)/gi) || []).forEach((value) => {
+        const color = parseColor(value);
+        if (color) samples.push({ ...color, weight: 1 });
+    });
+    return samples;
+}
+
+const DECODERS = {
+    png: (buffer) => sampleRaster(PNG.sync.read(buffer)),
+    jpeg: (buffer) => sampleRaster(jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: 25, maxMemoryUsageInMB: 256 })),
+    svg: (buffer) => sampleSvg(buffer.toString('utf8')),
+};
+
+async function extractLogoColors(logoUrl) {
+    const cached = logoColorsCache.get(logoUrl);
+    if (cached) return cached;
+    const image = await fetchLogoImage(logoUrl);
+    let colors = [];
+    if (image) {
+        try {
+            colors = pickDominantColors(DECODERS[image.format](image.buffer));
+        } catch (err) {
+            console.warn(`MAKERTOO_PAP_SERVER: Could not read colors from logo ${logoUrl} (${err.message}).`);
+        }
+    }
+    return logoColorsCache.set(logoUrl, colors, image ? LOGO_COLORS_TTL_MS : LOGO_FAILURE_TTL_MS);
+}
+
+// Logo URLs being analysed, so concurrent loads of the same dashboard start one download.
+const pendingExtractions = new Set();
+
+function startLogoColorExtraction(logoUrl) {
+    if (pendingExtractions.has(logoUrl)) return;
+    pendingExtractions.add(logoUrl);
+    extractLogoColors(logoUrl).finally(() => pendingExtractions.delete(logoUrl));
+}
+
+// model: normalized visitor record (lib/visitorRecord.js). Returns { colors, source } without waiting for the logo.
+export function resolveBrandColors(model) {
+    if (model.brandColors.length > 0) return { colors: model.brandColors, source: 'record' };
+    if (model.companyLogo) {
+        const logoColors = logoColorsCache.get(model.companyLogo);
+        if (logoColors === undefined) startLogoColorExtraction(model.companyLogo);
+        else if (logoColors.length > 0) return { colors: logoColors, source: 'logo' };
+    }
+    return { colors: [], source: 'default' };
+}
@@ -0,0 +1,213 @@
+// lib/chartSpecs.js
+// Per-visitor chart specs, stored as JSON in the record's `chart_data` field:
+//   [{ "type": "line", "title": "...", "icon": "dashicons-chart-line", "labels": ["Q1", "Q2"],
+//      "unit_prefix": "$", "unit_suffix": "k",
+//      "datasets": [{ "label": "...", "data": [10, 20], "color": "green" }] }]
+// Specs are validated here and turned into Chart.js data/options themed by lib/chartTheme.js, and into the
+// text summary that stands in for the canvas for screen readers (describeChartSpec).
+import { getChartJsDefaultOptions } from './chartTheme';
+import { DEFAULT_LOCALE, formatNumber } from './i18n';
+
+export const CHART_TYPES = ['line', 'bar', 'stacked_bar', 'doughnut', 'radar'];
+export const CIRCULAR_CHART_TYPES = ['doughnut', 'radar'];
+export const PALETTE_COLORS = ['green', 'blue', 'pink', 'purple'];
+export const DASHICON_PATTERN = /^dashicons-[a-z0-9-]+$/;
+
+const DEFAULT_ICONS = {
+    line: 'dashicons-chart-line',
+    bar: 'dashicons-chart-bar',
+    stacked_bar: 'dashicons-chart-bar',
+    doughnut: 'dashicons-chart-pie',
+    radar: 'dashicons-chart-area',
+};
+
+// Shown when a record carries no chart_data.
+export const ILLUSTRATIVE_CHART_SPECS = [
+    { type: 'line', title: 'Accelerated Revenue Trajectory', icon: 'dashicons-chart-line', labels: ['Q1', 'Q2', 'Q3', 'Q4', 'Next Q (Proj.)'], datasets: [{ label: 'Potential Revenue Growth', data: [50, 65, 80, 75, 95], color: 'green' }] },
+    { type: 'bar', title: 'Enhanced Operational Efficiency', icon: 'dashicons-controls-fastforward', labels: ['Manual', 'Phase 1 Auto.', 'Phase 2 AI Opt.'], datasets: [{ label: 'Task Processing Time (Hours)', data: [100, 60, 30], color: 'blue' }] },
+    { type: 'doughnut', title: 'Strategic Initiative Focus', icon: 'dashicons-filter', labels: ['On Track', 'At Risk (Mitigated)', 'New Initiatives'], datasets: [{ label: 'Project Status Distribution', data: [70, 15, 15] }] },
+];
+
+// --- Validation ---
+const normalizeDataset = (where, dataset, index, labelCount, warnings) => {
+    if (!dataset || typeof dataset !== 'object' || !Array.isArray(dataset.data)) {
+        warnings.push({ field: `${where}.datasets[${index}]`, message: 'Dataset needs a "data" array; skipped.' });
+        return null;
+    }
+    const data = dataset.data.map((value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value));
+    if (data.length !== labelCount || !data.every((value) => typeof value === 'number' && Number.isFinite(value))) {
+        warnings.push({ field: `${where}.datasets[${index}]`, message: `Dataset needs ${labelCount} numeric value(s), one per label; skipped.` });
+        return null;
+    }
+    const normalized = { label: typeof dataset.label === 'string' ? dataset.label : `Series ${index + 1}`, data };
+    if (dataset.color !== undefined) {
+        if (PALETTE_COLORS.includes(dataset.color)) normalized.color = dataset.color;
+        else warnings.push({ field: `${where}.datasets[${index}].color`, message: `Color must be one of ${PALETTE_COLORS.join(', ')}; ignored.` });
+    }
+    return normalized;
+};
+
+export function normalizeChartSpec(field, spec, index, warnings) {
+    const where = `${field}[${index}]`;
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        warnings.push({ field: where, message: 'Chart spec is not an object; skipped.' });
+        return null;
+    }
+    if (!CHART_TYPES.includes(spec.type)) {
+        warnings.push({ field: `${where}.type`, message: `Chart type must be one of ${CHART_TYPES.join(', ')}; skipped.` });
+        return null;
+    }
+    if (!Array.isArray(spec.labels) || spec.labels.length === 0 || !spec.labels.every((label) => typeof label === 'string' || typeof label === 'number')) {
+        warnings.push({ field: `${where}.labels`, message: 'Chart needs a non-empty "labels" array; skipped.' });
+        return null;
+    }
+    const datasets = (Array.isArray(spec.datasets) ? spec.datasets : [])
+        .map((dataset, datasetIndex) => normalizeDataset(where, dataset, datasetIndex, spec.labels.length, warnings))
+        .filter(Boolean);
+    if (datasets.length === 0) {
+        warnings.push({ field: `${where}.datasets`, message: 'Chart has no valid datasets; skipped.' });
+        return null;
+    }
+
+    let icon = DEFAULT_ICONS[spec.type];
+    if (typeof spec.icon === 'string' && DASHICON_PATTERN.test(spec.icon)) icon = spec.icon;
+    else if (spec.icon !== undefined) warnings.push({ field: `${where}.icon`, message: `Invalid icon ${JSON.stringify(spec.icon)}; using the default.` });
+
+    return {
+        type: spec.type,
+        title: typeof spec.title === 'string' && spec.title.trim() ? spec.title.trim() : 'Projection',
+        icon,
+        labels: spec.labels.map(String),
+        datasets,
+        unit_prefix: typeof spec.unit_prefix === 'string' ? spec.unit_prefix : '',
+        unit_suffix: typeof spec.unit_suffix === 'string' ? spec.unit_suffix : '',
+    };
+}
+
+// A value with the spec's units, as in the tooltips, axis ticks and data tables.
+export const formatChartValue = (spec, value, locale = DEFAULT_LOCALE) => `${spec.unit_prefix || ''}${formatNumber(value, locale)}${spec.unit_suffix || ''}`;
+
+// --- Text summary ---
+const findExtremes = (data) => data.reduce((found, value, index) => ({
+    max: value > data[found.max] ? index : found.max,
+    min: value < data[found.min] ? index : found.min,
+}), { max: 0, min: 0 });
+
+// One or two sentences per dataset, from the `charts.*` messages of an i18n translator (lib/i18n):
+// line and bar charts give their first, last, highest and lowest values, radar charts their extremes
+// and doughnuts each slice's share.
+export function describeChartSpec(spec, i18n) {
+    const { t } = i18n;
+    const value = (number) => formatChartValue(spec, number, i18n.locale);
+    const sentences = [t(`charts.type_${spec.type}`, { count: spec.labels.length })];
+    spec.datasets.forEach(({ label: series, data }) => {
+        if (spec.type === 'doughnut') {
+            const total = data.reduce((sum, number) => sum + number, 0);
+            const shares = data.map((number, index) => t('charts.share', {
+                label: spec.labels[index], value: value(number), percent: i18n.number(total ? Math.round((number / total) * 100) : 0),
+            }));
+            sentences.push(t('charts.summary_shares', { series, shares: shares.join(', ') }));
+            return;
+        }
+        const { max, min } = findExtremes(data);
+        const extremes = { series, max: value(data[max]), maxLabel: spec.labels[max], min: value(data[min]), minLabel: spec.labels[min] };
+        if (spec.type === 'radar' || data.length < 2) {
+            sentences.push(t('charts.summary_extremes', extremes));
+            return;
+        }
+        const last = data.length - 1;
+        sentences.push(t('charts.summary_range', {
+            ...extremes, first: value(data[0]), firstLabel: spec.labels[0], last: value(data[last]), lastLabel: spec.labels[last],
+        }));
+    });
+    return sentences.join(' ');
+}
+
+// --- Chart.js adapters ---
+const getPalette = (chartColors) => ({
+    green: { solid: chartColors.primary, rgb: chartColors.accentGreenRgb },
+    blue: { solid: chartColors.secondary, rgb: chartColors.accentBlueRgb },
+    pink: { solid: chartColors.pink, rgb: chartColors.accentPinkRgb },
+    purple: { solid: chartColors.purple, rgb: chartColors.accentPurpleRgb },
+});
+
+const DOUGHNUT_ALPHAS = [1, 0.7, 0.6, 0.5];
+
+const styleDataset = (spec, dataset, index, chartColors) => {
+    const palette = getPalette(chartColors);
+    const color = palette[dataset.color || PALETTE_COLORS[index % PALETTE_COLORS.length]];
+    const base = { label: dataset.label, data: dataset.data };
+    switch (spec.type) {
+        case 'line':
+            return {
+                ...base, borderColor: color.solid, backgroundColor: `rgba(${color.rgb}, 0.15)`, tension: 0.3, fill: spec.datasets.length === 1,
+                pointBackgroundColor: color.solid, pointBorderColor: chartColors.tooltipText,
+                pointHoverBackgroundColor: chartColors.tooltipText, pointHoverBorderColor: color.solid,
+            };
+        case 'radar':
+            return { ...base, borderColor: color.solid, backgroundColor: `rgba(${color.rgb}, 0.2)`, pointBackgroundColor: color.solid, borderWidth: 2 };
+        case 'doughnut':
+            return {
+                ...base,
+                backgroundColor: dataset.data.map((_, pointIndex) => {
+                    const sliceColor = palette[PALETTE_COLORS[pointIndex % PALETTE_COLORS.length]];
+                    return `rgba(${sliceColor.rgb}, ${DOUGHNUT_ALPHAS[pointIndex % DOUGHNUT_ALPHAS.length]})`;
+                }),
+                hoverOffset: 8, borderColor: chartColors.surface, borderWidth: 2,
+            };
+        default: // bar, stacked_bar
+            return { ...base, backgroundColor: `rgba(${color.rgb}, 0.7)`, borderColor: `rgb(${color.rgb})`, borderWidth: 1, borderRadius: 4 };
+    }
+};
+
+export function buildChartData(spec, chartColors) {
+    if (!chartColors) return { labels: [], datasets: [] };
+    return { labels: spec.labels, datasets: spec.datasets.map((dataset, index) => styleDataset(spec, dataset, index, chartColors)) };
+}
+
+// locale: Chart.js formats ticks and tooltips with it; unit-formatted values use lib/i18n's formatNumber.
+// reducedMotion: drop the draw animation for visitors who prefer reduced motion (lib/motion.js).
+export function buildChartOptions(spec, chartColors, locale = DEFAULT_LOCALE, { reducedMotion = false } = {}) {
+    if (!chartColors) return {};
+    const defaults = { ...getChartJsDefaultOptions(chartColors), locale, ...(reducedMotion ? { animation: false } : {}) };
+    const formatValue = (value) => formatChartValue(spec, value, locale);
+    const hasUnits = Boolean(spec.unit_prefix || spec.unit_suffix);
+    const plugins = {
+        ...defaults.plugins,
+        tooltip: hasUnits ? {
+            ...defaults.plugins.tooltip,
+            callbacks: {
+                label: (context) => {
+                    const value = spec.type === 'doughnut' ? context.parsed : (spec.type === 'radar' ? context.parsed.r : context.parsed.y);
+                    return `${context.dataset.label}: ${formatValue(value)}`;
+                },
+            },
+        } : defaults.plugins.tooltip,
+    };
+    const { scales, ...options } = { ...defaults, plugins };
+
+    if (spec.type === 'doughnut') {
+        return { ...options, cutout: '60%', plugins: { ...plugins, legend: { ...plugins.legend, position: 'bottom' } } };
+    }
+    if (spec.type === 'radar') {
+        return {
+            ...options,
+            scales: {
+                r: {
+                    beginAtZero: true,
+                    grid: { color: chartColors.grid }, angleLines: { color: chartColors.grid },
+                    pointLabels: { color: chartColors.ticks, font: { family: chartColors.fontFamily, size: 10 } },
+                    ticks: { color: chartColors.ticks, backdropColor: 'transparent', ...(hasUnits ? { callback: formatValue } : {}) },
+                },
+            },
+        };
+    }
+    const stacked = spec.type === 'stacked_bar';
+    return {
+        ...options,
+        scales: {
+            x: { ...scales.x, stacked },
+            y: { ...scales.y, stacked, ticks: { ...scales.y.ticks, ...(hasUnits ? { callback: formatValue } : {}) } },
+        },
+    };
+}
@@ -0,0 +1,22 @@
+// lib/chartTheme.js
+// Chart.js default options for a palette built by buildTheme() in lib/theme.js.
+
+export const getChartJsDefaultOptions = (chartColors) => ({
+    responsive: true, maintainAspectRatio: false,
+    color: chartColors.ticks,
+    scales: {
+        y: { beginAtZero: true, grid: { color: chartColors.grid, borderColor: chartColors.grid }, ticks: { color: chartColors.ticks, font: { family: chartColors.fontFamily, size: 10 } } },
+        x: { grid: { display: false, borderColor: chartColors.grid }, ticks: { color: chartColors.ticks, font: { family: chartColors.fontFamily, size: 10 } } }
+    },
+    plugins: {
+        legend: { position: 'top', labels: { color: chartColors.ticks, font: { family: chartColors.fontFamily }, boxWidth: 12, padding: 15 } },
+        tooltip: {
+            enabled: true, backgroundColor: chartColors.tooltipBg, titleColor: chartColors.tooltipText, bodyColor: chartColors.tooltipText,
+            titleFont: { family: chartColors.fontFamily, weight: '600' }, bodyFont: { family: chartColors.fontFamily },
+            borderColor: chartColors.primary, borderWidth: 1, padding: 10, cornerRadius: 4,
+            usePointStyle: true,
+        },
+        colors: { enabled: false } // datasets are colored explicitly from the theme palette
+    },
+    animation: { duration: 700, easing: 'easeOutQuart' }
+});
@@ -0,0 +1,85 @@
+// lib/dashboardCopy.js
+// Default sales copy for the dashboard sections, keyed '<section type>.<slot>'. Layouts
+// (lib/dashboardLayout.js) override single keys per campaign or per record. Templates may use
+// {firstName}, {companyName}, {fromAbstract} and {coreServices}, and **double asterisks** for bold.
+// Placeholder values are always inserted as plain text, never as markup.
+
+export const COPY_PLACEHOLDERS = ['firstName', 'companyName', 'fromAbstract', 'coreServices'];
+
+export const DEFAULT_COPY = {
+    'briefing.title': 'Understanding {companyName}',
+    'briefing.snapshot_heading': 'Company Snapshot',
+    'briefing.usp_heading': 'Unique Selling Proposition',
+    'briefing.leadership_heading': 'About the Leadership',
+
+    'key_focus.title': 'Strategic Focus for {companyName}',
+    'key_focus.area_heading': 'Identified Key Area:',
+    'key_focus.approach_heading': 'How MakerToo Addresses This:',
+    'key_focus.intro': 'MakerToo specializes in crafting bespoke AI and automation solutions, leveraging open-source technology to provide data sovereignty and drive measurable results. We can help {companyName} directly tackle this key area by:',
+    'key_focus.bullets': [
+        'Developing tailored automation to streamline relevant processes, freeing up resources for strategic growth.',
+        'Implementing AI-driven insights to inform strategy and enhance decision-making around this specific challenge or opportunity.',
+        'Building robust, scalable open-source backends that give you full control over the data crucial to capitalizing on this area.',
+    ],
+
+    'core_services.title': 'Leveraging Your Strengths',
+    'core_services.intro': "Based on {companyName}'s core services in **{coreServices}**, MakerToo can partner with you to:",
+    'core_services.bullets': [
+        '**Amplify Service Impact:** Integrate custom AI tools to enhance the delivery and effectiveness of your core offerings.',
+        '**Boost Operational Efficiency:** Streamline backend workflows related to these services using n8n automation and efficient open-source databases.',
+        '**Unlock New Service Potential:** Utilize your existing data (with full data sovereignty) to identify and develop new, AI-augmented service lines.',
+    ],
+
+    'kpis.title': 'Projected Impact with MakerToo',
+
+    'roi.title': 'Calculate Your Savings, {firstName}',
+    'roi.intro': 'Enter the numbers for {companyName} to see how much time and money each automation phase could free up. The efficiency and savings charts update as you type.',
+
+    'analytics.title': 'Performance Projections',
+    'analytics.title_illustrative': 'Illustrative Performance Projections',
+    'analytics.intro': "Visualizing the potential impact of MakerToo's solutions for {companyName}.",
+    'analytics.note': 'These projections were prepared for your business.',
+    'analytics.note_illustrative': 'These are illustrative projections based on common outcomes.',
+    'analytics.note_roi': 'The savings and efficiency charts follow the numbers in the ROI calculator.',
+
+    'research.title': 'Dive Deeper: Full Research for {companyName}',
+    'research.intro': "The following is the detailed research report compiled to understand {companyName}'s unique market position and opportunities. This research underpins the strategies we propose.",
+
+    'booking.title': 'Ready to Elevate {companyName}, {firstName}?',
+    'booking.intro': "Let's schedule a complimentary strategy session to discuss how MakerToo can architect and implement these AI & Automation solutions, tailored specifically for your goals.",
+};
+
+export const getCopyValues = (visitor) => ({
+    firstName: visitor.firstName,
+    companyName: visitor.companyName,
+    fromAbstract: visitor.fromAbstract,
+    coreServices: visitor.coreServices.join(', '),
+});
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+export const interpolateCopy = (template, values, escapeValue = (value) => value) => String(template).replace(
+    PLACEHOLDER_PATTERN,
+    (match, name) => (Object.prototype.hasOwnProperty.call(values, name) && values[name] != null ? escapeValue(String(values[name])) : match),
+);
+
+// Splits a template on **bold** markers, then fills placeholders per run, so values can never add emphasis.
+export function formatCopySegments(template, values) {
+    return String(template).split('**').map((text, index) => ({ text: interpolateCopy(text, values), bold: index % 2 === 1 })).filter(segment => segment.text);
+}
+
+// For templates that are rendered as markdown (custom sections): values are escaped so they stay literal text.
+const escapeMarkdown = (value) => value.replace(/[\\`*_[\]<>#|!~]/g, '\\$&');
+export const interpolateMarkdown = (template, values) => interpolateCopy(template, values, escapeMarkdown);
+
+// copy: merged copy map (DEFAULT_COPY plus overrides). Shared by the dashboard sections and the PDF report.
+export function createCopyReader(copy, values) {
+    const segments = (key) => formatCopySegments(copy[key] ?? DEFAULT_COPY[key] ?? '', values);
+    return {
+        segments,
+        text: (key) => segments(key).map(segment => segment.text).join(''),
+        list: (key) => (copy[key] ?? DEFAULT_COPY[key] ?? []).map(item => formatCopySegments(item, values)),
+        format: (template) => formatCopySegments(template, values),
+        markdown: (template) => interpolateMarkdown(template, values),
+    };
+}
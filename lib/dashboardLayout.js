@@ -0,0 +1,150 @@
+// lib/dashboardLayout.js
+// Section registry and layout resolution. A layout is { sections, copy }:
+//   sections: ordered list; built-in types by name ("kpis") or as objects ({ "type": "kpis", "title": "..." }),
+//             { "hidden": true } to drop one, and { "type": "custom", "id", "title", "body" } for extra markdown sections.
+//             Built-in sections left out of the list are not shown.
+//   copy:     overrides for keys of DEFAULT_COPY (lib/dashboardCopy.js).
+//   locales:  per-locale copy, e.g. { "de": { "copy": { ... } } }, applied after the layer's `copy`.
+// Layers apply in order: defaults, config.dashboardLayout, config.dashboardLayout.campaigns[campaign],
+// then the record's dashboard_layout. A layer's `sections` replaces the previous list; `copy` is merged key by key.
+// The defaults are the locale's copy (lib/i18n) over the English DEFAULT_COPY.
+import { DASHICON_PATTERN } from './chartSpecs';
+import { DEFAULT_COPY } from './dashboardCopy';
+import { DEFAULT_LOCALE, getLocaleCopy } from './i18n';
+
+// domId: the element id the dashboard renders (engagement tracking reports time per id).
+export const SECTION_REGISTRY = {
+    briefing: { domId: 'briefing-section', isAvailable: () => true },
+    key_focus: { domId: 'key-focus-section', isAvailable: (visitor) => Boolean(visitor.keyChallengeOpportunity) },
+    core_services: { domId: 'growth-opportunities-section', isAvailable: (visitor) => visitor.coreServices.length > 0 },
+    kpis: { domId: 'kpi-section', isAvailable: () => true },
+    roi: { domId: 'roi-calculator-section', isAvailable: () => true },
+    analytics: { domId: 'analytics-overview', isAvailable: () => true },
+    research: { domId: 'full-research-section', isAvailable: (visitor) => Boolean(visitor.deepResearchMd) },
+    booking: { domId: 'booking-section', isAvailable: () => true },
+    custom: { domId: (section) => `section-${section.id}`, isAvailable: () => true },
+};
+
+export const DEFAULT_SECTION_ORDER = ['briefing', 'key_focus', 'core_services', 'kpis', 'roi', 'analytics', 'research', 'booking'];
+
+const CUSTOM_SECTION_ID_PATTERN = /^[a-z0-9-]{1,40}$/;
+const MAX_COPY_LENGTH = 5000;
+
+const parseLayer = (field, layer, warnings) => {
+    if (typeof layer !== 'string') return layer;
+    try {
+        return JSON.parse(layer);
+    } catch (e) {
+        warnings.push({ field, message: `Could not parse layout JSON: ${e.message}` });
+        return null;
+    }
+};
+
+function normalizeSectionEntry(field, entry, seen, warnings) {
+    const section = typeof entry === 'string' ? { type: entry } : entry;
+    if (!section || typeof section !== 'object' || Array.isArray(section)) {
+        warnings.push({ field, message: 'Section entry must be a name or an object; skipped.' });
+        return null;
+    }
+    if (!SECTION_REGISTRY[section.type]) {
+        warnings.push({ field, message: `Unknown section type ${JSON.stringify(section.type)}; skipped.` });
+        return null;
+    }
+    if (section.hidden === true) return null;
+    if (section.title !== undefined && (typeof section.title !== 'string' || !section.title.trim())) {
+        warnings.push({ field: `${field}.title`, message: 'Section title must be non-empty text; ignored.' });
+    }
+    const title = typeof section.title === 'string' && section.title.trim() ? section.title.trim().slice(0, MAX_COPY_LENGTH) : undefined;
+
+    if (section.type !== 'custom') {
+        if (seen.has(section.type)) {
+            warnings.push({ field, message: `Section "${section.type}" is listed twice; only the first is shown.` });
+            return null;
+        }
+        seen.add(section.type);
+        return { type: section.type, id: section.type, title };
+    }
+
+    if (typeof section.id !== 'string' || !CUSTOM_SECTION_ID_PATTERN.test(section.id) || seen.has(section.id)) {
+        warnings.push({ field, message: `Custom sections need a unique "id" of lowercase letters, digits and dashes; got ${JSON.stringify(section.id)}.` });
+        return null;
+    }
+    if (!title || typeof section.body !== 'string' || !section.body.trim()) {
+        warnings.push({ field, message: `Custom section "${section.id}" needs a "title" and a markdown "body"; skipped.` });
+        return null;
+    }
+    seen.add(section.id);
+    const icon = typeof section.icon === 'string' && DASHICON_PATTERN.test(section.icon) ? section.icon : 'dashicons-info-outline';
+    return { type: 'custom', id: section.id, title, body: section.body.slice(0, MAX_COPY_LENGTH * 4), icon };
+}
+
+function normalizeSections(field, sections, warnings) {
+    if (!Array.isArray(sections)) {
+        warnings.push({ field, message: 'Expected "sections" to be an array; keeping the previous layout.' });
+        return undefined;
+    }
+    const seen = new Set();
+    return sections.map((entry, index) => normalizeSectionEntry(`${field}[${index}]`, entry, seen, warnings)).filter(Boolean);
+}
+
+function normalizeCopy(field, copy, warnings) {
+    if (!copy || typeof copy !== 'object' || Array.isArray(copy)) {
+        warnings.push({ field, message: 'Expected "copy" to be an object of copy keys; ignored.' });
+        return {};
+    }
+    return Object.entries(copy).reduce((valid, [key, value]) => {
+        const expected = DEFAULT_COPY[key];
+        if (expected === undefined) {
+            warnings.push({ field: `${field}.${key}`, message: 'Unknown copy key; ignored.' });
+        } else if (Array.isArray(expected)) {
+            if (Array.isArray(value) && value.every(item => typeof item === 'string')) valid[key] = value.map(item => item.slice(0, MAX_COPY_LENGTH));
+            else warnings.push({ field: `${field}.${key}`, message: 'Expected an array of text items; ignored.' });
+        } else if (typeof value === 'string') {
+            valid[key] = value.slice(0, MAX_COPY_LENGTH);
+        } else {
+            warnings.push({ field: `${field}.${key}`, message: 'Expected text; ignored.' });
+        }
+        return valid;
+    }, {});
+}
+
+// The campaign whose layout variant applies: the signed link's campaign, else the record's own `campaign`.
+// Shared by the dashboard, the PDF report (both through lib/visitorService.js) and the admin preview.
+export const resolveLayoutCampaign = (linkCampaign, visitor) => linkCampaign || visitor.campaign || null;
+
+// Returns { sections, copy, warnings }. Never throws: bad layers are skipped with a warning.
+export function resolveDashboardLayout({ configLayout = null, campaign = null, recordLayout = null, locale = DEFAULT_LOCALE } = {}) {
+    const warnings = [];
+    let sections = DEFAULT_SECTION_ORDER.map(type => ({ type, id: type }));
+    const copy = { ...DEFAULT_COPY, ...getLocaleCopy(locale) };
+
+    const baseLayout = parseLayer('config.dashboardLayout', configLayout, warnings);
+    const layers = [
+        ['config.dashboardLayout', baseLayout],
+        [`config.dashboardLayout.campaigns.${campaign}`, campaign && baseLayout?.campaigns?.[campaign]],
+        ['dashboard_layout', parseLayer('dashboard_layout', recordLayout, warnings)],
+    ];
+    layers.forEach(([field, layer]) => {
+        if (!layer) return;
+        if (typeof layer !== 'object' || Array.isArray(layer)) {
+            warnings.push({ field, message: 'Layout must be an object with "sections" and/or "copy"; ignored.' });
+            return;
+        }
+        if (layer.sections !== undefined) sections = normalizeSections(`${field}.sections`, layer.sections, warnings) || sections;
+        if (layer.copy !== undefined) Object.assign(copy, normalizeCopy(`${field}.copy`, layer.copy, warnings));
+        const localeCopy = layer.locales?.[locale]?.copy;
+        if (localeCopy !== undefined) Object.assign(copy, normalizeCopy(`${field}.locales.${locale}.copy`, localeCopy, warnings));
+    });
+
+    // A title set on a built-in section entry is shorthand for its '<type>.title' copy key.
+    sections.forEach((section) => { if (section.type !== 'custom' && section.title) copy[`${section.type}.title`] = section.title; });
+    return { sections, copy, warnings };
+}
+
+// Sections from the layout that have something to show for this visitor, with their element ids.
+export const getVisibleSections = (layout, visitor) => layout.sections
+    .filter(section => SECTION_REGISTRY[section.type].isAvailable(visitor))
+    .map((section) => {
+        const { domId } = SECTION_REGISTRY[section.type];
+        return { ...section, domId: typeof domId === 'function' ? domId(section) : domId };
+    });
@@ -0,0 +1,78 @@
+// lib/dashboardState.js
+// State machine behind the dashboard's loading flow. Pure (no React, no network) so it can be
+// exercised directly: feed actions to dashboardReducer() and inspect the returned state.
+//
+//   initializing_config --CONFIG_LOADED--> ready --LOAD_REQUESTED--> loading --LOAD_SUCCEEDED--> data_loaded
+//                       \--CONFIG_FAILED--> error           loading --LOAD_FAILED--> no_data_for_id | link_expired | link_invalid | error
+//   any settled state --LOAD_REQUESTED--> loading, --CLEARED--> ready
+//
+// Every load carries a requestId; results for anything but the latest request are dropped, so a
+// slow response for a previous visitor can never overwrite the current one.
+//
+// LOAD_CACHED shows a locally cached record right away (status data_loaded, isStale true) while the
+// request keeps running. If that refresh then fails for a transient reason the stale record stays up.
+//
+// `brand` ({ colors, source } from lib/brandColors.js) and the link's `campaign` travel with the record;
+// they drive lib/theme.js and the campaign layout in lib/dashboardLayout.js.
+//
+// errorCode is the API error code behind errorMessage (null for messages the page wrote itself), so the
+// page can show a translated message instead of the server's English one.
+
+export const DASHBOARD_STATUSES = ['initializing_config', 'ready', 'loading', 'data_loaded', 'no_data_for_id', 'link_expired', 'link_invalid', 'error'];
+
+// API error codes that get their own status; every other code ends in 'error'.
+const ERROR_STATUSES = { not_found: 'no_data_for_id', link_expired: 'link_expired', link_invalid: 'link_invalid' };
+export const getErrorStatus = (code) => ERROR_STATUSES[code] || 'error';
+export const isErrorStatus = (status) => ['no_data_for_id', 'link_expired', 'link_invalid', 'error'].includes(status);
+
+// Which actions each status accepts. Anything else is ignored (the state is returned unchanged).
+const TRANSITIONS = {
+    initializing_config: ['CONFIG_LOADED', 'CONFIG_FAILED'],
+    ready: ['LOAD_REQUESTED', 'CLEARED', 'INPUT_REJECTED', 'CONFIG_REQUESTED'],
+    loading: ['LOAD_REQUESTED', 'LOAD_CACHED', 'LOAD_SUCCEEDED', 'LOAD_FAILED', 'CLEARED'],
+    data_loaded: ['LOAD_REQUESTED', 'LOAD_SUCCEEDED', 'LOAD_FAILED', 'CLEARED', 'INPUT_REJECTED'],
+    no_data_for_id: ['LOAD_REQUESTED', 'CLEARED', 'INPUT_REJECTED'],
+    link_expired: ['LOAD_REQUESTED', 'CLEARED', 'INPUT_REJECTED'],
+    link_invalid: ['LOAD_REQUESTED', 'CLEARED', 'INPUT_REJECTED'],
+    error: ['LOAD_REQUESTED', 'CLEARED', 'INPUT_REJECTED', 'CONFIG_REQUESTED'],
+};
+
+export function createInitialDashboardState({ initialConfig = null, initialVisitorKey = '', initialRecord = null, initialBrand = null, initialCampaign = null, initialError = null } = {}) {
+    const base = { status: 'ready', config: initialConfig, visitorKey: initialVisitorKey || null, record: null, brand: null, campaign: null, isStale: false, cachedAt: null, errorMessage: '', errorCode: null, requestId: 0 };
+    if (initialRecord) return { ...base, status: 'data_loaded', record: initialRecord, brand: initialBrand, campaign: initialCampaign };
+    if (initialError) return { ...base, status: getErrorStatus(initialError.code), errorMessage: initialError.message || '', errorCode: initialError.code || null };
+    if (!initialConfig) return { ...base, status: 'initializing_config', visitorKey: null };
+    return base;
+}
+
+export function dashboardReducer(state, action) {
+    if (!TRANSITIONS[state.status]?.includes(action.type)) return state;
+
+    switch (action.type) {
+        case 'CONFIG_REQUESTED':
+            return { ...state, status: 'initializing_config', errorMessage: '', errorCode: null };
+        case 'CONFIG_LOADED':
+            return { ...state, status: 'ready', config: action.config, visitorKey: null };
+        case 'CONFIG_FAILED':
+            return { ...state, status: 'error', errorMessage: action.message, errorCode: action.code || null };
+        case 'LOAD_REQUESTED':
+            return { ...state, status: 'loading', visitorKey: action.visitorKey, record: null, brand: null, campaign: null, isStale: false, cachedAt: null, errorMessage: '', errorCode: null, requestId: action.requestId };
+        case 'LOAD_CACHED':
+            if (action.requestId !== state.requestId) return state;
+            return { ...state, status: 'data_loaded', record: action.record, brand: action.brand || null, campaign: action.campaign || null, isStale: true, cachedAt: action.savedAt };
+        case 'LOAD_SUCCEEDED':
+            if (action.requestId !== state.requestId) return state;
+            return { ...state, status: 'data_loaded', record: action.record, brand: action.brand || null, campaign: action.campaign || null, isStale: false, cachedAt: null, errorMessage: '', errorCode: null };
+        case 'LOAD_FAILED':
+            if (action.requestId !== state.requestId) return state;
+            // A transient failure leaves a stale cached record on screen; "not found" or link errors replace it.
+            if (state.isStale && getErrorStatus(action.code) === 'error') return { ...state, errorMessage: action.message, errorCode: action.code || null };
+            return { ...state, status: getErrorStatus(action.code), record: null, brand: null, campaign: null, isStale: false, cachedAt: null, errorMessage: action.message, errorCode: action.code || null };
+        case 'CLEARED':
+            return { ...state, status: 'ready', visitorKey: null, record: null, brand: null, campaign: null, isStale: false, cachedAt: null, errorMessage: action.message || '', errorCode: null };
+        case 'INPUT_REJECTED':
+            return { ...state, errorMessage: action.message, errorCode: null };
+        default:
+            return state;
+    }
+}
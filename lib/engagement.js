@@ -0,0 +1,132 @@
+// lib/engagement.js
+// Server side of visitor engagement tracking: validates the events the dashboard sends to
+// /api/events, stores them in .data/events.jsonl and rolls them up into per-visitor summaries.
+import { ApiError } from './apiResponse';
+import { createJsonlStore } from './jsonlStore';
+
+const eventStore = createJsonlStore('events.jsonl');
+
+const MAX_EVENTS_PER_REQUEST = 50;
+const MAX_SECTION_MS = 60 * 60 * 1000;
+const SECTION_ID_PATTERN = /^[a-z0-9-]{1,64}$/;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+const RESEARCH_SECTION_ID = 'full-research-section';
+// Time on the research section after which we count the report as "read".
+const RESEARCH_READ_THRESHOLD_MS = 30 * 1000;
+
+// Each validator returns the stored props for a valid event, or null.
+const EVENT_VALIDATORS = {
+    page_view: () => ({}),
+    section_time: ({ section, ms }) => (
+        typeof section === 'string' && SECTION_ID_PATTERN.test(section) && Number.isFinite(ms) && ms > 0
+            ? { section, ms: Math.min(Math.round(ms), MAX_SECTION_MS) } : null
+    ),
+    scroll_depth: ({ percent }) => ([25, 50, 75, 100].includes(percent) ? { percent } : null),
+    research_open: () => ({}),
+    outbound_click: ({ target, url }) => (
+        ['logo', 'website'].includes(target) && typeof url === 'string' && /^https?:\/\//i.test(url) && url.length <= 2048
+            ? { target, url } : null
+    ),
+    booking_focus: () => ({}),
+    report_export: ({ format }) => (['pdf', 'print'].includes(format) ? { format } : null),
+};
+
+export const ENGAGEMENT_EVENT_TYPES = Object.keys(EVENT_VALIDATORS);
+
+// `visitor` comes from loadVisitor(), so events are only stored for records that exist.
+export async function recordEngagementEvents({ visitorId, campaign }, sessionId, events) {
+    if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+        throw new ApiError(400, 'invalid_session', 'A valid sessionId is required.');
+    }
+    if (!Array.isArray(events) || events.length === 0 || events.length > MAX_EVENTS_PER_REQUEST) {
+        throw new ApiError(400, 'invalid_events', `Send between 1 and ${MAX_EVENTS_PER_REQUEST} events per request.`);
+    }
+    const receivedAt = new Date().toISOString();
+    const accepted = events.reduce((list, event) => {
+        const validate = event && EVENT_VALIDATORS[event.type];
+        const props = validate ? validate(event) : null;
+        if (props) list.push({ type: event.type, ...props, visitorId, campaign, sessionId, at: receivedAt });
+        return list;
+    }, []);
+    const index = await loadIndex();
+    await eventStore.append(accepted);
+    accepted.forEach(event => addToIndex(index, event));
+    return { accepted: accepted.length, rejected: events.length - accepted.length };
+}
+
+// Running totals of one visitor's events; finishSummary() turns them into the summary the admin console reads.
+const createTotals = (visitorId) => ({
+    summary: {
+        visitorId,
+        campaign: null,
+        firstSeen: null,
+        lastSeen: null,
+        pageViews: 0,
+        sessions: 0,
+        sectionTimeMs: {},
+        maxScrollDepth: 0,
+        researchOpens: 0,
+        outboundClicks: 0,
+        bookingFocused: false,
+        reportExports: 0,
+        readResearch: false,
+    },
+    sessions: new Set(),
+});
+
+function addEvent({ summary, sessions }, event) {
+    sessions.add(event.sessionId);
+    summary.campaign = event.campaign || summary.campaign;
+    if (!summary.firstSeen || event.at < summary.firstSeen) summary.firstSeen = event.at;
+    if (!summary.lastSeen || event.at > summary.lastSeen) summary.lastSeen = event.at;
+    switch (event.type) {
+        case 'page_view': summary.pageViews += 1; break;
+        case 'section_time': summary.sectionTimeMs[event.section] = (summary.sectionTimeMs[event.section] || 0) + event.ms; break;
+        case 'scroll_depth': summary.maxScrollDepth = Math.max(summary.maxScrollDepth, event.percent); break;
+        case 'research_open': summary.researchOpens += 1; break;
+        case 'outbound_click': summary.outboundClicks += 1; break;
+        case 'booking_focus': summary.bookingFocused = true; break;
+        case 'report_export': summary.reportExports += 1; break;
+        default: break;
+    }
+}
+
+const finishSummary = ({ summary, sessions }) => ({
+    ...summary,
+    sectionTimeMs: { ...summary.sectionTimeMs },
+    sessions: sessions.size,
+    readResearch: summary.researchOpens > 0 && (summary.sectionTimeMs[RESEARCH_SECTION_ID] || 0) >= RESEARCH_READ_THRESHOLD_MS,
+});
+
+// Map(visitorId -> totals), read from the file once per server process and kept up to date as events arrive.
+// Like the other stores, this assumes a single server process writes DATA_DIR.
+let indexPromise = null;
+function loadIndex() {
+    if (!indexPromise) {
+        indexPromise = eventStore.readAll().then((events) => {
+            const index = new Map();
+            events.forEach(event => addToIndex(index, event));
+            return index;
+        });
+        indexPromise.catch(() => { indexPromise = null; }); // retried on the next request
+    }
+    return indexPromise;
+}
+
+function addToIndex(index, event) {
+    if (!index.has(event.visitorId)) index.set(event.visitorId, createTotals(event.visitorId));
+    addEvent(index.get(event.visitorId), event);
+}
+
+export async function getEngagementSummary(visitorId) {
+    const index = await loadIndex();
+    return finishSummary(index.get(visitorId) || createTotals(visitorId));
+}
+
+// Summaries for every visitor with at least one event, most recently active first.
+export async function listEngagementSummaries() {
+    const index = await loadIndex();
+    return [...index.values()]
+        .map(finishSummary)
+        .sort((a, b) => (a.lastSeen < b.lastSeen ? 1 : -1));
+}
@@ -0,0 +1,186 @@
+// lib/i18n/de.js
+// German catalog: interface messages, section copy (keys of DEFAULT_COPY) and record fallbacks.
+
+const de = {
+    messages: {
+        'meta.title_visitor': 'MakerToo Dashboard - {firstName} @ {companyName}',
+        'meta.title_loading': 'MakerToo Dashboard - Wird geladen...',
+        'meta.title_welcome': 'MakerToo Dashboard - Willkommen',
+        'meta.description_visitor': 'Personalisierte Dashboard-Einblicke für {companyName}. Sichern Sie sich Ihren Vorsprung mit KI und Automatisierung.',
+        'meta.description': 'Personalisierte Dashboard-Einblicke von MakerToo. Sichern Sie sich Ihren Vorsprung mit KI und Automatisierung.',
+        'og.headline': '{firstName}, Ihr persönliches Briefing ist bereit',
+        'og.prepared_for': 'KI- und Automatisierungs-Insights für {companyName}',
+        'og.image_alt': 'Persönliches MakerToo-Briefing für {companyName}',
+        'updates.badge': 'Aktualisiert',
+        'updates.notice': 'Neu seit Ihrem letzten Besuch am {date}: achten Sie auf die Markierung „Aktualisiert“.',
+
+        'status.enter_id': 'Geben Sie eine Besucher-ID ein, um zu beginnen.',
+        'status.enter_id_required': 'Bitte geben Sie eine Besucher-ID ein.',
+        'status.initializing': 'Dashboard-Dienste werden initialisiert...',
+        'status.initializing_wait': 'Das Dashboard lädt noch seine Konfiguration. Bitte warten Sie einen Moment oder laden Sie die Seite neu.',
+        'status.loading': 'Personalisierte Einblicke für ID {visitorId} werden geladen',
+        'status.loaded': 'Personalisierte Daten für: {firstName} von {companyName}',
+        'status.stale': 'Gespeichertes Dashboard vom {date}. {detail}',
+        'status.checking_updates': 'Suche nach Aktualisierungen...',
+
+        'header.welcome': 'Willkommen, **{firstName} von {companyName}**!',
+        'header.welcome_no_company': 'Willkommen, **{firstName}**!',
+        'header.lead': 'Dieses Dashboard zeigt, wie MakerToo {companyName} dabei unterstützen kann, **{fromAbstract}**.',
+        'header.explore': 'Weiter unten finden Sie maßgeschneiderte Einblicke und unsere ausführliche Recherche.',
+        'header.loading_title': 'Dashboard wird geladen...',
+        'header.loading_lead': 'Ihr persönliches Dashboard wird vorbereitet...',
+        'header.expired_title': 'Dieser Link ist abgelaufen',
+        'header.expired_help': 'Dashboard-Links sind nur begrenzte Zeit gültig, damit Ihre Einblicke privat bleiben. Sie erreichen uns auch unter {email}.',
+        'header.invalid_title': 'Ungültiger Dashboard-Link',
+        'header.invalid_help': 'Bitte öffnen Sie das Dashboard über den Link in Ihrer E-Mail. Falls es weiterhin nicht funktioniert, schreiben Sie uns an {email}.',
+        'header.error_title': 'Handlungsbedarf',
+        'header.error_fallback': 'Beim Laden der Daten ist ein Problem aufgetreten.',
+        'header.error_help': 'Bitte prüfen Sie die Besucher-ID oder laden Sie die Seite neu. Besteht das Problem weiterhin, ist der Link möglicherweise ungültig oder Sie wenden sich an unseren Support.',
+        'header.ready_title': 'Willkommen in Ihrem persönlichen Dashboard!',
+        'header.ready_lead': 'Bitte geben Sie oben Ihre persönliche Besucher-ID ein, um Ihre Einblicke freizuschalten.',
+
+        'actions.export_pdf': 'Als PDF exportieren',
+        'actions.print': 'Drucken',
+
+        'input.placeholder': 'Ihre Besucher-ID',
+        'input.label': 'Besucher-ID',
+        'input.submit': 'Einblicke freischalten',
+        'loading.spinner_label': 'Wird geladen',
+
+        'briefing.logo_alt': 'Logo von {companyName}',
+        'briefing.website_title': 'Website von {companyName}',
+        'research.show': 'Vollständigen Recherchebericht anzeigen',
+        'research.hide': 'Recherchebericht ausblenden',
+        'research.toc_title': 'Inhalt',
+        'research.progress': 'Lesefortschritt',
+        'research.search_label': 'Bericht durchsuchen',
+        'research.search_placeholder': 'Bericht durchsuchen...',
+        'research.matches_one': '1 Treffer',
+        'research.matches_other': '{count} Treffer',
+        'research.match_position': '{current} von {count}',
+        'research.no_matches': 'Keine Treffer',
+        'research.previous_match': 'Vorheriger Treffer',
+        'research.next_match': 'Nächster Treffer',
+        'research.expand_all': 'Alle aufklappen',
+        'research.collapse_all': 'Alle zuklappen',
+        'research.section_link': 'Link zu „{title}“',
+        'booking.iframe_title': 'Beratungstermin mit MakerToo für {companyName} vereinbaren',
+        'booking.placeholder': 'Die Terminbuchung wird gerade eingerichtet. Bitte schauen Sie in Kürze wieder vorbei.',
+        'booking.contact': 'Alternativ antworten Sie einfach auf die erhaltene E-Mail oder schreiben Sie uns direkt an {email}.',
+        'booking.admin_note': 'Hinweis für Admins: Der Buchungslink muss noch konfiguriert werden.',
+        'booking.loading': 'Terminkalender wird geladen...',
+        'booking.confirmed_title': 'Ihr Termin steht, {firstName}!',
+        'booking.confirmed_time': 'Ihr Strategiegespräch ist für {date} eingeplant. Eine Kalendereinladung ist unterwegs in Ihr Postfach.',
+        'booking.confirmed': 'Vielen Dank für Ihre Terminbuchung. Eine Kalendereinladung ist unterwegs in Ihr Postfach.',
+        'charts.type_line': 'Liniendiagramm mit {count} Punkten.',
+        'charts.type_bar': 'Balkendiagramm mit {count} Balken.',
+        'charts.type_stacked_bar': 'Gestapeltes Balkendiagramm mit {count} Balken.',
+        'charts.type_doughnut': 'Ringdiagramm mit {count} Segmenten.',
+        'charts.type_radar': 'Netzdiagramm mit {count} Achsen.',
+        'charts.summary_range': '{series} verläuft von {first} ({firstLabel}) bis {last} ({lastLabel}), mit dem Höchstwert {max} ({maxLabel}) und dem Tiefstwert {min} ({minLabel}).',
+        'charts.summary_extremes': '{series} ist bei {maxLabel} am höchsten ({max}) und bei {minLabel} am niedrigsten ({min}).',
+        'charts.summary_shares': '{series}: {shares}.',
+        'charts.share': '{label} {value} ({percent} %)',
+        'charts.show_table': 'Datentabelle anzeigen',
+        'charts.hide_table': 'Datentabelle ausblenden',
+        'charts.col_category': 'Kategorie',
+        'kpis.status_positive': 'Im Plan',
+        'kpis.status_neutral': 'Stabil',
+        'kpis.status_negative': 'Handlungsbedarf',
+
+        'roi.team_size': 'Personen mit manuellen Aufgaben',
+        'roi.hours_per_week': 'Stunden pro Person und Woche für manuelle Aufgaben',
+        'roi.hourly_cost': 'Kosten pro Stunde ({currency})',
+        'roi.invalid': 'Bitte eine Zahl zwischen {min} und {max} eingeben.',
+        'roi.phase_manual': 'Heute manuell',
+        'roi.phase_automation': 'Phase 1: Automatisierung',
+        'roi.phase_ai': 'Phase 2: KI-Optimierung',
+        'roi.col_phase': 'Phase',
+        'roi.col_hours': 'Stunden pro Woche',
+        'roi.col_saved': 'Eingesparte Stunden pro Woche',
+        'roi.col_savings': 'Einsparung pro Jahr',
+        'roi.summary': 'Bis zu **{hours} Stunden** und **{savings}** pro Jahr frei für Wichtigeres.',
+        'roi.assumptions': 'Gerechnet mit {weeks} Arbeitswochen pro Jahr. Die Automatisierung in Phase 1 übernimmt typischerweise etwa 40 % der manuellen Arbeit, die KI-Optimierung in Phase 2 etwa 70 %.',
+        'roi.submit': 'Diese Zahlen an MakerToo senden',
+        'roi.submitting': 'Wird gesendet...',
+        'roi.sent': 'Vielen Dank! Wir legen unserem Angebot diese Zahlen zugrunde.',
+        'roi.send_failed': 'Ihre Zahlen konnten nicht gesendet werden. Bitte versuchen Sie es erneut.',
+        'roi.chart_savings_title': 'Prognostizierte kumulierte Einsparungen',
+        'roi.chart_savings_label': 'Kumulierte Einsparungen',
+        'roi.chart_hours_title': 'Höhere betriebliche Effizienz',
+        'roi.chart_hours_label': 'Stunden für manuelle Aufgaben pro Woche',
+        'roi.quarter': 'Q{quarter}',
+
+        'errors.not_found': 'Für diese Besucher-ID wurden keine personalisierten Einblicke gefunden. Bitte prüfen Sie die ID oder kontaktieren Sie uns, falls sie aktiv sein sollte.',
+        'errors.invalid_visitor_id': 'Bitte geben Sie eine gültige Besucher-ID an.',
+        'errors.link_expired': 'Dieser Dashboard-Link ist abgelaufen. Antworten Sie einfach auf unsere E-Mail und wir senden Ihnen einen neuen.',
+        'errors.link_invalid': 'Dieser Dashboard-Link ist ungültig. Bitte verwenden Sie den Link aus Ihrer E-Mail.',
+        'errors.nonce_invalid': 'Die Sicherheitsprüfung beim Laden Ihres Dashboards ist fehlgeschlagen. Bitte versuchen Sie es gleich noch einmal.',
+        'errors.network_error': 'Keine Antwort vom Dashboard-Server. Bitte prüfen Sie Ihre Verbindung.',
+        'errors.upstream_unreachable': 'Der Dashboard-Dienst antwortet gerade nicht. Bitte versuchen Sie es gleich noch einmal.',
+
+        'report.kicker': 'MAKERTOO · PERSÖNLICHES BRIEFING',
+        'report.prepared_for': 'Erstellt für {firstName} · {date}',
+        'report.intro': 'Dieses Briefing zeigt, wie MakerToo {companyName} dabei unterstützen kann, **{fromAbstract}**.',
+        'report.contact': 'Antworten Sie auf die erhaltene E-Mail oder schreiben Sie uns an {email}.',
+        'report.title': 'MakerToo-Briefing für {companyName}',
+        'report.subject': 'Persönliches Dashboard für {firstName} bei {companyName}',
+        'report.roi_inputs': '{teamSize} Personen · {hoursPerWeek} Stunden pro Person und Woche · {hourlyCost} pro Stunde',
+        'report.footer': 'MakerToo-Briefing für {companyName} · Seite {page} von {pageCount}',
+    },
+    copy: {
+        'briefing.title': '{companyName} im Überblick',
+        'briefing.snapshot_heading': 'Unternehmensprofil',
+        'briefing.usp_heading': 'Alleinstellungsmerkmal',
+        'briefing.leadership_heading': 'Über die Geschäftsführung',
+
+        'key_focus.title': 'Strategischer Fokus für {companyName}',
+        'key_focus.area_heading': 'Identifiziertes Schlüsselthema:',
+        'key_focus.approach_heading': 'So geht MakerToo das an:',
+        'key_focus.intro': 'MakerToo entwickelt maßgeschneiderte KI- und Automatisierungslösungen auf Open-Source-Basis, die Datensouveränität sichern und messbare Ergebnisse liefern. Wir unterstützen {companyName} bei diesem Thema, indem wir:',
+        'key_focus.bullets': [
+            'passgenaue Automatisierungen entwickeln, die relevante Prozesse verschlanken und Ressourcen für strategisches Wachstum freisetzen.',
+            'KI-gestützte Analysen einführen, die Strategie und Entscheidungen rund um diese Herausforderung oder Chance fundieren.',
+            'robuste, skalierbare Open-Source-Backends aufbauen, mit denen Sie die volle Kontrolle über die entscheidenden Daten behalten.',
+        ],
+
+        'core_services.title': 'Ihre Stärken ausbauen',
+        'core_services.intro': 'Ausgehend von den Kernleistungen von {companyName} in **{coreServices}** kann MakerToo gemeinsam mit Ihnen:',
+        'core_services.bullets': [
+            '**Die Wirkung Ihrer Leistungen steigern:** Eigene KI-Werkzeuge integrieren, die Ihre Kernangebote wirksamer machen.',
+            '**Die betriebliche Effizienz erhöhen:** Backend-Abläufe rund um diese Leistungen mit n8n-Automatisierung und effizienten Open-Source-Datenbanken verschlanken.',
+            '**Neues Leistungspotenzial erschließen:** Ihre vorhandenen Daten (mit voller Datensouveränität) nutzen, um neue, KI-gestützte Angebote zu entwickeln.',
+        ],
+
+        'kpis.title': 'Erwartete Wirkung mit MakerToo',
+
+        'roi.title': 'Berechnen Sie Ihre Einsparungen, {firstName}',
+        'roi.intro': 'Geben Sie die Zahlen für {companyName} ein und sehen Sie, wie viel Zeit und Geld jede Automatisierungsphase freisetzen könnte. Die Diagramme zu Effizienz und Einsparungen passen sich bei der Eingabe an.',
+
+        'analytics.title': 'Prognosen',
+        'analytics.title_illustrative': 'Beispielhafte Prognosen',
+        'analytics.intro': 'So könnten sich die Lösungen von MakerToo für {companyName} auswirken.',
+        'analytics.note': 'Diese Prognosen wurden für Ihr Unternehmen erstellt.',
+        'analytics.note_illustrative': 'Diese Prognosen sind beispielhaft und beruhen auf typischen Ergebnissen.',
+        'analytics.note_roi': 'Die Diagramme zu Einsparungen und Effizienz folgen den Zahlen im ROI-Rechner.',
+
+        'research.title': 'Mehr erfahren: Die vollständige Recherche zu {companyName}',
+        'research.intro': 'Im Folgenden finden Sie den ausführlichen Recherchebericht, mit dem wir die Marktposition und die Chancen von {companyName} analysiert haben. Er bildet die Grundlage unserer Vorschläge.',
+
+        'booking.title': 'Bereit für den nächsten Schritt, {firstName}?',
+        'booking.intro': 'Vereinbaren Sie ein kostenloses Strategiegespräch, in dem wir besprechen, wie MakerToo diese KI- und Automatisierungslösungen passgenau für Ihre Ziele konzipiert und umsetzt.',
+    },
+    record: {
+        firstName: 'geschätzter Interessent',
+        companyName: 'Ihr Unternehmen',
+        fromAbstract: 'zentrale strategische Ziele zu erreichen',
+        kpis: [
+            { label: 'Strategische Passung', value: 'Hoch', target: 'Mit dem Open-Source-Fokus von MakerToo', icon: 'dashicons-admin-links', color: 'var(--accent-purple)' },
+            { label: 'Innovationspotenzial', value: 'Deutlich', target: 'Durch individuelle KI und Automatisierung', icon: 'dashicons-lightbulb', color: 'var(--accent-blue)' },
+            { label: 'Datenkontrolle', value: 'Vollständig', target: 'Durch eigene Infrastruktur', icon: 'dashicons-lock', color: 'var(--accent-green)' },
+            { label: 'Zukünftige Skalierbarkeit', value: 'Gesichert', target: 'Mit flexiblen Technologien', icon: 'dashicons-backup', color: 'var(--accent-pink)' },
+        ],
+    },
+};
+
+export default de;
@@ -0,0 +1,135 @@
+// lib/i18n/en.js
+// English catalog: the reference every other catalog falls back to, key by key.
+// Section copy and record fallbacks are English in lib/dashboardCopy.js and lib/visitorRecord.js.
+
+const en = {
+    messages: {
+        'meta.title_visitor': 'MakerToo Dashboard - {firstName} @ {companyName}',
+        'meta.title_loading': 'MakerToo Dashboard - Loading...',
+        'meta.title_welcome': 'MakerToo Dashboard - Welcome',
+        'meta.description_visitor': 'Personalized dashboard insights for {companyName}. Unlock your AI and Automation advantage.',
+        'meta.description': 'Personalized dashboard insights by MakerToo. Unlock your AI and Automation advantage.',
+        'og.headline': '{firstName}, your personalized briefing is ready',
+        'og.prepared_for': 'AI and automation insights for {companyName}',
+        'og.image_alt': 'Personalized MakerToo briefing for {companyName}',
+        'updates.badge': 'Updated',
+        'updates.notice': 'New since your last visit on {date}: look for the “Updated” badges.',
+
+        'status.enter_id': 'Enter a Visitor ID to begin.',
+        'status.enter_id_required': 'Please enter a Visitor ID.',
+        'status.initializing': 'Initializing dashboard services...',
+        'status.initializing_wait': 'Dashboard is still initializing configuration. Please wait a moment or refresh.',
+        'status.loading': 'Fetching personalized insights for ID: {visitorId}',
+        'status.loaded': 'Showing personalized data for: {firstName} from {companyName}',
+        'status.stale': 'Showing your saved dashboard from {date}. {detail}',
+        'status.checking_updates': 'Checking for updates...',
+
+        'header.welcome': 'Welcome, **{firstName} from {companyName}**!',
+        'header.welcome_no_company': 'Welcome, **{firstName}**!',
+        'header.lead': 'This dashboard highlights how MakerToo can assist {companyName} to **{fromAbstract}**.',
+        'header.explore': 'Explore below for tailored insights and our detailed research.',
+        'header.loading_title': 'Loading Dashboard...',
+        'header.loading_lead': 'Crafting your personalized experience...',
+        'header.expired_title': 'This Link Has Expired',
+        'header.expired_help': 'Dashboard links stay active for a limited time to keep your insights private. You can also contact us at {email}.',
+        'header.invalid_title': 'Invalid Dashboard Link',
+        'header.invalid_help': 'Please open the dashboard from the link in your email. If it still does not work, contact us at {email}.',
+        'header.error_title': 'Attention Required',
+        'header.error_fallback': 'An issue occurred preventing data load.',
+        'header.error_help': 'Please double-check the Visitor ID or try refreshing. If the problem persists, the link may be invalid or you can contact support.',
+        'header.ready_title': 'Welcome to Your Personalized Dashboard!',
+        'header.ready_lead': 'Please enter your unique Visitor ID above to unlock tailored insights.',
+
+        'actions.export_pdf': 'Export PDF',
+        'actions.print': 'Print',
+
+        'input.placeholder': 'Enter Your Visitor ID',
+        'input.label': 'Visitor ID',
+        'input.submit': 'Unlock Insights',
+        'loading.spinner_label': 'Loading Spinner',
+
+        'briefing.logo_alt': '{companyName} Logo',
+        'briefing.website_title': '{companyName} Website',
+        'research.show': 'View Full Research Report',
+        'research.hide': 'Hide Full Research Report',
+        'research.toc_title': 'Contents',
+        'research.progress': 'Reading progress',
+        'research.search_label': 'Search the report',
+        'research.search_placeholder': 'Search the report...',
+        'research.matches_one': '1 match',
+        'research.matches_other': '{count} matches',
+        'research.match_position': '{current} of {count}',
+        'research.no_matches': 'No matches',
+        'research.previous_match': 'Previous match',
+        'research.next_match': 'Next match',
+        'research.expand_all': 'Expand all',
+        'research.collapse_all': 'Collapse all',
+        'research.section_link': 'Link to "{title}"',
+        'booking.iframe_title': 'Schedule a Consultation with MakerToo for {companyName}',
+        'booking.placeholder': 'Booking options are currently being finalized. Please check back shortly.',
+        'booking.contact': 'Alternatively, please reply to the email you received, or contact us directly at {email}.',
+        'booking.admin_note': 'Admin Note: Booking link requires configuration.',
+        'booking.loading': 'Loading the scheduler...',
+        'booking.confirmed_title': 'You are booked, {firstName}!',
+        'booking.confirmed_time': 'Your strategy session is scheduled for {date}. A calendar invitation is on its way to your inbox.',
+        'booking.confirmed': 'Thank you for scheduling a strategy session. A calendar invitation is on its way to your inbox.',
+        'charts.type_line': 'Line chart with {count} points.',
+        'charts.type_bar': 'Bar chart with {count} bars.',
+        'charts.type_stacked_bar': 'Stacked bar chart with {count} bars.',
+        'charts.type_doughnut': 'Doughnut chart with {count} slices.',
+        'charts.type_radar': 'Radar chart with {count} axes.',
+        'charts.summary_range': '{series} goes from {first} ({firstLabel}) to {last} ({lastLabel}), highest at {max} ({maxLabel}) and lowest at {min} ({minLabel}).',
+        'charts.summary_extremes': '{series} is highest for {maxLabel} ({max}) and lowest for {minLabel} ({min}).',
+        'charts.summary_shares': '{series}: {shares}.',
+        'charts.share': '{label} {value} ({percent}%)',
+        'charts.show_table': 'Show data table',
+        'charts.hide_table': 'Hide data table',
+        'charts.col_category': 'Category',
+        'kpis.status_positive': 'On track',
+        'kpis.status_neutral': 'Stable',
+        'kpis.status_negative': 'Needs attention',
+
+        'roi.team_size': 'People doing manual tasks',
+        'roi.hours_per_week': 'Hours per person per week on manual tasks',
+        'roi.hourly_cost': 'Cost per hour ({currency})',
+        'roi.invalid': 'Enter a number between {min} and {max}.',
+        'roi.phase_manual': 'Manual today',
+        'roi.phase_automation': 'Phase 1: Automation',
+        'roi.phase_ai': 'Phase 2: AI Optimization',
+        'roi.col_phase': 'Phase',
+        'roi.col_hours': 'Hours per week',
+        'roi.col_saved': 'Hours saved per week',
+        'roi.col_savings': 'Savings per year',
+        'roi.summary': 'Up to **{hours} hours** and **{savings}** freed up per year.',
+        'roi.assumptions': 'Based on {weeks} working weeks per year. Phase 1 automation typically removes about 40% of the manual work, phase 2 AI optimization about 70%.',
+        'roi.submit': 'Send these numbers to MakerToo',
+        'roi.submitting': 'Sending...',
+        'roi.sent': 'Thank you! We will base our proposal on these numbers.',
+        'roi.send_failed': 'Your numbers could not be sent. Please try again.',
+        'roi.chart_savings_title': 'Projected Cumulative Savings',
+        'roi.chart_savings_label': 'Cumulative savings',
+        'roi.chart_hours_title': 'Enhanced Operational Efficiency',
+        'roi.chart_hours_label': 'Manual task hours per week',
+        'roi.quarter': 'Q{quarter}',
+
+        // Keyed by API error code (lib/apiResponse.js); codes without an entry show the server's message.
+        'errors.not_found': 'No personalized insights found for this Visitor ID. Please verify the ID or contact us if this ID should be active.',
+        'errors.invalid_visitor_id': 'Please provide a valid Visitor ID.',
+        'errors.link_expired': 'This dashboard link has expired. Please reply to our email and we will send you a fresh one.',
+        'errors.link_invalid': 'This dashboard link is not valid. Please use the link from your email.',
+        'errors.nonce_invalid': 'Security check failed while loading your dashboard. Please try again in a moment.',
+        'errors.network_error': 'No response from the dashboard server. Please check connectivity.',
+        'errors.upstream_unreachable': 'The dashboard service is not responding right now. Please try again in a moment.',
+
+        'report.kicker': 'MAKERTOO · PERSONALIZED BRIEFING',
+        'report.prepared_for': 'Prepared for {firstName} · {date}',
+        'report.intro': 'This briefing highlights how MakerToo can assist {companyName} to **{fromAbstract}**.',
+        'report.contact': 'Reply to the email you received, or contact us at {email}.',
+        'report.title': 'MakerToo briefing for {companyName}',
+        'report.subject': 'Personalized dashboard for {firstName} at {companyName}',
+        'report.roi_inputs': '{teamSize} people · {hoursPerWeek} hours per person per week · {hourlyCost} per hour',
+        'report.footer': 'MakerToo briefing for {companyName} · Page {page} of {pageCount}',
+    },
+};
+
+export default en;
@@ -0,0 +1,186 @@
+// lib/i18n/es.js
+// Spanish catalog: interface messages, section copy (keys of DEFAULT_COPY) and record fallbacks.
+
+const es = {
+    messages: {
+        'meta.title_visitor': 'Panel de MakerToo - {firstName} @ {companyName}',
+        'meta.title_loading': 'Panel de MakerToo - Cargando...',
+        'meta.title_welcome': 'Panel de MakerToo - Bienvenida',
+        'meta.description_visitor': 'Información personalizada para {companyName}. Descubra su ventaja con IA y automatización.',
+        'meta.description': 'Información personalizada de MakerToo. Descubra su ventaja con IA y automatización.',
+        'og.headline': '{firstName}, su informe personalizado está listo',
+        'og.prepared_for': 'Análisis de IA y automatización para {companyName}',
+        'og.image_alt': 'Informe personalizado de MakerToo para {companyName}',
+        'updates.badge': 'Actualizado',
+        'updates.notice': 'Novedades desde su última visita del {date}: busque las etiquetas «Actualizado».',
+
+        'status.enter_id': 'Introduzca un ID de visitante para empezar.',
+        'status.enter_id_required': 'Introduzca un ID de visitante.',
+        'status.initializing': 'Iniciando los servicios del panel...',
+        'status.initializing_wait': 'El panel todavía está cargando su configuración. Espere un momento o recargue la página.',
+        'status.loading': 'Cargando información personalizada para el ID: {visitorId}',
+        'status.loaded': 'Datos personalizados para: {firstName} de {companyName}',
+        'status.stale': 'Mostrando su panel guardado del {date}. {detail}',
+        'status.checking_updates': 'Buscando actualizaciones...',
+
+        'header.welcome': '¡Bienvenido/a, **{firstName} de {companyName}**!',
+        'header.welcome_no_company': '¡Bienvenido/a, **{firstName}**!',
+        'header.lead': 'Este panel muestra cómo MakerToo puede ayudar a {companyName} a **{fromAbstract}**.',
+        'header.explore': 'A continuación encontrará información a medida y nuestra investigación detallada.',
+        'header.loading_title': 'Cargando el panel...',
+        'header.loading_lead': 'Preparando su experiencia personalizada...',
+        'header.expired_title': 'Este enlace ha caducado',
+        'header.expired_help': 'Los enlaces del panel están activos durante un tiempo limitado para proteger su información. También puede escribirnos a {email}.',
+        'header.invalid_title': 'Enlace no válido',
+        'header.invalid_help': 'Abra el panel desde el enlace de su correo. Si sigue sin funcionar, escríbanos a {email}.',
+        'header.error_title': 'Se requiere atención',
+        'header.error_fallback': 'Un problema impidió cargar los datos.',
+        'header.error_help': 'Compruebe el ID de visitante o recargue la página. Si el problema continúa, es posible que el enlace no sea válido; también puede contactar con soporte.',
+        'header.ready_title': '¡Bienvenido/a a su panel personalizado!',
+        'header.ready_lead': 'Introduzca arriba su ID de visitante para ver su información personalizada.',
+
+        'actions.export_pdf': 'Exportar PDF',
+        'actions.print': 'Imprimir',
+
+        'input.placeholder': 'Su ID de visitante',
+        'input.label': 'ID de visitante',
+        'input.submit': 'Ver mi información',
+        'loading.spinner_label': 'Cargando',
+
+        'briefing.logo_alt': 'Logotipo de {companyName}',
+        'briefing.website_title': 'Sitio web de {companyName}',
+        'research.show': 'Ver el informe de investigación completo',
+        'research.hide': 'Ocultar el informe de investigación',
+        'research.toc_title': 'Índice',
+        'research.progress': 'Progreso de lectura',
+        'research.search_label': 'Buscar en el informe',
+        'research.search_placeholder': 'Buscar en el informe...',
+        'research.matches_one': '1 coincidencia',
+        'research.matches_other': '{count} coincidencias',
+        'research.match_position': '{current} de {count}',
+        'research.no_matches': 'Sin coincidencias',
+        'research.previous_match': 'Coincidencia anterior',
+        'research.next_match': 'Coincidencia siguiente',
+        'research.expand_all': 'Desplegar todo',
+        'research.collapse_all': 'Plegar todo',
+        'research.section_link': 'Enlace a «{title}»',
+        'booking.iframe_title': 'Reserve una consulta con MakerToo para {companyName}',
+        'booking.placeholder': 'Las opciones de reserva se están ultimando. Vuelva a consultarlo en breve.',
+        'booking.contact': 'También puede responder al correo que recibió o escribirnos directamente a {email}.',
+        'booking.admin_note': 'Nota para administradores: falta configurar el enlace de reserva.',
+        'booking.loading': 'Cargando el calendario...',
+        'booking.confirmed_title': '¡Reserva confirmada, {firstName}!',
+        'booking.confirmed_time': 'Su sesión estratégica está programada para el {date}. Recibirá una invitación de calendario en su correo.',
+        'booking.confirmed': 'Gracias por reservar una sesión estratégica. Recibirá una invitación de calendario en su correo.',
+        'charts.type_line': 'Gráfico de líneas con {count} puntos.',
+        'charts.type_bar': 'Gráfico de barras con {count} barras.',
+        'charts.type_stacked_bar': 'Gráfico de barras apiladas con {count} barras.',
+        'charts.type_doughnut': 'Gráfico de anillo con {count} segmentos.',
+        'charts.type_radar': 'Gráfico de radar con {count} ejes.',
+        'charts.summary_range': '{series} pasa de {first} ({firstLabel}) a {last} ({lastLabel}), con un máximo de {max} ({maxLabel}) y un mínimo de {min} ({minLabel}).',
+        'charts.summary_extremes': '{series} alcanza su máximo en {maxLabel} ({max}) y su mínimo en {minLabel} ({min}).',
+        'charts.summary_shares': '{series}: {shares}.',
+        'charts.share': '{label} {value} ({percent} %)',
+        'charts.show_table': 'Mostrar tabla de datos',
+        'charts.hide_table': 'Ocultar tabla de datos',
+        'charts.col_category': 'Categoría',
+        'kpis.status_positive': 'En buen camino',
+        'kpis.status_neutral': 'Estable',
+        'kpis.status_negative': 'Requiere atención',
+
+        'roi.team_size': 'Personas que realizan tareas manuales',
+        'roi.hours_per_week': 'Horas por persona y semana dedicadas a tareas manuales',
+        'roi.hourly_cost': 'Coste por hora ({currency})',
+        'roi.invalid': 'Introduce un número entre {min} y {max}.',
+        'roi.phase_manual': 'Manual hoy',
+        'roi.phase_automation': 'Fase 1: automatización',
+        'roi.phase_ai': 'Fase 2: optimización con IA',
+        'roi.col_phase': 'Fase',
+        'roi.col_hours': 'Horas por semana',
+        'roi.col_saved': 'Horas ahorradas por semana',
+        'roi.col_savings': 'Ahorro anual',
+        'roi.summary': 'Hasta **{hours} horas** y **{savings}** liberados cada año.',
+        'roi.assumptions': 'Calculado con {weeks} semanas laborables al año. La automatización de la fase 1 suele eliminar alrededor del 40 % del trabajo manual y la optimización con IA de la fase 2, alrededor del 70 %.',
+        'roi.submit': 'Enviar estas cifras a MakerToo',
+        'roi.submitting': 'Enviando...',
+        'roi.sent': '¡Gracias! Basaremos nuestra propuesta en estas cifras.',
+        'roi.send_failed': 'No se pudieron enviar tus cifras. Inténtalo de nuevo.',
+        'roi.chart_savings_title': 'Ahorro acumulado previsto',
+        'roi.chart_savings_label': 'Ahorro acumulado',
+        'roi.chart_hours_title': 'Mayor eficiencia operativa',
+        'roi.chart_hours_label': 'Horas de tareas manuales por semana',
+        'roi.quarter': 'T{quarter}',
+
+        'errors.not_found': 'No se encontró información personalizada para este ID de visitante. Compruebe el ID o contáctenos si debería estar activo.',
+        'errors.invalid_visitor_id': 'Indique un ID de visitante válido.',
+        'errors.link_expired': 'Este enlace ha caducado. Responda a nuestro correo y le enviaremos uno nuevo.',
+        'errors.link_invalid': 'Este enlace no es válido. Utilice el enlace de su correo.',
+        'errors.nonce_invalid': 'La comprobación de seguridad falló al cargar su panel. Inténtelo de nuevo en un momento.',
+        'errors.network_error': 'El servidor del panel no responde. Compruebe su conexión.',
+        'errors.upstream_unreachable': 'El servicio no responde en este momento. Inténtelo de nuevo en un momento.',
+
+        'report.kicker': 'MAKERTOO · INFORME PERSONALIZADO',
+        'report.prepared_for': 'Preparado para {firstName} · {date}',
+        'report.intro': 'Este informe muestra cómo MakerToo puede ayudar a {companyName} a **{fromAbstract}**.',
+        'report.contact': 'Responda al correo que recibió o escríbanos a {email}.',
+        'report.title': 'Informe de MakerToo para {companyName}',
+        'report.subject': 'Panel personalizado para {firstName} en {companyName}',
+        'report.roi_inputs': '{teamSize} personas · {hoursPerWeek} horas por persona y semana · {hourlyCost} por hora',
+        'report.footer': 'Informe de MakerToo para {companyName} · Página {page} de {pageCount}',
+    },
+    copy: {
+        'briefing.title': 'Conociendo a {companyName}',
+        'briefing.snapshot_heading': 'Resumen de la empresa',
+        'briefing.usp_heading': 'Propuesta de valor única',
+        'briefing.leadership_heading': 'Sobre la dirección',
+
+        'key_focus.title': 'Enfoque estratégico para {companyName}',
+        'key_focus.area_heading': 'Área clave identificada:',
+        'key_focus.approach_heading': 'Cómo lo aborda MakerToo:',
+        'key_focus.intro': 'MakerToo diseña soluciones de IA y automatización a medida, basadas en código abierto, que garantizan la soberanía de los datos y generan resultados medibles. Podemos ayudar a {companyName} a abordar esta área:',
+        'key_focus.bullets': [
+            'Desarrollando automatizaciones a medida que agilizan los procesos implicados y liberan recursos para crecer.',
+            'Incorporando análisis basados en IA que orientan la estrategia y las decisiones sobre este reto u oportunidad.',
+            'Construyendo backends de código abierto robustos y escalables que le dan el control total de los datos clave.',
+        ],
+
+        'core_services.title': 'Potenciando sus fortalezas',
+        'core_services.intro': 'A partir de los servicios principales de {companyName} en **{coreServices}**, MakerToo puede ayudarle a:',
+        'core_services.bullets': [
+            '**Ampliar el impacto de sus servicios:** integrar herramientas de IA a medida que mejoran la entrega de su oferta principal.',
+            '**Aumentar la eficiencia operativa:** agilizar los flujos internos de estos servicios con automatización n8n y bases de datos de código abierto eficientes.',
+            '**Abrir nuevas líneas de servicio:** aprovechar sus datos actuales (con plena soberanía) para crear nuevos servicios potenciados por IA.',
+        ],
+
+        'kpis.title': 'Impacto previsto con MakerToo',
+
+        'roi.title': 'Calcula tu ahorro, {firstName}',
+        'roi.intro': 'Introduce las cifras de {companyName} para ver cuánto tiempo y dinero podría liberar cada fase de automatización. Los gráficos de eficiencia y ahorro se actualizan mientras escribes.',
+
+        'analytics.title': 'Proyecciones de rendimiento',
+        'analytics.title_illustrative': 'Proyecciones de rendimiento ilustrativas',
+        'analytics.intro': 'El impacto potencial de las soluciones de MakerToo para {companyName}.',
+        'analytics.note': 'Estas proyecciones se prepararon para su empresa.',
+        'analytics.note_illustrative': 'Estas proyecciones son ilustrativas y se basan en resultados habituales.',
+        'analytics.note_roi': 'Los gráficos de ahorro y eficiencia siguen las cifras de la calculadora de ROI.',
+
+        'research.title': 'Más a fondo: la investigación completa sobre {companyName}',
+        'research.intro': 'A continuación encontrará el informe de investigación detallado que elaboramos para entender la posición de mercado y las oportunidades de {companyName}. Es la base de las estrategias que proponemos.',
+
+        'booking.title': '¿Listo/a para impulsar {companyName}, {firstName}?',
+        'booking.intro': 'Agendemos una sesión estratégica gratuita para ver cómo MakerToo puede diseñar e implantar estas soluciones de IA y automatización, adaptadas a sus objetivos.',
+    },
+    record: {
+        firstName: 'estimado/a cliente',
+        companyName: 'Su empresa',
+        fromAbstract: 'alcanzar sus objetivos estratégicos clave',
+        kpis: [
+            { label: 'Alineación estratégica', value: 'Alta', target: 'Con el enfoque de código abierto de MakerToo', icon: 'dashicons-admin-links', color: 'var(--accent-purple)' },
+            { label: 'Potencial de innovación', value: 'Significativo', target: 'Con IA y automatización a medida', icon: 'dashicons-lightbulb', color: 'var(--accent-blue)' },
+            { label: 'Control de los datos', value: 'Total', target: 'Con infraestructura privada', icon: 'dashicons-lock', color: 'var(--accent-green)' },
+            { label: 'Escalabilidad futura', value: 'Garantizada', target: 'Con tecnologías flexibles', icon: 'dashicons-backup', color: 'var(--accent-pink)' },
+        ],
+    },
+};
+
+export default es;
@@ -0,0 +1,186 @@
+// lib/i18n/fr.js
+// French catalog: interface messages, section copy (keys of DEFAULT_COPY) and record fallbacks.
+
+const fr = {
+    messages: {
+        'meta.title_visitor': 'Tableau de bord MakerToo - {firstName} @ {companyName}',
+        'meta.title_loading': 'Tableau de bord MakerToo - Chargement...',
+        'meta.title_welcome': 'Tableau de bord MakerToo - Bienvenue',
+        'meta.description_visitor': "Analyses personnalisées pour {companyName}. Prenez l'avantage grâce à l'IA et à l'automatisation.",
+        'meta.description': "Analyses personnalisées par MakerToo. Prenez l'avantage grâce à l'IA et à l'automatisation.",
+        'og.headline': '{firstName}, votre briefing personnalisé est prêt',
+        'og.prepared_for': 'Analyses IA et automatisation pour {companyName}',
+        'og.image_alt': 'Briefing MakerToo personnalisé pour {companyName}',
+        'updates.badge': 'Mis à jour',
+        'updates.notice': 'Nouveautés depuis votre dernière visite du {date} : repérez les badges « Mis à jour ».',
+
+        'status.enter_id': 'Saisissez un identifiant visiteur pour commencer.',
+        'status.enter_id_required': 'Veuillez saisir un identifiant visiteur.',
+        'status.initializing': 'Initialisation des services du tableau de bord...',
+        'status.initializing_wait': 'Le tableau de bord charge encore sa configuration. Patientez un instant ou actualisez la page.',
+        'status.loading': "Chargement des analyses personnalisées pour l'identifiant : {visitorId}",
+        'status.loaded': 'Données personnalisées pour : {firstName} de {companyName}',
+        'status.stale': 'Affichage de votre tableau de bord enregistré le {date}. {detail}',
+        'status.checking_updates': 'Recherche de mises à jour...',
+
+        'header.welcome': 'Bienvenue, **{firstName} de {companyName}** !',
+        'header.welcome_no_company': 'Bienvenue, **{firstName}** !',
+        'header.lead': 'Ce tableau de bord montre comment MakerToo peut aider {companyName} à **{fromAbstract}**.',
+        'header.explore': 'Découvrez ci-dessous des analyses sur mesure et notre recherche détaillée.',
+        'header.loading_title': 'Chargement du tableau de bord...',
+        'header.loading_lead': 'Nous préparons votre expérience personnalisée...',
+        'header.expired_title': 'Ce lien a expiré',
+        'header.expired_help': 'Les liens restent actifs pendant une durée limitée afin de préserver la confidentialité de vos analyses. Vous pouvez aussi nous écrire à {email}.',
+        'header.invalid_title': 'Lien de tableau de bord invalide',
+        'header.invalid_help': "Veuillez ouvrir le tableau de bord depuis le lien de votre e-mail. Si cela ne fonctionne toujours pas, écrivez-nous à {email}.",
+        'header.error_title': 'Action requise',
+        'header.error_fallback': 'Un problème a empêché le chargement des données.',
+        'header.error_help': "Vérifiez l'identifiant visiteur ou actualisez la page. Si le problème persiste, le lien est peut-être invalide ; vous pouvez aussi contacter notre support.",
+        'header.ready_title': 'Bienvenue dans votre tableau de bord personnalisé !',
+        'header.ready_lead': 'Saisissez ci-dessus votre identifiant visiteur pour accéder à vos analyses.',
+
+        'actions.export_pdf': 'Exporter en PDF',
+        'actions.print': 'Imprimer',
+
+        'input.placeholder': 'Votre identifiant visiteur',
+        'input.label': 'Identifiant visiteur',
+        'input.submit': 'Voir mes analyses',
+        'loading.spinner_label': 'Chargement',
+
+        'briefing.logo_alt': 'Logo de {companyName}',
+        'briefing.website_title': 'Site web de {companyName}',
+        'research.show': 'Afficher le rapport de recherche complet',
+        'research.hide': 'Masquer le rapport de recherche',
+        'research.toc_title': 'Sommaire',
+        'research.progress': 'Progression de la lecture',
+        'research.search_label': 'Rechercher dans le rapport',
+        'research.search_placeholder': 'Rechercher dans le rapport...',
+        'research.matches_one': '1 résultat',
+        'research.matches_other': '{count} résultats',
+        'research.match_position': '{current} sur {count}',
+        'research.no_matches': 'Aucun résultat',
+        'research.previous_match': 'Résultat précédent',
+        'research.next_match': 'Résultat suivant',
+        'research.expand_all': 'Tout déplier',
+        'research.collapse_all': 'Tout replier',
+        'research.section_link': 'Lien vers « {title} »',
+        'booking.iframe_title': 'Planifier un rendez-vous avec MakerToo pour {companyName}',
+        'booking.placeholder': 'La prise de rendez-vous est en cours de finalisation. Revenez très bientôt.',
+        'booking.contact': "Vous pouvez aussi répondre à l'e-mail reçu ou nous écrire directement à {email}.",
+        'booking.admin_note': 'Note admin : le lien de réservation doit être configuré.',
+        'booking.loading': 'Chargement du calendrier...',
+        'booking.confirmed_title': 'Rendez-vous confirmé, {firstName} !',
+        'booking.confirmed_time': 'Votre échange stratégique est prévu le {date}. Une invitation de calendrier arrive dans votre boîte mail.',
+        'booking.confirmed': 'Merci d’avoir réservé un échange stratégique. Une invitation de calendrier arrive dans votre boîte mail.',
+        'charts.type_line': 'Graphique en courbe de {count} points.',
+        'charts.type_bar': 'Graphique en barres de {count} barres.',
+        'charts.type_stacked_bar': 'Graphique en barres empilées de {count} barres.',
+        'charts.type_doughnut': 'Graphique en anneau de {count} segments.',
+        'charts.type_radar': 'Graphique radar de {count} axes.',
+        'charts.summary_range': '{series} passe de {first} ({firstLabel}) à {last} ({lastLabel}), avec un maximum de {max} ({maxLabel}) et un minimum de {min} ({minLabel}).',
+        'charts.summary_extremes': '{series} est au plus haut pour {maxLabel} ({max}) et au plus bas pour {minLabel} ({min}).',
+        'charts.summary_shares': '{series} : {shares}.',
+        'charts.share': '{label} {value} ({percent} %)',
+        'charts.show_table': 'Afficher le tableau de données',
+        'charts.hide_table': 'Masquer le tableau de données',
+        'charts.col_category': 'Catégorie',
+        'kpis.status_positive': 'En bonne voie',
+        'kpis.status_neutral': 'Stable',
+        'kpis.status_negative': 'À surveiller',
+
+        'roi.team_size': 'Personnes effectuant des tâches manuelles',
+        'roi.hours_per_week': 'Heures par personne et par semaine consacrées aux tâches manuelles',
+        'roi.hourly_cost': 'Coût horaire ({currency})',
+        'roi.invalid': 'Saisissez un nombre entre {min} et {max}.',
+        'roi.phase_manual': 'Manuel aujourd’hui',
+        'roi.phase_automation': 'Phase 1 : automatisation',
+        'roi.phase_ai': 'Phase 2 : optimisation par l’IA',
+        'roi.col_phase': 'Phase',
+        'roi.col_hours': 'Heures par semaine',
+        'roi.col_saved': 'Heures gagnées par semaine',
+        'roi.col_savings': 'Économies par an',
+        'roi.summary': 'Jusqu’à **{hours} heures** et **{savings}** libérées chaque année.',
+        'roi.assumptions': 'Calcul sur {weeks} semaines travaillées par an. L’automatisation de la phase 1 supprime généralement environ 40 % du travail manuel, l’optimisation par l’IA de la phase 2 environ 70 %.',
+        'roi.submit': 'Envoyer ces chiffres à MakerToo',
+        'roi.submitting': 'Envoi en cours...',
+        'roi.sent': 'Merci ! Nous baserons notre proposition sur ces chiffres.',
+        'roi.send_failed': 'Vos chiffres n’ont pas pu être envoyés. Veuillez réessayer.',
+        'roi.chart_savings_title': 'Économies cumulées prévues',
+        'roi.chart_savings_label': 'Économies cumulées',
+        'roi.chart_hours_title': 'Efficacité opérationnelle renforcée',
+        'roi.chart_hours_label': 'Heures de tâches manuelles par semaine',
+        'roi.quarter': 'T{quarter}',
+
+        'errors.not_found': "Aucune analyse personnalisée n'a été trouvée pour cet identifiant. Vérifiez-le ou contactez-nous s'il devrait être actif.",
+        'errors.invalid_visitor_id': 'Veuillez fournir un identifiant visiteur valide.',
+        'errors.link_expired': 'Ce lien a expiré. Répondez à notre e-mail et nous vous en enverrons un nouveau.',
+        'errors.link_invalid': "Ce lien n'est pas valide. Veuillez utiliser le lien de votre e-mail.",
+        'errors.nonce_invalid': 'La vérification de sécurité a échoué lors du chargement. Veuillez réessayer dans un instant.',
+        'errors.network_error': 'Le serveur du tableau de bord ne répond pas. Vérifiez votre connexion.',
+        'errors.upstream_unreachable': 'Le service ne répond pas pour le moment. Veuillez réessayer dans un instant.',
+
+        'report.kicker': 'MAKERTOO · BRIEFING PERSONNALISÉ',
+        'report.prepared_for': 'Préparé pour {firstName} · {date}',
+        'report.intro': 'Ce briefing montre comment MakerToo peut aider {companyName} à **{fromAbstract}**.',
+        'report.contact': "Répondez à l'e-mail reçu ou écrivez-nous à {email}.",
+        'report.title': 'Briefing MakerToo pour {companyName}',
+        'report.subject': 'Tableau de bord personnalisé pour {firstName} chez {companyName}',
+        'report.roi_inputs': '{teamSize} personnes · {hoursPerWeek} heures par personne et par semaine · {hourlyCost} de l’heure',
+        'report.footer': 'Briefing MakerToo pour {companyName} · Page {page} sur {pageCount}',
+    },
+    copy: {
+        'briefing.title': 'Comprendre {companyName}',
+        'briefing.snapshot_heading': "Aperçu de l'entreprise",
+        'briefing.usp_heading': 'Proposition de valeur unique',
+        'briefing.leadership_heading': 'À propos de la direction',
+
+        'key_focus.title': 'Priorité stratégique pour {companyName}',
+        'key_focus.area_heading': 'Enjeu identifié :',
+        'key_focus.approach_heading': 'Comment MakerToo y répond :',
+        'key_focus.intro': "MakerToo conçoit des solutions d'IA et d'automatisation sur mesure, fondées sur l'open source, pour garantir la souveraineté des données et des résultats mesurables. Nous pouvons aider {companyName} à relever cet enjeu en :",
+        'key_focus.bullets': [
+            'développant des automatisations adaptées qui allègent les processus concernés et libèrent des ressources pour la croissance.',
+            "mettant en place des analyses fondées sur l'IA pour éclairer la stratégie et les décisions liées à cet enjeu.",
+            'construisant des backends open source robustes et évolutifs qui vous donnent le contrôle total des données essentielles.',
+        ],
+
+        'core_services.title': 'Valoriser vos points forts',
+        'core_services.intro': 'À partir des services clés de {companyName} en **{coreServices}**, MakerToo peut vous aider à :',
+        'core_services.bullets': [
+            "**Amplifier l'impact de vos services :** intégrer des outils d'IA sur mesure pour renforcer vos offres principales.",
+            "**Gagner en efficacité opérationnelle :** simplifier les processus internes liés à ces services grâce à l'automatisation n8n et à des bases de données open source performantes.",
+            '**Ouvrir de nouvelles offres :** exploiter vos données existantes (en toute souveraineté) pour créer de nouveaux services augmentés par l’IA.',
+        ],
+
+        'kpis.title': 'Impact attendu avec MakerToo',
+
+        'roi.title': 'Calculez vos économies, {firstName}',
+        'roi.intro': 'Saisissez les chiffres de {companyName} pour voir le temps et l’argent que chaque phase d’automatisation pourrait libérer. Les graphiques d’efficacité et d’économies se mettent à jour pendant la saisie.',
+
+        'analytics.title': 'Projections de performance',
+        'analytics.title_illustrative': 'Projections de performance indicatives',
+        'analytics.intro': "L'impact potentiel des solutions MakerToo pour {companyName}.",
+        'analytics.note': 'Ces projections ont été préparées pour votre entreprise.',
+        'analytics.note_illustrative': 'Ces projections sont indicatives et reposent sur des résultats courants.',
+        'analytics.note_roi': 'Les graphiques d’économies et d’efficacité suivent les chiffres du calculateur de ROI.',
+
+        'research.title': 'Pour aller plus loin : la recherche complète sur {companyName}',
+        'research.intro': 'Voici le rapport de recherche détaillé établi pour comprendre le positionnement et les opportunités de {companyName}. Il fonde les stratégies que nous proposons.',
+
+        'booking.title': 'Prêt à faire décoller {companyName}, {firstName} ?',
+        'booking.intro': "Planifions un échange stratégique gratuit pour voir comment MakerToo peut concevoir et mettre en œuvre ces solutions d'IA et d'automatisation, adaptées à vos objectifs.",
+    },
+    record: {
+        firstName: 'cher prospect',
+        companyName: 'Votre entreprise',
+        fromAbstract: 'atteindre ses objectifs stratégiques clés',
+        kpis: [
+            { label: 'Alignement stratégique', value: 'Élevé', target: "Grâce à l'approche open source de MakerToo", icon: 'dashicons-admin-links', color: 'var(--accent-purple)' },
+            { label: "Potentiel d'innovation", value: 'Important', target: "Via l'IA et l'automatisation sur mesure", icon: 'dashicons-lightbulb', color: 'var(--accent-blue)' },
+            { label: 'Maîtrise des données', value: 'Totale', target: 'Grâce à une infrastructure privée', icon: 'dashicons-lock', color: 'var(--accent-green)' },
+            { label: 'Évolutivité', value: 'Assurée', target: 'Avec des technologies flexibles', icon: 'dashicons-backup', color: 'var(--accent-pink)' },
+        ],
+    },
+};
+
+export default fr;
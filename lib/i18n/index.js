@@ -0,0 +1,79 @@
+// lib/i18n/index.js
+// Message catalogs and locale helpers for the dashboard and the PDF report. One catalog per locale
+// (en.js, de.js, ...) holding interface `messages`, translated section `copy` (lib/dashboardCopy.js keys)
+// and `record` fallbacks (lib/visitorRecord.js). Any key a catalog leaves out falls back to English.
+//
+// The locale is picked from ?lang=, then the record's `language`, then the browser's Accept-Language.
+import { formatCopySegments, interpolateCopy } from '../dashboardCopy';
+import de from './de';
+import en from './en';
+import es from './es';
+import fr from './fr';
+
+const CATALOGS = { en, de, fr, es };
+
+export const DEFAULT_LOCALE = 'en';
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// 'de-CH', 'DE', 'de_DE' -> 'de'; anything unsupported -> null.
+export function normalizeLocale(value) {
+    if (typeof value !== 'string') return null;
+    const language = value.trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+// First supported candidate, else English.
+export const resolveLocale = (...candidates) => candidates.map(normalizeLocale).find(Boolean) || DEFAULT_LOCALE;
+
+// 'fr-CH,fr;q=0.9,en;q=0.8' -> 'fr': the supported language with the highest q-value, or null.
+export function parseAcceptLanguage(header) {
+    if (typeof header !== 'string') return null;
+    const ranked = header.split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map(param => param.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+            return { locale: normalizeLocale(tag), quality: q ? Number(q[1]) : 1, index };
+        })
+        .filter(entry => entry.locale && entry.quality > 0)
+        .sort((a, b) => b.quality - a.quality || a.index - b.index);
+    return ranked[0]?.locale || null;
+}
+
+export const getLocaleCopy = (locale) => CATALOGS[locale]?.copy || {};
+export const getLocaleRecordDefaults = (locale) => CATALOGS[locale]?.record || {};
+
+// Plain numbers and numeric strings ('1200', '-3.5') in the locale's format; anything else unchanged ('High', '3x').
+export function formatNumber(value, locale = DEFAULT_LOCALE) {
+    const number = typeof value === 'number' ? value : (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : NaN);
+    if (!Number.isFinite(number)) return value;
+    return new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }).format(number);
+}
+
+// Whole amounts in an ISO 4217 currency ('EUR'), e.g. '€12,400' or '12.400 €'.
+export const formatCurrency = (value, currency, locale = DEFAULT_LOCALE) => (
+    new Intl.NumberFormat(locale, { style: 'currency', currency, maximumFractionDigits: 0 }).format(value)
+);
+
+// Returns { locale, t, has, segments, rich, number, currency, date }. t(key, values) fills {placeholders} like the section
+// copy; segments() also honours **bold**, and rich() swaps placeholders for React elements or report segments (e.g. a mailto link).
+export function createTranslator(locale) {
+    const messages = CATALOGS[locale]?.messages || en.messages;
+    const lookup = (key) => messages[key] ?? en.messages[key];
+    const t = (key, values = {}) => {
+        const template = lookup(key);
+        return template === undefined ? key : interpolateCopy(template, values);
+    };
+    return {
+        locale,
+        t,
+        has: (key) => lookup(key) !== undefined,
+        segments: (key, values = {}) => formatCopySegments(lookup(key) ?? key, values),
+        rich: (key, values, elements) => t(key, values).split(/(\{\w+\})/).filter(Boolean).map((part) => {
+            const name = part.match(/^\{(\w+)\}$/)?.[1];
+            return name && elements[name] !== undefined ? elements[name] : part;
+        }),
+        number: (value) => formatNumber(value, locale),
+        currency: (value, currency) => formatCurrency(value, currency, locale),
+        date: (value, options) => new Date(value).toLocaleDateString(locale, options),
+    };
+}
@@ -0,0 +1,50 @@
+// lib/jsonlStore.js
+// Append-only JSON Lines files under DATA_DIR (default ./.data). Good enough for the volumes a
+// sales team generates; swap for a database if that ever stops being true.
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), '.data');
+
+export function createJsonlStore(fileName) {
+    const filePath = path.join(DATA_DIR, fileName);
+
+    const append = async (entries) => {
+        const list = Array.isArray(entries) ? entries : [entries];
+        if (list.length === 0) return;
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.appendFile(filePath, list.map((entry) => JSON.stringify(entry)).join('\n') + '\n', 'utf8');
+    };
+
+    // Returns every entry matching `predicate`, oldest first. Corrupt lines are skipped.
+    const readAll = async (predicate = () => true) => {
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+        return content.split('\n').reduce((entries, line) => {
+            if (!line.trim()) return entries;
+            try {
+                const entry = JSON.parse(line);
+                if (predicate(entry)) entries.push(entry);
+            } catch (e) {
+                console.warn(`MAKERTOO_PAP_SERVER: Skipping corrupt line in ${fileName}.`);
+            }
+            return entries;
+        }, []);
+    };
+
+    // Replaces the whole file with `entries`, for compaction. Written to a temporary file and renamed, so a
+    // reader never sees half a file. Callers must keep appends from running at the same time.
+    const replaceAll = async (entries) => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, entries.map((entry) => JSON.stringify(entry) + '\n').join(''), 'utf8');
+        await fs.rename(tempPath, filePath);
+    };
+
+    return { append, readAll, replaceAll };
+}
@@ -0,0 +1,104 @@
+// lib/logoImage.js (server-only)
+// Downloads a company logo (logo_url) and identifies its format from the file signature,
+// for the PDF report, brand color extraction and link preview images. Failures resolve to null: a missing
+// logo never blocks a page.
+// logo_url comes from the record, so the server only connects to public addresses: every host, including
+// each redirect hop, must resolve outside private, loopback and link-local ranges. PNGs larger than
+// MAX_LOGO_PIXELS are refused before anything decodes them.
+import axios from 'axios';
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import { createTtlCache } from './ttlCache';
+
+const LOGO_TIMEOUT_MS = 5000;
+const MAX_LOGO_BYTES = 2 * 1024 * 1024;
+const MAX_LOGO_REDIRECTS = 3;
+const MAX_LOGO_PIXELS = 16 * 1024 * 1024;
+
+// Addresses a logo download may not reach: this host, private networks, link-local (cloud metadata),
+// carrier-grade NAT, multicast and reserved ranges, and IPv6 forms that embed an IPv4 address.
+// One list per family: a BlockList matches IPv4 addresses against IPv4-mapped IPv6 subnets too.
+const blockList = (family, subnets) => {
+    const list = new BlockList();
+    subnets.forEach(([network, prefix]) => list.addSubnet(network, prefix, family));
+    return list;
+};
+const BLOCKED_ADDRESSES = {
+    4: blockList('ipv4', [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+        ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]),
+    6: blockList('ipv6', [['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]),
+};
+
+export const isPublicAddress = (address) => {
+    const family = isIP(address);
+    return family !== 0 && !BLOCKED_ADDRESSES[family].check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const blockedHostError = (hostname) => new Error(`${hostname} is not a public address`);
+
+// Node skips the DNS lookup for IP literals, so those are checked before connecting.
+function assertPublicUrl({ protocol, hostname }) {
+    if (protocol !== 'http:' && protocol !== 'https:') throw new Error(`unsupported protocol ${protocol}`);
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (isIP(host) && !isPublicAddress(host)) throw blockedHostError(host);
+}
+
+// Used as the socket's DNS lookup, so the address checked is the one connected to (no DNS rebinding).
+async function lookupPublicAddress(hostname, options) {
+    const addresses = await lookup(hostname, { ...options, all: true });
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) throw blockedHostError(hostname);
+    return addresses;
+}
+
+// Width and height from the IHDR chunk, which the PNG signature requires to come first.
+const readPngSize = (buffer) => (buffer.length >= 24 && buffer.subarray(12, 16).toString('latin1') === 'IHDR'
+    ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+    : null);
+
+const detectFormat = (buffer) => {
+    if (buffer.subarray(0, 4).toString('hex') === '89504e47') return 'png';
+    if (buffer.subarray(0, 2).toString('hex') === 'ffd8') return 'jpeg';
+    if (/<svg[\s>]/i.test(buffer.subarray(0, 2048).toString('utf8'))) return 'svg';
+    return null;
+};
+
+export async function fetchLogoImage(url) {
+    if (!url) return null;
+    try {
+        assertPublicUrl(new URL(url));
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: LOGO_TIMEOUT_MS,
+            maxContentLength: MAX_LOGO_BYTES,
+            maxRedirects: MAX_LOGO_REDIRECTS,
+            beforeRedirect: assertPublicUrl,
+            lookup: lookupPublicAddress,
+        });
+        const buffer = Buffer.from(response.data);
+        const format = detectFormat(buffer);
+        if (format === 'png') {
+            const size = readPngSize(buffer);
+            if (!size || size.width * size.height > MAX_LOGO_PIXELS) throw new Error(size ? `PNG is ${size.width}x${size.height} pixels` : 'PNG has no IHDR chunk');
+        }
+        return format ? { buffer, format } : null;
+    } catch (err) {
+        console.warn(`MAKERTOO_PAP_SERVER: Could not fetch company logo ${url} (${err.message}).`);
+        return null;
+    }
+}
+
+// Link previews (lib/ogImage.js) are requested by every mail client and chat app a link is pasted into,
+// so downloaded logos are kept for a while; failures are retried sooner. Images are the largest entries of
+// any cache here, hence the lower cap.
+const LOGO_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+const LOGO_FAILURE_TTL_MS = 10 * 60 * 1000;
+const LOGO_CACHE_MAX_ENTRIES = 100;
+const logoCache = createTtlCache(LOGO_CACHE_TTL_MS, { maxEntries: LOGO_CACHE_MAX_ENTRIES });
+
+export async function getCachedLogoImage(url) {
+    if (!url) return null;
+    const cached = logoCache.get(url);
+    if (cached !== undefined) return cached;
+    const image = await fetchLogoImage(url);
+    return logoCache.set(url, image, image ? LOGO_CACHE_TTL_MS : LOGO_FAILURE_TTL_MS);
+}
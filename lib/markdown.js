@@ -0,0 +1,14 @@
+// lib/markdown.js
+// Markdown -> sanitized HTML for dangerouslySetInnerHTML (research report, custom layout sections).
+import { marked } from 'marked';
+import { sanitizeHtml } from './sanitizeHtml';
+
+export const renderMarkdownForHTML = (markdownText) => {
+    if (!markdownText) return { __html: '' };
+    marked.setOptions({
+        breaks: true,
+        gfm: true,
+    });
+    const rawHtml = marked.parse(markdownText);
+    return { __html: sanitizeHtml(rawHtml) };
+};
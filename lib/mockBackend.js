@@ -0,0 +1,67 @@
+// lib/mockBackend.js
+// Offline stand-in for WordPress and NocoDB, switched on with MOCK_BACKEND=true for demos and local work.
+// lib/wpClient.js sends its requests through mockWpTransport instead of axios, so config caching, the nonce
+// retry and error mapping run exactly as against the real plugin; lib/nocodbClient.js lists the same fixtures.
+// Fixtures and the visitor IDs for each dashboard state are in lib/mockFixtures.js.
+// Never import this from client code.
+import {
+    MOCK_EMPTY_VISITOR_ID,
+    MOCK_NONCE,
+    MOCK_NONCE_FAILURE_VISITOR_ID,
+    MOCK_VISITOR_RECORDS,
+    MOCK_WP_CONFIG,
+} from './mockFixtures';
+
+export const isMockBackendEnabled = () => process.env.MOCK_BACKEND === 'true';
+
+export const MOCK_WP_API_URL = 'mock://wordpress';
+const MOCK_AJAX_URL = `${MOCK_WP_API_URL}/wp-admin/admin-ajax.php`;
+// Simulated round trip, so loading states can be seen.
+const MOCK_DELAY_MS = Number(process.env.MOCK_BACKEND_DELAY_MS) || 0;
+
+const delay = () => new Promise(resolve => setTimeout(resolve, MOCK_DELAY_MS));
+
+// Rejections look like axios errors with a response, which is what lib/wpClient.js maps to API errors.
+const httpError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+
+const readRecord = (visitorId) => {
+    const record = MOCK_VISITOR_RECORDS[visitorId];
+    return record ? { ...record } : null;
+};
+
+// Axios-shaped: get(url) and post(url, body) resolve to { data } like the plugin's REST and admin-ajax endpoints.
+export const mockWpTransport = {
+    async get(url) {
+        await delay();
+        if (url === `${MOCK_WP_API_URL}/wp-json/personalized-dashboard/v1/config`) {
+            return { data: { success: true, data: { ...MOCK_WP_CONFIG, ajax_url: MOCK_AJAX_URL } } };
+        }
+        throw httpError(404, { code: 'rest_no_route', message: 'No route was found matching the URL and request method.' });
+    },
+
+    async post(url, body) {
+        await delay();
+        const params = new URLSearchParams(body);
+        if (url !== MOCK_AJAX_URL || params.get('action') !== 'fetch_dashboard_data_proxy') throw httpError(400, '0');
+        const visitorId = params.get('visitor_id');
+        // WordPress answers a failed check_ajax_referer() with a bare -1 and 403.
+        if (params.get('nonce') !== MOCK_NONCE || visitorId === MOCK_NONCE_FAILURE_VISITOR_ID) throw httpError(403, '-1');
+        if (visitorId === MOCK_EMPTY_VISITOR_ID) return { data: { success: true, data: [] } };
+        return { data: { success: true, data: readRecord(visitorId) || [] } };
+    },
+};
+
+const matches = (value, term) => typeof value === 'string' && value.toLowerCase().includes(term);
+
+// Same contract as listVisitorRecords() in lib/nocodbClient.js: search in company, first name and visitor ID,
+// exact campaign match, sorted by company.
+export async function listMockVisitorRecords({ search, campaign, page, pageSize }) {
+    await delay();
+    const term = search.trim().toLowerCase();
+    const rows = Object.values(MOCK_VISITOR_RECORDS)
+        .filter(row => !term || ['company_short', 'first_name', 'visitor_id'].some(field => matches(row[field], term)))
+        .filter(row => !campaign || row.campaign === campaign)
+        .sort((a, b) => a.company_short.localeCompare(b.company_short));
+    const list = rows.slice((page - 1) * pageSize, page * pageSize).map((row, index) => ({ Id: (page - 1) * pageSize + index + 1, ...row }));
+    return { list, pageInfo: { page, pageSize, totalRows: rows.length, isLastPage: page * pageSize >= rows.length } };
+}
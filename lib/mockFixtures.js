@@ -0,0 +1,101 @@
+// lib/mockFixtures.js
+// Fixture data for the offline mock backend (lib/mockBackend.js): the plugin config and NocoDB rows as
+// WordPress would return them, JSON columns included as strings. Each visitor ID exercises one dashboard state.
+
+export const MOCK_NONCE = 'mock-nonce';
+
+// Served by /wp-json/personalized-dashboard/v1/config. No booking link, so the demo never embeds a scheduler.
+export const MOCK_WP_CONFIG = {
+    nonce: MOCK_NONCE,
+    siteName: 'MakerToo (demo)',
+};
+
+// Visitor IDs whose lookup does not return a record.
+export const MOCK_EMPTY_VISITOR_ID = 'demo-empty'; // WordPress finds nothing: the "no data for this ID" state
+export const MOCK_NONCE_FAILURE_VISITOR_ID = 'demo-nonce-fail'; // WordPress rejects every nonce: the error state
+
+const DEMO_RESEARCH = `Meridian Freight moves temperature-controlled goods for 140 retail customers across Central Europe.
+
+# Company profile
+
+Founded in 2009, Meridian runs 85 trucks from two hubs in Linz and Brno. Dispatch, customs paperwork and customer updates are handled by a team of 12.
+
+## Operations
+
+Orders arrive by email and EDI and are re-keyed into the transport management system. Delivery updates are sent by hand.
+
+# Market and competitors
+
+Margins in refrigerated freight are under pressure from larger carriers with in-house software teams.
+
+# Opportunities
+
+## Order intake
+
+An extraction workflow could turn order emails into draft shipments for review, saving an estimated 9 hours per person per week.
+
+## Customer updates
+
+Automated status messages from telematics data would remove most "where is my delivery" calls.`;
+
+// Raw records by visitor ID, in the shape of the NocoDB table behind fetch_dashboard_data_proxy.
+export const MOCK_VISITOR_RECORDS = {
+    // Every field the dashboard uses, valid.
+    'demo-full': {
+        visitor_id: 'demo-full',
+        first_name: 'Jana',
+        company_short: 'Meridian Freight',
+        company_name: 'Meridian Freight GmbH',
+        website_url: 'https://example.com',
+        from_abstract: 'automating order intake and customer updates',
+        company_usp: 'Temperature-controlled regional freight with same-day slots.',
+        company_overview_short: 'Regional cold-chain carrier with 85 trucks and two hubs serving 140 retail customers.',
+        founder_bio_snippet: 'Managing director Tomas Weber took over the family business in 2015 and has doubled the fleet since.',
+        key_challenge_or_opportunity: 'Dispatchers spend a third of their week re-keying orders from email into the TMS.',
+        core_services_list: JSON.stringify(['Refrigerated freight', 'Same-day regional delivery', 'Customs handling']),
+        kpi_data: JSON.stringify([
+            { label: 'Hours saved per week', value: 108, unit_suffix: 'h', target: 'Across dispatch and customer service', icon: 'dashicons-clock', color: 'var(--accent-green)', status: 'positive' },
+            { label: 'Order entry errors', value: '-60', unit_suffix: '%', target: 'With reviewed email extraction', icon: 'dashicons-yes-alt', color: 'var(--accent-blue)', status: 'positive' },
+            { label: 'Implementation', value: '10', unit_suffix: ' weeks', target: 'Pilot to production', icon: 'dashicons-calendar-alt', status: 'neutral' },
+            { label: 'Data residency', value: 'EU', target: 'Self-hosted models and storage', icon: 'dashicons-lock', color: 'var(--accent-purple)' },
+        ]),
+        chart_data: JSON.stringify([
+            { type: 'line', title: 'Manual hours per week', icon: 'dashicons-chart-line', labels: ['Today', 'Month 1', 'Month 2', 'Month 3'], unit_suffix: 'h', datasets: [{ label: 'Dispatch', data: [180, 140, 95, 72] }] },
+            { type: 'bar', title: 'Orders by channel', icon: 'dashicons-chart-bar', labels: ['Email', 'EDI', 'Phone'], datasets: [{ label: 'Orders per week', data: [620, 310, 70], color: 'blue' }] },
+            { type: 'doughnut', title: 'Where dispatch time goes', labels: ['Re-keying orders', 'Customer updates', 'Planning'], unit_suffix: '%', datasets: [{ label: 'Share of time', data: [35, 25, 40] }] },
+        ]),
+        deep_research: DEMO_RESEARCH,
+        brand_colors: '#0e7c86, #f2a541',
+        theme_mode: 'dark',
+        language: 'en',
+        campaign: 'demo',
+        roi_team_size: 12,
+        roi_hours_per_week: 9,
+        roi_hourly_cost: 48,
+        currency: 'EUR',
+    },
+    // Only the required fields: every optional section falls back or is hidden.
+    'demo-minimal': {
+        visitor_id: 'demo-minimal',
+        first_name: 'Luca',
+        company_short: 'Atelier Nord',
+    },
+    // Broken JSON columns: the record check flags them and the dashboard shows the default KPIs.
+    'demo-bad-kpi': {
+        visitor_id: 'demo-bad-kpi',
+        first_name: 'Mia',
+        company_short: 'Brightline Studio',
+        key_challenge_or_opportunity: 'Client reporting is assembled by hand every month.',
+        core_services_list: 'Branding, Web design',
+        kpi_data: '[{"label": "Hours saved", "value": 40,}',
+        chart_data: JSON.stringify([{ type: 'pie', title: 'Unsupported chart type', labels: ['a'], datasets: [{ label: 'x', data: [1] }] }]),
+        campaign: 'demo',
+    },
+    // Listed in NocoDB, but WordPress refuses the lookup (see MOCK_NONCE_FAILURE_VISITOR_ID).
+    [MOCK_NONCE_FAILURE_VISITOR_ID]: {
+        visitor_id: MOCK_NONCE_FAILURE_VISITOR_ID,
+        first_name: 'Noah',
+        company_short: 'Fieldstone Energy',
+        campaign: 'demo',
+    },
+};
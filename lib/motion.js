@@ -0,0 +1,9 @@
+// lib/motion.js
+// Visitors whose system asks for reduced motion get charts without the draw animation and instant
+// scrolling; the CSS transitions and the content fade-in are turned off in styles/globals.css.
+export const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+export const prefersReducedMotion = () => typeof window !== 'undefined' && Boolean(window.matchMedia?.(REDUCED_MOTION_QUERY).matches);
+
+// `behavior` for scrollIntoView() and scrollTo().
+export const getScrollBehavior = () => (prefersReducedMotion() ? 'auto' : 'smooth');
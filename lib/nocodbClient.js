@@ -0,0 +1,56 @@
+// lib/nocodbClient.js
+// Server-side read access to the NocoDB visitor table, for the admin console. The dashboard itself never
+// uses this: prospects' records always come through WordPress (lib/wpClient.js). With MOCK_BACKEND=true the
+// list comes from the mock backend's fixtures (lib/mockBackend.js).
+// Never import this from client code; it reads server-only environment variables.
+import axios from 'axios';
+import { ApiError } from './apiResponse';
+import { isMockBackendEnabled, listMockVisitorRecords } from './mockBackend';
+
+const NOCODB_API_URL = process.env.NOCODB_API_URL;
+const NOCODB_API_TOKEN = process.env.NOCODB_API_TOKEN;
+const NOCODB_TABLE_ID = process.env.NOCODB_TABLE_ID;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+export const MAX_PAGE_SIZE = 100;
+// Columns the admin search box looks in.
+const SEARCH_FIELDS = ['company_short', 'first_name', 'visitor_id'];
+
+// NocoDB's where syntax uses parentheses, commas and ~ as operators; keep them out of user input.
+const toWhereValue = (value) => String(value).replace(/[(),~]/g, ' ').trim();
+
+function buildWhere({ search, campaign }) {
+    const clauses = [];
+    const term = search ? toWhereValue(search) : '';
+    if (term) clauses.push(`(${SEARCH_FIELDS.map(field => `(${field},like,%${term}%)`).join('~or')})`);
+    const campaignValue = campaign ? toWhereValue(campaign) : '';
+    if (campaignValue) clauses.push(`(campaign,eq,${campaignValue})`);
+    return clauses.join('~and') || undefined;
+}
+
+// Resolves to { list, pageInfo: { page, pageSize, totalRows, isLastPage } } with raw records as NocoDB stores them.
+export async function listVisitorRecords({ search = '', campaign = '', page = 1, pageSize = 25 } = {}) {
+    const limit = Math.min(Math.max(Math.floor(pageSize) || 25, 1), MAX_PAGE_SIZE);
+    const currentPage = Math.max(Math.floor(page) || 1, 1);
+    if (isMockBackendEnabled()) return listMockVisitorRecords({ search, campaign, page: currentPage, pageSize: limit });
+    if (!NOCODB_API_URL || !NOCODB_API_TOKEN || !NOCODB_TABLE_ID) {
+        throw new ApiError(503, 'records_not_configured', 'NOCODB_API_URL, NOCODB_API_TOKEN and NOCODB_TABLE_ID must be set to browse visitor records.');
+    }
+    try {
+        const response = await axios.get(`${NOCODB_API_URL.replace(/\/+$/, '')}/api/v2/tables/${encodeURIComponent(NOCODB_TABLE_ID)}/records`, {
+            headers: { 'xc-token': NOCODB_API_TOKEN },
+            params: { where: buildWhere({ search, campaign }), limit, offset: (currentPage - 1) * limit, sort: 'company_short' },
+            timeout: REQUEST_TIMEOUT_MS,
+        });
+        const { list, pageInfo = {} } = response.data || {};
+        if (!Array.isArray(list)) throw new ApiError(502, 'upstream_error', 'NocoDB returned an unexpected response.');
+        const totalRows = Number(pageInfo.totalRows) || list.length;
+        return { list, pageInfo: { page: currentPage, pageSize: limit, totalRows, isLastPage: pageInfo.isLastPage ?? currentPage * limit >= totalRows } };
+    } catch (err) {
+        if (err instanceof ApiError) throw err;
+        console.error('MAKERTOO_PAP_SERVER: Error listing NocoDB records:', err.message);
+        if (err.response) throw new ApiError(502, 'upstream_error', `NocoDB responded with ${err.response.status}.`);
+        if (err.request) throw new ApiError(504, 'upstream_unreachable', 'No response from NocoDB.');
+        throw new ApiError(500, 'internal_error', err.message);
+    }
+}
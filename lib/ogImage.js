@@ -0,0 +1,63 @@
+// lib/ogImage.js (server-only)
+// The 1200x630 link preview (Open Graph / Twitter card) for a visitor's dashboard: the lead's name and company,
+// the company logo when it can be downloaded, and the first KPI cards, in the visitor's brand theme.
+// Rendered with next/og (satori and resvg, bundled with Next.js), so no external service is involved.
+import { ImageResponse } from 'next/og';
+import { createTranslator } from './i18n';
+import { getCachedLogoImage } from './logoImage';
+import { buildTheme, resolveThemeMode } from './theme';
+import { formatKpiValue } from './visitorRecord';
+
+const OG_IMAGE_WIDTH = 1200; // also in the og:image:width/height tags of pages/dashboard.js
+const OG_IMAGE_HEIGHT = 630;
+const ACCENT_BAR_WIDTH = 16;
+const MAX_KPIS = 3;
+// Logos of any aspect ratio are fitted into this box.
+const LOGO_BOX = { width: 320, height: 96 };
+const LOGO_MIME_TYPES = { png: 'image/png', jpeg: 'image/jpeg', svg: 'image/svg+xml' };
+
+const truncate = (text, length) => {
+    const value = String(text);
+    return value.length > length ? `${value.slice(0, length - 1).trimEnd()}…` : value;
+};
+
+async function loadLogoDataUri(logoUrl) {
+    const logo = await getCachedLogoImage(logoUrl);
+    return logo ? `data:${LOGO_MIME_TYPES[logo.format]};base64,${logo.buffer.toString('base64')}` : null;
+}
+
+// visitor: normalized record (lib/visitorRecord.js) in `locale`. Resolves to the PNG as a Buffer.
+export async function renderVisitorOgImage(visitor, { brandColors = [], locale } = {}) {
+    const i18n = createTranslator(locale);
+    const { cssVariables: colors, chartColors } = buildTheme({ brandColors, mode: resolveThemeMode(visitor.themeMode) });
+    const logo = await loadLogoDataUri(visitor.companyLogo);
+    const kpis = visitor.kpis.slice(0, MAX_KPIS);
+
+    const image = new ImageResponse((
+        <div style={{ display: 'flex', width: '100%', height: '100%', backgroundColor: colors['--bg-dark-primary'], color: colors['--text-light'] }}>
+            <div style={{ display: 'flex', width: ACCENT_BAR_WIDTH, height: '100%', backgroundColor: chartColors.primary }} />
+            <div style={{ display: 'flex', flexDirection: 'column', width: OG_IMAGE_WIDTH - ACCENT_BAR_WIDTH, padding: '56px 64px' }}>
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', height: LOGO_BOX.height }}>
+                    {logo
+                        // eslint-disable-next-line @next/next/no-img-element -- satori renders plain <img>, not next/image
+                        ? <img src={logo} alt="" width={LOGO_BOX.width} height={LOGO_BOX.height} style={{ objectFit: 'contain' }} />
+                        : <div style={{ display: 'flex', fontSize: 36, color: chartColors.primary }}>{truncate(visitor.companyName, 32)}</div>}
+                    <div style={{ display: 'flex', fontSize: 26, color: colors['--text-muted'] }}>MakerToo</div>
+                </div>
+                <div style={{ display: 'flex', flexDirection: 'column', marginTop: 44 }}>
+                    <div style={{ display: 'flex', fontSize: 58, lineHeight: 1.15 }}>{truncate(i18n.t('og.headline', { firstName: visitor.firstName }), 70)}</div>
+                    <div style={{ display: 'flex', fontSize: 32, marginTop: 16, color: chartColors.primary }}>{truncate(i18n.t('og.prepared_for', { companyName: visitor.companyName }), 60)}</div>
+                </div>
+                <div style={{ display: 'flex', marginTop: 'auto' }}>
+                    {kpis.map((kpi, index) => (
+                        <div key={index} style={{ display: 'flex', flexDirection: 'column', flex: 1, marginLeft: index > 0 ? 24 : 0, padding: '18px 22px', backgroundColor: colors['--bg-dark-secondary'], borderLeft: `6px solid ${chartColors.primary}`, borderRadius: 8 }}>
+                            <div style={{ display: 'flex', fontSize: 20, color: colors['--text-muted'] }}>{truncate(kpi.label.toUpperCase(), 28)}</div>
+                            <div style={{ display: 'flex', fontSize: 40, marginTop: 6 }}>{truncate(formatKpiValue(kpi, i18n), 16)}</div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    ), { width: OG_IMAGE_WIDTH, height: OG_IMAGE_HEIGHT });
+    return Buffer.from(await image.arrayBuffer());
+}
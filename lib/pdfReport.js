@@ -0,0 +1,391 @@
+// lib/pdfReport.js (server-only)
+// Builds the downloadable PDF briefing for one visitor from the normalized record
+// (lib/visitorRecord.js): the same sections as the dashboard, charts drawn from
+// lib/staticCharts.js and the research markdown laid out from marked's token stream.
+import { marked } from 'marked';
+import PDFDocument from 'pdfkit';
+import SVGtoPDF from 'svg-to-pdfkit';
+import { describeChartSpec } from './chartSpecs';
+import { createCopyReader, getCopyValues } from './dashboardCopy';
+import { getVisibleSections, resolveDashboardLayout } from './dashboardLayout';
+import { DEFAULT_LOCALE, createTranslator } from './i18n';
+import { fetchLogoImage } from './logoImage';
+import { WORK_WEEKS_PER_YEAR, getBestPhase, getAnalyticsChartSpecs, getRoiDefaults, projectRoi } from './roi';
+import { renderChartSvg } from './staticCharts';
+import { buildTheme } from './theme';
+import { formatKpiValue } from './visitorRecord';
+
+const MARGIN = 50;
+const COLORS = { text: '#2d3436', muted: '#636e72', rule: '#dfe6e9', panel: '#f5f7f8' };
+// Brand colors of the document being built (see buildVisitorReport).
+const brandPalettes = new WeakMap();
+const accentOf = (doc) => brandPalettes.get(doc).primary;
+const FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique', boldItalic: 'Helvetica-BoldOblique', code: 'Courier' };
+
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+const pageBottom = (doc) => doc.page.height - doc.page.margins.bottom;
+const ensureSpace = (doc, height) => { if (doc.y + height > pageBottom(doc)) doc.addPage(); };
+
+const sectionTitle = (doc, title) => {
+    ensureSpace(doc, 60);
+    doc.moveDown(0.8);
+    doc.font(FONTS.bold).fontSize(15).fillColor(COLORS.text).text(title, MARGIN);
+    const y = doc.y + 3;
+    doc.moveTo(MARGIN, y).lineTo(MARGIN + 40, y).lineWidth(2).strokeColor(accentOf(doc)).stroke();
+    doc.y = y + 10;
+};
+
+const subsectionTitle = (doc, title) => {
+    ensureSpace(doc, 40);
+    doc.moveDown(0.4);
+    doc.font(FONTS.bold).fontSize(11).fillColor(accentOf(doc)).text(title, MARGIN);
+    doc.moveDown(0.2);
+};
+
+const paragraph = (doc, text, { font = FONTS.regular, size = 10, color = COLORS.text } = {}) => {
+    doc.font(font).fontSize(size).fillColor(color).text(text, MARGIN, doc.y, { width: contentWidth(doc), lineGap: 2 });
+    doc.moveDown(0.5);
+};
+
+const bulletList = (doc, items) => {
+    items.forEach((item) => {
+        const segments = typeof item === 'string' ? [{ text: item }] : item;
+        writeSegments(doc, [{ text: '•  ' }, ...segments], { indent: 12, size: 10 });
+        doc.moveDown(0.25);
+    });
+    doc.moveDown(0.3);
+};
+
+// Writes runs of differently styled text as one wrapped paragraph.
+function writeSegments(doc, segments, { indent = 0, size = 10, color = COLORS.text, font: baseFont } = {}) {
+    const visible = segments.filter(segment => segment.text);
+    if (visible.length === 0) return;
+    const x = MARGIN + indent;
+    const width = contentWidth(doc) - indent;
+    visible.forEach((segment, index) => {
+        let font = baseFont || FONTS.regular;
+        if (segment.code) font = FONTS.code;
+        else if (segment.bold && segment.italic) font = FONTS.boldItalic;
+        else if (segment.bold) font = FONTS.bold;
+        else if (segment.italic) font = FONTS.italic;
+        doc.font(font).fontSize(size).fillColor(segment.link ? accentOf(doc) : color);
+        const options = { width, lineGap: 2, continued: index < visible.length - 1, link: segment.link || null, underline: Boolean(segment.link) };
+        if (index === 0) doc.text(segment.text, x, doc.y, options);
+        else doc.text(segment.text, options);
+    });
+}
+
+// --- Markdown (marked.lexer tokens) ---
+
+const decodeEntities = (text) => String(text)
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+
+function inlineSegments(tokens = [], style = {}) {
+    return tokens.flatMap((token) => {
+        switch (token.type) {
+            case 'strong': return inlineSegments(token.tokens, { ...style, bold: true });
+            case 'em': return inlineSegments(token.tokens, { ...style, italic: true });
+            case 'del': return inlineSegments(token.tokens, style);
+            case 'codespan': return [{ ...style, code: true, text: decodeEntities(token.text) }];
+            case 'br': return [{ ...style, text: '\n' }];
+            case 'link': return inlineSegments(token.tokens, { ...style, link: /^(https?:|mailto:)/i.test(token.href) ? token.href : undefined });
+            case 'image': return [{ ...style, text: token.text ? `[${token.text}]` : '' }];
+            case 'html': return [];
+            case 'text':
+            case 'escape':
+                return token.tokens ? inlineSegments(token.tokens, style) : [{ ...style, text: decodeEntities(token.text) }];
+            default: return token.text ? [{ ...style, text: decodeEntities(token.text) }] : [];
+        }
+    });
+}
+
+function renderList(doc, list, depth) {
+    list.items.forEach((item, index) => {
+        const marker = list.ordered ? `${(Number(list.start) || 1) + index}.  ` : '•  ';
+        const indent = 12 + depth * 16;
+        let markerWritten = false;
+        item.tokens.forEach((child) => {
+            if (child.type === 'list') {
+                renderList(doc, child, depth + 1);
+                return;
+            }
+            const segments = child.tokens ? inlineSegments(child.tokens) : [{ text: decodeEntities(child.text || '') }];
+            writeSegments(doc, markerWritten ? segments : [{ text: marker }, ...segments], { indent, size: 10 });
+            markerWritten = true;
+        });
+        doc.moveDown(0.2);
+    });
+}
+
+// Header row plus body rows of plain text cells, in equal-width columns.
+function drawTable(doc, header, rows) {
+    const width = contentWidth(doc) / header.length;
+    const drawRow = (texts, bold) => {
+        doc.font(bold ? FONTS.bold : FONTS.regular).fontSize(9);
+        const height = Math.max(...texts.map(text => doc.heightOfString(text, { width: width - 8 }))) + 8;
+        ensureSpace(doc, height);
+        const top = doc.y;
+        if (bold) doc.rect(MARGIN, top, contentWidth(doc), height).fill(COLORS.panel);
+        texts.forEach((text, index) => {
+            doc.font(bold ? FONTS.bold : FONTS.regular).fontSize(9).fillColor(COLORS.text)
+                .text(text, MARGIN + index * width + 4, top + 4, { width: width - 8 });
+        });
+        doc.moveTo(MARGIN, top + height).lineTo(MARGIN + contentWidth(doc), top + height).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+        doc.y = top + height;
+    };
+    drawRow(header, true);
+    rows.forEach(row => drawRow(row, false));
+    doc.moveDown(0.8);
+}
+
+const cellText = (cell) => inlineSegments(cell.tokens).map(segment => segment.text).join('');
+const renderTable = (doc, token) => drawTable(doc, token.header.map(cellText), token.rows.map(row => row.map(cellText)));
+
+// Raw <script>/<style> blocks would otherwise leave their contents behind as plain text.
+const stripUnsafeBlocks = (markdown) => markdown.replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '');
+
+function renderMarkdown(doc, markdown) {
+    marked.lexer(stripUnsafeBlocks(markdown), { gfm: true, breaks: true }).forEach((token) => {
+        switch (token.type) {
+            case 'heading':
+                ensureSpace(doc, 40);
+                doc.moveDown(0.4);
+                writeSegments(doc, inlineSegments(token.tokens), { size: Math.max(16 - token.depth * 1.5, 10), font: FONTS.bold, color: token.depth <= 2 ? COLORS.text : accentOf(doc) });
+                doc.moveDown(0.3);
+                break;
+            case 'paragraph':
+                writeSegments(doc, inlineSegments(token.tokens));
+                doc.moveDown(0.5);
+                break;
+            case 'list':
+                renderList(doc, token, 0);
+                doc.moveDown(0.3);
+                break;
+            case 'blockquote': {
+                const top = doc.y;
+                token.tokens.forEach((child) => {
+                    writeSegments(doc, child.tokens ? inlineSegments(child.tokens, { italic: true }) : [{ italic: true, text: decodeEntities(child.text || '') }], { indent: 14, color: COLORS.muted });
+                });
+                doc.moveTo(MARGIN + 4, top).lineTo(MARGIN + 4, doc.y).lineWidth(2).strokeColor(accentOf(doc)).stroke();
+                doc.moveDown(0.5);
+                break;
+            }
+            case 'code':
+                doc.font(FONTS.code).fontSize(8.5).fillColor(COLORS.text).text(token.text, MARGIN + 10, doc.y, { width: contentWidth(doc) - 20 });
+                doc.moveDown(0.5);
+                break;
+            case 'table':
+                renderTable(doc, token);
+                break;
+            case 'hr': {
+                ensureSpace(doc, 20);
+                const y = doc.y + 5;
+                doc.moveTo(MARGIN, y).lineTo(MARGIN + contentWidth(doc), y).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+                doc.y = y + 10;
+                break;
+            }
+            case 'html': {
+                const text = decodeEntities(token.text.replace(/<[^>]*>/g, '')).trim();
+                if (text) paragraph(doc, text);
+                break;
+            }
+            default:
+                break;
+        }
+    });
+}
+
+// --- Report sections ---
+
+function renderHeader(doc, visitor, logo, generatedAt, i18n) {
+    const { firstName, companyName, fromAbstract } = visitor;
+    const textWidth = contentWidth(doc) - (logo ? 130 : 0);
+    if (logo) {
+        try {
+            doc.image(logo, MARGIN + contentWidth(doc) - 110, MARGIN, { fit: [110, 60], align: 'right' });
+        } catch (err) {
+            console.warn(`MAKERTOO_PAP_SERVER: Company logo could not be embedded in PDF report (${err.message}).`);
+        }
+    }
+    doc.font(FONTS.bold).fontSize(9).fillColor(accentOf(doc)).text(i18n.t('report.kicker'), MARGIN, MARGIN, { width: textWidth, characterSpacing: 1 });
+    doc.moveDown(0.5);
+    doc.font(FONTS.bold).fontSize(22).fillColor(COLORS.text).text(companyName, { width: textWidth });
+    doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.muted)
+        .text(i18n.t('report.prepared_for', { firstName, date: i18n.date(generatedAt, { year: 'numeric', month: 'long', day: 'numeric' }) }), { width: textWidth });
+    doc.y = Math.max(doc.y, MARGIN + 65) + 15;
+    writeSegments(doc, i18n.segments('report.intro', { companyName, fromAbstract }), { size: 11 });
+}
+
+// KPI colors may reference the dashboard's CSS variables; map those onto the report palette.
+const KPI_COLOR_VARIABLES = { 'var(--accent-green)': 'primary', 'var(--accent-blue)': 'secondary', 'var(--accent-pink)': 'pink', 'var(--accent-purple)': 'purple' };
+const resolveKpiColor = (doc, color) => {
+    if (color && /^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(color)) return color;
+    return brandPalettes.get(doc)[KPI_COLOR_VARIABLES[color] || 'primary'];
+};
+
+function renderKpis(doc, kpis, i18n) {
+    const columns = 3;
+    const gap = 10;
+    const cardWidth = (contentWidth(doc) - gap * (columns - 1)) / columns;
+    const cardHeight = 70;
+    for (let start = 0; start < kpis.length; start += columns) {
+        ensureSpace(doc, cardHeight + gap);
+        const top = doc.y;
+        kpis.slice(start, start + columns).forEach((kpi, index) => {
+            const x = MARGIN + index * (cardWidth + gap);
+            const color = resolveKpiColor(doc, kpi.color);
+            doc.rect(x, top, cardWidth, cardHeight).fill(COLORS.panel);
+            doc.rect(x, top, 3, cardHeight).fill(color);
+            doc.font(FONTS.regular).fontSize(8.5).fillColor(COLORS.muted).text(kpi.label, x + 12, top + 9, { width: cardWidth - 20, height: 22, ellipsis: true });
+            doc.font(FONTS.bold).fontSize(18).fillColor(color).text(formatKpiValue(kpi, i18n), x + 12, top + 28, { width: cardWidth - 20, lineBreak: false });
+            const footer = [kpi.status && i18n.t(`kpis.status_${kpi.status}`), kpi.target].filter(Boolean).join(' · ');
+            if (footer) doc.font(FONTS.regular).fontSize(7.5).fillColor(COLORS.muted).text(footer, x + 12, top + 52, { width: cardWidth - 20, lineBreak: false, ellipsis: true });
+        });
+        doc.y = top + cardHeight + gap;
+    }
+}
+
+// Each chart is followed by the same text summary the dashboard gives screen readers.
+function renderCharts(doc, specs, i18n) {
+    const width = contentWidth(doc);
+    const palette = brandPalettes.get(doc);
+    specs.forEach((spec) => {
+        const height = spec.type === 'doughnut' || spec.type === 'radar' ? 260 : 220;
+        ensureSpace(doc, height + 60);
+        doc.font(FONTS.bold).fontSize(10.5).fillColor(COLORS.text).text(spec.title, MARGIN, doc.y, { width, align: 'center' });
+        doc.moveDown(0.3);
+        const top = doc.y;
+        SVGtoPDF(doc, renderChartSvg(spec, { width, height, locale: i18n.locale, theme: { colors: { green: palette.primary, blue: palette.secondary, pink: palette.pink, purple: palette.purple } } }), MARGIN, top, { width, height, assumePt: true });
+        doc.y = top + height + 5;
+        paragraph(doc, describeChartSpec(spec, i18n), { size: 8.5, color: COLORS.muted });
+        doc.moveDown(0.3);
+    });
+}
+
+function addPageFooters(doc, companyName, i18n) {
+    const range = doc.bufferedPageRange();
+    for (let index = range.start; index < range.start + range.count; index += 1) {
+        doc.switchToPage(index);
+        const { bottom } = doc.page.margins;
+        doc.page.margins.bottom = 0; // writing inside the bottom margin must not trigger a page break
+        doc.font(FONTS.regular).fontSize(8).fillColor(COLORS.muted)
+            .text(i18n.t('report.footer', { companyName, page: index + 1, pageCount: range.count }), MARGIN, doc.page.height - 35, { width: contentWidth(doc), align: 'center', lineBreak: false });
+        doc.page.margins.bottom = bottom;
+    }
+}
+
+// Resolves to the finished PDF as a Buffer, so callers can still send a JSON error if rendering fails.
+// brandColors: as resolved by lib/brandColors.js; the report always uses the light theme (it is printed on white).
+// One renderer per dashboard section type (lib/dashboardLayout.js); `copy` is a reader from createCopyReader,
+// `i18n` a translator from lib/i18n, `roi` the calculator defaults and projection when the layout shows the calculator.
+const SECTION_RENDERERS = {
+    briefing: (doc, { visitor, copy }) => {
+        const { overviewShort, usp, founderBio } = visitor;
+        if (!overviewShort && !usp && !founderBio) return;
+        sectionTitle(doc, copy.text('briefing.title'));
+        if (overviewShort) { subsectionTitle(doc, copy.text('briefing.snapshot_heading')); paragraph(doc, overviewShort); }
+        if (usp) { subsectionTitle(doc, copy.text('briefing.usp_heading')); paragraph(doc, usp); }
+        if (founderBio) { subsectionTitle(doc, copy.text('briefing.leadership_heading')); paragraph(doc, founderBio); }
+    },
+    key_focus: (doc, { visitor, copy }) => {
+        sectionTitle(doc, copy.text('key_focus.title'));
+        subsectionTitle(doc, copy.text('key_focus.area_heading'));
+        paragraph(doc, visitor.keyChallengeOpportunity, { font: FONTS.bold, size: 10.5 });
+        subsectionTitle(doc, copy.text('key_focus.approach_heading'));
+        writeSegments(doc, copy.segments('key_focus.intro'));
+        doc.moveDown(0.5);
+        bulletList(doc, copy.list('key_focus.bullets'));
+    },
+    core_services: (doc, { copy }) => {
+        sectionTitle(doc, copy.text('core_services.title'));
+        writeSegments(doc, copy.segments('core_services.intro'));
+        doc.moveDown(0.5);
+        bulletList(doc, copy.list('core_services.bullets'));
+    },
+    kpis: (doc, { visitor, copy, i18n }) => {
+        sectionTitle(doc, copy.text('kpis.title'));
+        renderKpis(doc, visitor.kpis, i18n);
+    },
+    // The report has no inputs, so the calculator shows the record's defaults (roi_* columns).
+    roi: (doc, { visitor, copy, i18n, roi }) => {
+        const { inputs, projection } = roi;
+        const { currency } = visitor;
+        sectionTitle(doc, copy.text('roi.title'));
+        paragraph(doc, i18n.t('report.roi_inputs', { teamSize: i18n.number(inputs.teamSize), hoursPerWeek: i18n.number(inputs.hoursPerWeek), hourlyCost: i18n.currency(inputs.hourlyCost, currency) }), { color: COLORS.muted });
+        const bestPhase = getBestPhase(projection);
+        writeSegments(doc, i18n.segments('roi.summary', { hours: i18n.number(bestPhase.hoursSavedPerYear), savings: i18n.currency(bestPhase.annualSavings, currency) }), { size: 11 });
+        doc.moveDown(0.6);
+        drawTable(
+            doc,
+            ['roi.col_phase', 'roi.col_hours', 'roi.col_saved', 'roi.col_savings'].map(key => i18n.t(key)),
+            projection.phases.map(phase => [i18n.t(`roi.phase_${phase.id}`), i18n.number(phase.hoursPerWeek), i18n.number(phase.hoursSavedPerWeek), i18n.currency(phase.annualSavings, currency)]),
+        );
+        paragraph(doc, i18n.t('roi.assumptions', { weeks: WORK_WEEKS_PER_YEAR }), { size: 8.5, color: COLORS.muted });
+    },
+    analytics: (doc, { visitor, copy, i18n, roi }) => {
+        const hasRecordCharts = visitor.charts.length > 0;
+        const followsRoi = Boolean(roi);
+        sectionTitle(doc, copy.text(hasRecordCharts ? 'analytics.title' : 'analytics.title_illustrative'));
+        const note = copy.text(hasRecordCharts ? 'analytics.note' : 'analytics.note_illustrative');
+        paragraph(doc, followsRoi ? `${note} ${copy.text('analytics.note_roi')}` : note, { color: COLORS.muted });
+        renderCharts(doc, getAnalyticsChartSpecs(visitor.charts, roi?.projection, visitor.currency, i18n), i18n);
+    },
+    research: (doc, { visitor, copy }) => {
+        doc.addPage();
+        sectionTitle(doc, copy.text('research.title'));
+        renderMarkdown(doc, visitor.deepResearchMd);
+    },
+    booking: (doc, { copy, i18n }) => {
+        sectionTitle(doc, copy.text('booking.title'));
+        const contact = i18n.rich('report.contact', {}, { email: { text: 'hello@makertoo.com', link: 'mailto:hello@makertoo.com' } });
+        writeSegments(doc, [
+            ...copy.segments('booking.intro'),
+            { text: ' ' },
+            ...contact.map(part => (typeof part === 'string' ? { text: part } : part)),
+        ]);
+    },
+    custom: (doc, { section, copy }) => {
+        sectionTitle(doc, copy.format(section.title).map(segment => segment.text).join(''));
+        renderMarkdown(doc, copy.markdown(section.body));
+    },
+};
+
+// layout: resolved dashboard layout (resolveDashboardLayout); the report follows the same section order and copy.
+// locale: language of the report's own text, dates and numbers (lib/i18n).
+export async function buildVisitorReport(visitor, { brandColors = [], layout = resolveDashboardLayout(), locale = DEFAULT_LOCALE, generatedAt = new Date() } = {}) {
+    const { firstName, companyName, companyLogo } = visitor;
+    const logoImage = await fetchLogoImage(companyLogo);
+    // PDFKit only embeds PNG and JPEG; SVG logos are left out of the report.
+    const logo = logoImage && logoImage.format !== 'svg' ? logoImage.buffer : null;
+    const i18n = createTranslator(locale);
+
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: MARGIN,
+        bufferPages: true,
+        lang: locale,
+        info: { Title: i18n.t('report.title', { companyName }), Author: 'MakerToo', Subject: i18n.t('report.subject', { firstName, companyName }) },
+    });
+    brandPalettes.set(doc, buildTheme({ brandColors, mode: 'light' }).chartColors);
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    renderHeader(doc, visitor, logo, generatedAt, i18n);
+
+    const copy = createCopyReader(layout.copy, getCopyValues(visitor));
+    const sections = getVisibleSections(layout, visitor);
+    // Like the dashboard, the analytics charts follow the ROI calculator only when the layout shows it.
+    const roiInputs = getRoiDefaults(visitor);
+    const roi = sections.some(section => section.type === 'roi') ? { inputs: roiInputs, projection: projectRoi(roiInputs) } : null;
+    sections.forEach((section) => {
+        SECTION_RENDERERS[section.type](doc, { section, visitor, copy, i18n, roi });
+    });
+
+    addPageFooters(doc, companyName, i18n);
+    doc.end();
+    return finished;
+}
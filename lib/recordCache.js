@@ -0,0 +1,55 @@
+// lib/recordCache.js
+// Last successfully loaded visitor ({ record, brand, campaign }) per visitor key, kept in localStorage so a returning prospect
+// sees their dashboard immediately while a fresh copy loads. Storage failures (private mode,
+// quota) are swallowed: the cache is an optimisation, never a requirement.
+
+const STORAGE_PREFIX = 'makertoo_pap_record:';
+const MAX_ENTRIES = 5;
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const getStorage = () => {
+    try {
+        return typeof window !== 'undefined' ? window.localStorage : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+const readEntry = (storage, storageKey) => {
+    try {
+        const entry = JSON.parse(storage.getItem(storageKey));
+        return entry && entry.record && typeof entry.savedAt === 'number' ? entry : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+export function getCachedRecord(visitorKey) {
+    const storage = getStorage();
+    if (!storage || !visitorKey) return null;
+    const entry = readEntry(storage, STORAGE_PREFIX + visitorKey);
+    if (!entry) return null;
+    if (Date.now() - entry.savedAt > MAX_AGE_MS) {
+        storage.removeItem(STORAGE_PREFIX + visitorKey);
+        return null;
+    }
+    return entry;
+}
+
+export function saveCachedRecord(visitorKey, { record, brand = null, campaign = null }) {
+    const storage = getStorage();
+    if (!storage || !visitorKey || !record) return;
+    try {
+        storage.setItem(STORAGE_PREFIX + visitorKey, JSON.stringify({ record, brand, campaign, savedAt: Date.now() }));
+        // Keep only the most recent MAX_ENTRIES visitors.
+        const keys = Object.keys(storage).filter(key => key.startsWith(STORAGE_PREFIX));
+        if (keys.length > MAX_ENTRIES) {
+            keys.map(key => ({ key, savedAt: readEntry(storage, key)?.savedAt || 0 }))
+                .sort((a, b) => a.savedAt - b.savedAt)
+                .slice(0, keys.length - MAX_ENTRIES)
+                .forEach(({ key }) => storage.removeItem(key));
+        }
+    } catch (e) {
+        console.warn('MAKERTOO_PAP_CLIENT: Could not cache visitor record:', e.message);
+    }
+}
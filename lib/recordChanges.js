@@ -0,0 +1,55 @@
+// lib/recordChanges.js
+// What a returning visitor has not seen yet. A record is reduced to the items the dashboard shows, keyed
+// `field:<view-model key>`, `kpi:<label>` and `research:<part id>` (`research:intro` for the text before
+// the first heading); two versions are compared item by item. Shared by lib/recordVersions.js, which stores
+// the versions, and the sections, which put an "Updated" badge on the items that changed.
+import { buildResearchDocument } from './researchDocument';
+
+// Record fields with visible content of their own; names, languages and settings do not get a badge.
+export const TRACKED_FIELDS = ['fromAbstract', 'overviewShort', 'usp', 'founderBio', 'keyChallengeOpportunity', 'coreServices', 'charts'];
+const RESEARCH_PREFIX = 'research:';
+
+const kpiItem = (label) => `kpi:${String(label).trim().toLowerCase()}`;
+const researchItem = (id) => `${RESEARCH_PREFIX}${id}`;
+
+// { [item]: content } for a normalized record (lib/visitorRecord.js). Content is a string to hash or compare.
+export function getRecordItems(model) {
+    const items = {};
+    TRACKED_FIELDS.forEach((key) => {
+        const value = model[key];
+        if (value === undefined || (Array.isArray(value) && value.length === 0)) return;
+        items[`field:${key}`] = JSON.stringify(value);
+    });
+    model.kpis.forEach((kpi) => { items[kpiItem(kpi.label)] = JSON.stringify(kpi); });
+    const { intro, parts } = buildResearchDocument(model.deepResearchMd);
+    if (intro.text) items[researchItem('intro')] = intro.text;
+    // A part's own title and text only, so an edit deep in the report does not flag every heading above it.
+    const addPart = (part) => {
+        items[researchItem(part.id)] = `${part.title}\n${part.text}`;
+        part.children.forEach(addPart);
+    };
+    parts.forEach(addPart);
+    return items;
+}
+
+// { updated, removed }: items new or different in `current`, and items `current` no longer has.
+export function diffRecordItems(previous, current) {
+    return {
+        updated: Object.keys(current).filter(item => previous[item] !== current[item]),
+        removed: Object.keys(previous).filter(item => !(item in current)),
+    };
+}
+
+// Lookup for the sections. updated: item keys from diffRecordItems (empty when nothing changed or unknown).
+export function createChangeLookup(updated = []) {
+    const items = new Set(updated);
+    return {
+        hasUpdates: items.size > 0,
+        field: key => items.has(`field:${key}`),
+        kpi: label => items.has(kpiItem(label)),
+        research: id => items.has(researchItem(id)),
+        anyResearch: () => [...items].some(item => item.startsWith(RESEARCH_PREFIX)),
+    };
+}
+
+export const NO_CHANGES = createChangeLookup();
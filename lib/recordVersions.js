@@ -0,0 +1,142 @@
+// lib/recordVersions.js
+// Version history of each visitor record, kept in .data/record-versions.jsonl. A new version is stored
+// whenever the dashboard is served a record whose visible content (lib/recordChanges.js) differs from the
+// last stored one; each version keeps a hash per item for comparing, the items' content (`snapshot`) for the
+// admin history, and what changed against its predecessor.
+// .data/record-views.jsonl logs the dashboard views, for the "Updated" badges. Only each visitor's last
+// VISITS_KEPT visits matter, so the log is rewritten without the rest once it has grown by VIEW_LOG_SLACK lines.
+// Both files are read once per server process into an in-memory index, and each visitor's views are handled
+// one at a time. Like the other stores, this assumes a single server process writes DATA_DIR.
+import { createHash } from 'crypto';
+import { diffRecordItems, getRecordItems } from './recordChanges';
+import { createJsonlStore } from './jsonlStore';
+import { normalizeVisitorRecord } from './visitorRecord';
+
+const versionStore = createJsonlStore('record-versions.jsonl');
+const viewStore = createJsonlStore('record-views.jsonl');
+
+// Views less than this apart are one visit, so reloading the dashboard keeps its badges.
+const VISIT_GAP_MS = 30 * 60 * 1000;
+// The current visit and the one before it are all the badges need.
+const VISITS_KEPT = 2;
+const VIEW_LOG_SLACK = 1000;
+const VIEW_LOG_LOCK = 'record-views.jsonl';
+
+const hashOf = (text) => createHash('sha256').update(text).digest('base64url').slice(0, 22);
+
+// Promise chains keyed by visitor ID (or file): a task starts when the previous one for its key has settled.
+const queues = new Map();
+function withLock(key, task) {
+    const run = (queues.get(key) || Promise.resolve()).then(task);
+    const settled = run.catch(() => {});
+    queues.set(key, settled);
+    settled.then(() => { if (queues.get(key) === settled) queues.delete(key); });
+    return run;
+}
+
+// Fingerprint of a raw record: { hash, items: { [item]: hash }, snapshot: { [item]: content } }.
+function fingerprintRecord(record) {
+    const { model } = normalizeVisitorRecord(record);
+    const snapshot = getRecordItems(model);
+    const items = Object.fromEntries(Object.entries(snapshot).map(([item, content]) => [item, hashOf(content)]));
+    return { hash: hashOf(JSON.stringify(Object.entries(items).sort())), items, snapshot };
+}
+
+// A visit is the last view it contains ({ visitorId, version, at }). Returns the visits (oldest first) with
+// `view` added: it extends the latest visit when that is less than VISIT_GAP_MS old, else starts a new one.
+const isSameVisit = (visit, view) => Boolean(visit) && Date.parse(view.at) - Date.parse(visit.at) < VISIT_GAP_MS;
+const addView = (visits, view) => [...visits.slice(0, isSameVisit(visits[visits.length - 1], view) ? -1 : visits.length), view].slice(-VISITS_KEPT);
+
+// The visit before the one `view` belongs to, or null on a first visit.
+const findPreviousVisit = (visits, view) => (isSameVisit(visits[visits.length - 1], view) ? visits[visits.length - 2] : visits[visits.length - 1]) || null;
+
+// { versions: Map(visitorId -> versions, oldest first), visits: Map(visitorId -> visits), viewLines }.
+let indexPromise = null;
+function loadIndex() {
+    if (!indexPromise) {
+        indexPromise = Promise.all([versionStore.readAll(), viewStore.readAll()]).then(([versions, views]) => {
+            const index = { versions: new Map(), visits: new Map(), viewLines: views.length };
+            versions.forEach((version) => {
+                if (!index.versions.has(version.visitorId)) index.versions.set(version.visitorId, []);
+                index.versions.get(version.visitorId).push(version);
+            });
+            views.forEach(view => index.visits.set(view.visitorId, addView(index.visits.get(view.visitorId) || [], view)));
+            return index;
+        });
+        indexPromise.catch(() => { indexPromise = null; }); // retried on the next request
+    }
+    return indexPromise;
+}
+
+// The stored version matching this record, appending it first when the content is new.
+async function storeVersion(index, visitorId, record) {
+    const { hash, items, snapshot } = fingerprintRecord(record);
+    const versions = index.versions.get(visitorId) || [];
+    const latest = versions[versions.length - 1];
+    if (latest && latest.hash === hash) return latest;
+    const current = {
+        visitorId,
+        version: latest ? latest.version + 1 : 1,
+        hash,
+        items,
+        snapshot,
+        changes: latest ? diffRecordItems(latest.items, items) : null, // null for the first version seen
+        at: new Date().toISOString(),
+    };
+    await versionStore.append(current);
+    index.versions.set(visitorId, [...versions, current]);
+    return current;
+}
+
+// Appends the view and returns the visit before this one. Runs under VIEW_LOG_LOCK, so compaction never
+// overlaps an append.
+function logView(index, view) {
+    return withLock(VIEW_LOG_LOCK, async () => {
+        const visits = index.visits.get(view.visitorId) || [];
+        await viewStore.append(view);
+        index.visits.set(view.visitorId, addView(visits, view));
+        index.viewLines += 1;
+
+        const kept = [...index.visits.values()].flat();
+        if (index.viewLines > kept.length + VIEW_LOG_SLACK) {
+            await viewStore.replaceAll(kept);
+            index.viewLines = kept.length;
+        }
+        return findPreviousVisit(visits, view);
+    });
+}
+
+// Called when a visitor opens their dashboard: stores the record's version if it is new, remembers that
+// this visitor has now seen it, and returns { version, since, updated }. `updated` lists the items that
+// changed since the version they saw on their previous visit (at `since`); it is empty on a first visit.
+export function recordVisitorView(visitorId, record) {
+    return withLock(visitorId, async () => {
+        const index = await loadIndex();
+        const current = await storeVersion(index, visitorId, record);
+        const previousVisit = await logView(index, { visitorId, version: current.version, at: new Date().toISOString() });
+
+        const seen = previousVisit && index.versions.get(visitorId).find(entry => entry.version === previousVisit.version);
+        if (!seen || seen.version === current.version) return { version: current.version, since: previousVisit?.at || null, updated: [] };
+        return { version: current.version, since: previousVisit.at, updated: diffRecordItems(seen.items, current.items).updated };
+    });
+}
+
+// What each changed item was before and after a version: { [item]: { before, after } }, null where the item
+// did not exist. Versions stored before snapshots were kept have no content to show.
+function describeChanges(version, previous) {
+    if (!version.changes || !version.snapshot) return version.changes;
+    const valueOf = (entry, item) => entry?.snapshot?.[item] ?? null;
+    const changed = [...version.changes.updated, ...version.changes.removed];
+    return { ...version.changes, values: Object.fromEntries(changed.map(item => [item, { before: valueOf(previous, item), after: valueOf(version, item) }])) };
+}
+
+// Newest first, with the changed values but without the item hashes and snapshots; every visitor's versions
+// when visitorId is empty.
+export async function listRecordVersions(visitorId) {
+    const index = await loadIndex();
+    const lists = visitorId ? [index.versions.get(visitorId) || []] : [...index.versions.values()];
+    return lists
+        .flatMap(versions => versions.map((version, position) => ({ version, previous: versions[position - 1] })))
+        .sort((a, b) => b.version.at.localeCompare(a.version.at))
+        .map(({ version: { items, snapshot, ...version }, previous }) => ({ ...version, changes: describeChanges({ ...version, snapshot }, previous) }));
+}
@@ -0,0 +1,85 @@
+// lib/researchDocument.js
+// Splits the deep-research markdown into the headed parts the dashboard's research reader shows: h1-h3
+// become collapsible parts with a stable anchor id (table of contents, #fragment links), deeper headings
+// stay inside their part. Each part carries its sanitized HTML and plain text, for rendering and search.
+import { marked } from 'marked';
+import { sanitizeHtml } from './sanitizeHtml';
+
+export const RESEARCH_ANCHOR_PREFIX = 'research-';
+const MAX_PART_DEPTH = 3;
+const MARKED_OPTIONS = { gfm: true, breaks: true };
+
+const decodeEntities = (text) => String(text)
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+
+// Visible text of inline tokens (a heading's **bold** or [links] reduced to their words).
+const tokenText = (tokens = []) => tokens.map((token) => {
+    if (token.tokens) return tokenText(token.tokens);
+    return token.type === 'html' ? '' : decodeEntities(token.text || '');
+}).join('');
+
+const htmlText = (html) => decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+// 'Market & Competitors' -> 'market-competitors'; accents are dropped so ids stay readable in URLs.
+export const slugify = (text) => String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'section';
+
+const renderTokens = (tokens, links) => {
+    const list = Object.assign([...tokens], { links });
+    const html = sanitizeHtml(marked.parser(list, MARKED_OPTIONS));
+    return { html, text: htmlText(html) };
+};
+
+// Returns { intro: { html, text }, parts, outline }. parts is the tree ({ id, depth, title, html, text, children });
+// outline lists every part in document order as { id, depth, title, ancestors }.
+export function buildResearchDocument(markdown) {
+    const tokens = marked.lexer(markdown || '', MARKED_OPTIONS);
+    const root = { depth: 0, tokens: [], children: [] };
+    const stack = [root];
+    const outline = [];
+    const idCounts = new Map();
+
+    tokens.forEach((token) => {
+        if (token.type !== 'heading' || token.depth > MAX_PART_DEPTH) {
+            stack[stack.length - 1].tokens.push(token);
+            return;
+        }
+        while (stack[stack.length - 1].depth >= token.depth) stack.pop();
+        const title = tokenText(token.tokens).trim();
+        const slug = `${RESEARCH_ANCHOR_PREFIX}${slugify(title)}`;
+        const count = (idCounts.get(slug) || 0) + 1;
+        idCounts.set(slug, count);
+        const part = { id: count > 1 ? `${slug}-${count}` : slug, depth: token.depth, title, tokens: [], children: [] };
+        outline.push({ id: part.id, depth: part.depth, title, ancestors: stack.slice(1).map(parent => parent.id) });
+        stack[stack.length - 1].children.push(part);
+        stack.push(part);
+    });
+
+    const finish = ({ id, depth, title, tokens: partTokens, children }) => ({
+        id, depth, title, ...renderTokens(partTokens, tokens.links), children: children.map(finish),
+    });
+    return { intro: renderTokens(root.tokens, tokens.links), parts: root.children.map(finish), outline };
+}
+
+// Case-insensitive occurrences of `query` in `text`.
+export function countMatches(text, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return 0;
+    const haystack = text.toLowerCase();
+    let count = 0;
+    for (let index = haystack.indexOf(needle); index !== -1; index = haystack.indexOf(needle, index + needle.length)) count += 1;
+    return count;
+}
+
+// Ids of the parts whose title or text (their own or a descendant's) contains `query`.
+export function findMatchingParts(parts, query) {
+    const matching = new Set();
+    const visit = (part) => {
+        const childMatches = part.children.map(visit).some(Boolean);
+        const matches = childMatches || countMatches(`${part.title} ${part.text}`, query) > 0;
+        if (matches) matching.add(part.id);
+        return matches;
+    };
+    if (query.trim()) parts.forEach(visit);
+    return matching;
+}
@@ -0,0 +1,129 @@
+// lib/roi.js
+// ROI calculator model: the prospect's team size, hours per person per week on manual tasks and hourly
+// cost, projected across MakerToo's automation phases. Shared by the calculator section, the analytics
+// charts it drives, the PDF report and /api/roi-scenarios, so every place shows the same numbers.
+import { ILLUSTRATIVE_CHART_SPECS } from './chartSpecs';
+
+// Limits double as server-side validation; `fallback` applies when the record has no roi_* value.
+export const ROI_INPUTS = {
+    teamSize: { min: 1, max: 10000, step: 1, fallback: 5 },
+    hoursPerWeek: { min: 0, max: 80, step: 0.5, fallback: 10 },
+    hourlyCost: { min: 0, max: 10000, step: 1, fallback: 50 },
+};
+export const ROI_INPUT_KEYS = Object.keys(ROI_INPUTS);
+
+// Share of the manual hours each phase removes (the 100 -> 60 -> 30 curve of the illustrative chart).
+export const ROI_PHASES = [
+    { id: 'manual', reduction: 0 },
+    { id: 'automation', reduction: 0.4 },
+    { id: 'ai', reduction: 0.7 },
+];
+
+export const WORK_WEEKS_PER_YEAR = 46;
+// The phase running in each quarter of the first year, for the cumulative savings chart.
+const ROLLOUT_BY_QUARTER = ['automation', 'automation', 'ai', 'ai'];
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+export const DEFAULT_CURRENCY = 'EUR';
+
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// A number within the input's limits (numeric strings allowed, '12,5' included), or null.
+export function parseRoiInput(key, value) {
+    const limits = ROI_INPUTS[key];
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value.trim().replace(',', '.')) : value;
+    if (!limits || typeof number !== 'number' || !Number.isFinite(number)) return null;
+    if (number < limits.min || number > limits.max) return null;
+    return key === 'teamSize' ? Math.round(number) : number;
+}
+
+export const normalizeCurrency = (value) => (typeof value === 'string' && CURRENCY_PATTERN.test(value.trim().toUpperCase()) ? value.trim().toUpperCase() : null);
+
+// Calculator defaults from the normalized visitor record (roi_* columns), within limits.
+export function getRoiDefaults(visitor) {
+    const fromRecord = { teamSize: visitor.roiTeamSize, hoursPerWeek: visitor.roiHoursPerWeek, hourlyCost: visitor.roiHourlyCost };
+    return ROI_INPUT_KEYS.reduce((defaults, key) => {
+        const limits = ROI_INPUTS[key];
+        const value = fromRecord[key];
+        defaults[key] = typeof value === 'number' ? Math.min(Math.max(value, limits.min), limits.max) : limits.fallback;
+        return defaults;
+    }, {});
+}
+
+// Validates submitted inputs: { inputs } when every field is usable, otherwise { errors: [field, ...] }.
+export function validateRoiInputs(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const inputs = {};
+    const errors = ROI_INPUT_KEYS.filter((key) => {
+        inputs[key] = parseRoiInput(key, source[key]);
+        return inputs[key] === null;
+    });
+    return errors.length > 0 ? { errors } : { inputs };
+}
+
+// { manualHoursPerWeek, annualCost, phases: [{ id, hoursPerWeek, hoursSavedPerWeek, hoursSavedPerYear, annualSavings }] }
+export function projectRoi({ teamSize, hoursPerWeek, hourlyCost }) {
+    const manualHoursPerWeek = teamSize * hoursPerWeek;
+    return {
+        manualHoursPerWeek: round(manualHoursPerWeek, 1),
+        annualCost: round(manualHoursPerWeek * hourlyCost * WORK_WEEKS_PER_YEAR),
+        phases: ROI_PHASES.map(({ id, reduction }) => {
+            const saved = manualHoursPerWeek * reduction;
+            return {
+                id,
+                hoursPerWeek: round(manualHoursPerWeek - saved, 1),
+                hoursSavedPerWeek: round(saved, 1),
+                hoursSavedPerYear: round(saved * WORK_WEEKS_PER_YEAR),
+                annualSavings: round(saved * hourlyCost * WORK_WEEKS_PER_YEAR),
+            };
+        }),
+    };
+}
+
+export const getBestPhase = (projection) => projection.phases[projection.phases.length - 1];
+
+// '€' before or ' €' after the amount, as the locale writes it; used as chart unit affixes.
+export function getCurrencyAffixes(currency, locale) {
+    const parts = new Intl.NumberFormat(locale, { style: 'currency', currency, maximumFractionDigits: 0 }).formatToParts(1);
+    const integerIndex = parts.findIndex(part => part.type === 'integer');
+    const join = (list) => list.map(part => part.value).join('');
+    return { unit_prefix: join(parts.slice(0, integerIndex)), unit_suffix: join(parts.slice(integerIndex + 1)) };
+}
+
+// The efficiency (bar) and savings (line) chart specs for a projection; i18n is a translator from lib/i18n.
+export function buildRoiChartSpecs(projection, currency, i18n) {
+    const { t } = i18n;
+    const savingsByPhase = Object.fromEntries(projection.phases.map(phase => [phase.id, phase.annualSavings]));
+    let cumulative = 0;
+    const cumulativeSavings = ROLLOUT_BY_QUARTER.map((phaseId) => {
+        cumulative += savingsByPhase[phaseId] / 4;
+        return Math.round(cumulative);
+    });
+    return [
+        {
+            type: 'line', title: t('roi.chart_savings_title'), icon: 'dashicons-chart-line',
+            labels: ROLLOUT_BY_QUARTER.map((phaseId, index) => t('roi.quarter', { quarter: index + 1 })),
+            datasets: [{ label: t('roi.chart_savings_label'), data: cumulativeSavings, color: 'green' }],
+            ...getCurrencyAffixes(currency, i18n.locale),
+        },
+        {
+            type: 'bar', title: t('roi.chart_hours_title'), icon: 'dashicons-controls-fastforward',
+            labels: projection.phases.map(phase => t(`roi.phase_${phase.id}`)),
+            datasets: [{ label: t('roi.chart_hours_label'), data: projection.phases.map(phase => phase.hoursPerWeek), color: 'blue' }],
+            unit_prefix: '', unit_suffix: ' h',
+        },
+    ];
+}
+
+// The analytics section's charts: the record's own, else the illustrative ones. While the ROI calculator is
+// shown (projection set), its savings and efficiency charts are added after the record's charts, or replace
+// the illustrative revenue line and efficiency bars.
+export function getAnalyticsChartSpecs(recordCharts, projection, currency, i18n) {
+    if (!projection) return recordCharts.length > 0 ? recordCharts : ILLUSTRATIVE_CHART_SPECS;
+    const [savingsSpec, hoursSpec] = buildRoiChartSpecs(projection, currency, i18n);
+    if (recordCharts.length > 0) return [...recordCharts, savingsSpec, hoursSpec];
+    return ILLUSTRATIVE_CHART_SPECS.map((spec) => {
+        if (spec.type === 'line') return savingsSpec;
+        if (spec.type === 'bar') return hoursSpec;
+        return spec;
+    });
+}
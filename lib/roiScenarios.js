@@ -0,0 +1,38 @@
+// lib/roiScenarios.js
+// Server side of the ROI calculator: stores the scenarios prospects send from the dashboard in
+// .data/roi-scenarios.jsonl, with the projection recomputed here so sales see the same numbers the lead saw.
+import { ApiError } from './apiResponse';
+import { createJsonlStore } from './jsonlStore';
+import { DEFAULT_CURRENCY, ROI_INPUTS, normalizeCurrency, projectRoi, validateRoiInputs } from './roi';
+
+const scenarioStore = createJsonlStore('roi-scenarios.jsonl');
+
+export async function recordRoiScenario({ visitorId, campaign }, { inputs: rawInputs, currency: rawCurrency } = {}) {
+    const { inputs, errors } = validateRoiInputs(rawInputs);
+    if (errors) {
+        const ranges = errors.map(key => `${key} (${ROI_INPUTS[key].min}-${ROI_INPUTS[key].max})`).join(', ');
+        throw new ApiError(400, 'invalid_roi_inputs', `Please provide valid numbers for ${ranges}.`);
+    }
+    if (rawCurrency !== undefined && !normalizeCurrency(rawCurrency)) {
+        throw new ApiError(400, 'invalid_currency', 'currency must be a three-letter ISO 4217 code.');
+    }
+    const { manualHoursPerWeek, annualCost, phases } = projectRoi(inputs);
+    const scenario = {
+        visitorId,
+        campaign,
+        ...inputs,
+        currency: normalizeCurrency(rawCurrency) || DEFAULT_CURRENCY,
+        manualHoursPerWeek,
+        annualCost,
+        annualSavings: Object.fromEntries(phases.map(phase => [phase.id, phase.annualSavings])),
+        at: new Date().toISOString(),
+    };
+    await scenarioStore.append(scenario);
+    return scenario;
+}
+
+// Newest first; every visitor's scenarios when visitorId is empty.
+export async function listRoiScenarios(visitorId) {
+    const scenarios = await scenarioStore.readAll((scenario) => !visitorId || scenario.visitorId === visitorId);
+    return scenarios.reverse();
+}
@@ -0,0 +1,46 @@
+// lib/sanitizeHtml.js
+// Allowlist sanitizer for HTML produced from untrusted markdown (the AI-generated deep research).
+// Anything not listed here is dropped: <script>/<style>/<iframe>/<svg>, every on* handler,
+// style attributes and any URL scheme other than the ones below.
+import sanitize from 'sanitize-html';
+
+const ALLOWED_TAGS = [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote', 'pre', 'code',
+    'em', 'strong', 'del', 's', 'sub', 'sup', 'span',
+    'ul', 'ol', 'li',
+    'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td',
+];
+
+const ALLOWED_ATTRIBUTES = {
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align'],
+};
+
+const SANITIZE_OPTIONS = {
+    allowedTags: ALLOWED_TAGS,
+    allowedAttributes: ALLOWED_ATTRIBUTES,
+    allowedClasses: { code: ['language-*'] },
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    allowedSchemesByTag: { img: ['http', 'https'] },
+    allowProtocolRelative: false,
+    disallowedTagsMode: 'discard',
+    transformTags: {
+        // In-page anchors stay as they are; every other link opens in a new tab without window.opener.
+        a: (tagName, attribs) => {
+            if (attribs.href && attribs.href.startsWith('#')) {
+                const { target, rel, ...rest } = attribs;
+                return { tagName, attribs: rest };
+            }
+            return { tagName, attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer' } };
+        },
+    },
+};
+
+export function sanitizeHtml(dirtyHtml) {
+    if (!dirtyHtml) return '';
+    return sanitize(dirtyHtml, SANITIZE_OPTIONS);
+}
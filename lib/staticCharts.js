@@ -0,0 +1,186 @@
+// lib/staticCharts.js
+// Renders normalized chart specs (lib/chartSpecs.js) to standalone SVG strings, for places where
+// Chart.js and a canvas are not available: the PDF report and other server-rendered images.
+// Deliberately simple: one look per chart type, no animation or interaction.
+import { DEFAULT_LOCALE, formatNumber } from './i18n';
+
+const DEFAULT_THEME = {
+    colors: { green: '#00b894', blue: '#0984e3', pink: '#e84393', purple: '#6c5ce7' },
+    text: '#2d3436',
+    muted: '#636e72',
+    grid: '#dfe6e9',
+    background: '#ffffff',
+    fontFamily: 'Helvetica, Arial, sans-serif',
+};
+const PALETTE_ORDER = ['green', 'blue', 'pink', 'purple'];
+const LEGEND_HEIGHT = 26;
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const niceStep = (range, targetTicks = 5) => {
+    const rough = range / targetTicks || 1;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const normalized = rough / magnitude;
+    const nice = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+    return nice * magnitude;
+};
+
+const formatValue = (spec, value, theme) => `${spec.unit_prefix || ''}${formatNumber(round(value), theme.locale)}${spec.unit_suffix || ''}`;
+
+const datasetColor = (theme, dataset, index) => theme.colors[dataset.color || PALETTE_ORDER[index % PALETTE_ORDER.length]];
+
+const text = (theme, x, y, content, { anchor = 'middle', size = 11, color = theme.text, weight = 'normal' } = {}) => (
+    `<text x="${round(x)}" y="${round(y)}" text-anchor="${anchor}" font-family="${theme.fontFamily}" font-size="${size}" font-weight="${weight}" fill="${color}">${escapeXml(content)}</text>`
+);
+
+const renderLegend = (theme, items, width, y) => {
+    const itemWidths = items.map(item => 18 + item.label.length * 6 + 14);
+    let x = Math.max(0, (width - itemWidths.reduce((sum, w) => sum + w, 0)) / 2);
+    return items.map((item, index) => {
+        const markup = `<rect x="${round(x)}" y="${round(y - 9)}" width="10" height="10" rx="2" fill="${item.color}"/>${text(theme, x + 16, y, item.label, { anchor: 'start', size: 10, color: theme.muted })}`;
+        x += itemWidths[index];
+        return markup;
+    }).join('');
+};
+
+// --- line, bar, stacked_bar ---
+const renderCartesian = (spec, theme, width, height) => {
+    const margin = { top: LEGEND_HEIGHT + 10, right: 15, bottom: 30, left: 50 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const stacked = spec.type === 'stacked_bar';
+
+    const values = stacked
+        ? spec.labels.map((_, i) => spec.datasets.reduce((sum, dataset) => sum + Math.max(0, dataset.data[i]), 0))
+        : spec.datasets.flatMap(dataset => dataset.data);
+    const minValue = Math.min(0, ...values);
+    const step = niceStep(Math.max(...values, 0) - minValue);
+    const yMin = Math.floor(minValue / step) * step;
+    const yMax = Math.max(step, Math.ceil(Math.max(...values, 0) / step) * step);
+    const yFor = (value) => margin.top + plotHeight - ((value - yMin) / (yMax - yMin)) * plotHeight;
+    const band = plotWidth / spec.labels.length;
+
+    const parts = [];
+    for (let tick = yMin; tick <= yMax + step / 2; tick += step) {
+        const y = yFor(tick);
+        parts.push(`<line x1="${margin.left}" y1="${round(y)}" x2="${width - margin.right}" y2="${round(y)}" stroke="${theme.grid}" stroke-width="1"/>`);
+        parts.push(text(theme, margin.left - 6, y + 3, formatValue(spec, tick, theme), { anchor: 'end', size: 9, color: theme.muted }));
+    }
+    spec.labels.forEach((label, i) => {
+        parts.push(text(theme, margin.left + band * (i + 0.5), height - margin.bottom + 16, label, { size: 9, color: theme.muted }));
+    });
+
+    if (spec.type === 'line') {
+        spec.datasets.forEach((dataset, index) => {
+            const color = datasetColor(theme, dataset, index);
+            const points = dataset.data.map((value, i) => [margin.left + band * (i + 0.5), yFor(value)]);
+            const path = points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${round(x)},${round(y)}`).join(' ');
+            if (spec.datasets.length === 1) {
+                const baseline = round(yFor(Math.max(yMin, 0)));
+                parts.push(`<path d="${path} L${round(points[points.length - 1][0])},${baseline} L${round(points[0][0])},${baseline} Z" fill="${color}" fill-opacity="0.15"/>`);
+            }
+            parts.push(`<path d="${path}" fill="none" stroke="${color}" stroke-width="2"/>`);
+            points.forEach(([x, y]) => parts.push(`<circle cx="${round(x)}" cy="${round(y)}" r="3" fill="${color}"/>`));
+        });
+    } else if (stacked) {
+        const barWidth = band * 0.6;
+        const offsets = spec.labels.map(() => 0);
+        spec.datasets.forEach((dataset, index) => {
+            const color = datasetColor(theme, dataset, index);
+            dataset.data.forEach((value, i) => {
+                const safeValue = Math.max(0, value);
+                const top = yFor(offsets[i] + safeValue);
+                parts.push(`<rect x="${round(margin.left + band * i + (band - barWidth) / 2)}" y="${round(top)}" width="${round(barWidth)}" height="${round(yFor(offsets[i]) - top)}" fill="${color}" fill-opacity="0.85"/>`);
+                offsets[i] += safeValue;
+            });
+        });
+    } else {
+        const groupWidth = band * 0.7;
+        const barWidth = groupWidth / spec.datasets.length;
+        spec.datasets.forEach((dataset, index) => {
+            const color = datasetColor(theme, dataset, index);
+            dataset.data.forEach((value, i) => {
+                const x = margin.left + band * i + (band - groupWidth) / 2 + barWidth * index;
+                const top = yFor(Math.max(value, 0));
+                const bottom = yFor(Math.min(value, 0));
+                parts.push(`<rect x="${round(x + 1)}" y="${round(top)}" width="${round(Math.max(barWidth - 2, 1))}" height="${round(bottom - top)}" rx="3" fill="${color}" fill-opacity="0.8"/>`);
+            });
+        });
+    }
+
+    parts.push(renderLegend(theme, spec.datasets.map((dataset, index) => ({ label: dataset.label, color: datasetColor(theme, dataset, index) })), width, 16));
+    return parts.join('');
+};
+
+// --- doughnut ---
+const renderDoughnut = (spec, theme, width, height) => {
+    const data = spec.datasets[0].data.map(value => Math.max(0, value));
+    const total = data.reduce((sum, value) => sum + value, 0) || 1;
+    const cx = width / 2;
+    const cy = (height - LEGEND_HEIGHT) / 2 + 5;
+    const outer = Math.min(width, height - LEGEND_HEIGHT) / 2 - 10;
+    const inner = outer * 0.6;
+    const pointAt = (radius, angle) => [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+
+    let angle = -Math.PI / 2;
+    const slices = data.map((value, i) => {
+        const sweep = (value / total) * Math.PI * 2;
+        const color = theme.colors[PALETTE_ORDER[i % PALETTE_ORDER.length]];
+        if (sweep >= Math.PI * 2 - 1e-6) {
+            return `<circle cx="${round(cx)}" cy="${round(cy)}" r="${round((outer + inner) / 2)}" fill="none" stroke="${color}" stroke-width="${round(outer - inner)}"/>`;
+        }
+        const [x1, y1] = pointAt(outer, angle);
+        const [x2, y2] = pointAt(outer, angle + sweep);
+        const [x3, y3] = pointAt(inner, angle + sweep);
+        const [x4, y4] = pointAt(inner, angle);
+        const largeArc = sweep > Math.PI ? 1 : 0;
+        angle += sweep;
+        if (sweep === 0) return '';
+        return `<path d="M${round(x1)},${round(y1)} A${round(outer)},${round(outer)} 0 ${largeArc} 1 ${round(x2)},${round(y2)} L${round(x3)},${round(y3)} A${round(inner)},${round(inner)} 0 ${largeArc} 0 ${round(x4)},${round(y4)} Z" fill="${color}" stroke="${theme.background}" stroke-width="2"/>`;
+    });
+    const legend = renderLegend(theme, spec.labels.map((label, i) => ({ label: `${label} (${formatValue(spec, data[i], theme)})`, color: theme.colors[PALETTE_ORDER[i % PALETTE_ORDER.length]] })), width, height - 8);
+    return slices.join('') + legend;
+};
+
+// --- radar ---
+const renderRadar = (spec, theme, width, height) => {
+    const cx = width / 2;
+    const cy = (height + LEGEND_HEIGHT) / 2;
+    const radius = Math.min(width, height - LEGEND_HEIGHT) / 2 - 30;
+    const maxValue = Math.max(...spec.datasets.flatMap(dataset => dataset.data), 0);
+    const step = niceStep(maxValue, 4);
+    const scaleMax = Math.max(step, Math.ceil(maxValue / step) * step);
+    const angleFor = (i) => -Math.PI / 2 + (i / spec.labels.length) * Math.PI * 2;
+    const pointFor = (value, i) => [cx + (Math.max(0, value) / scaleMax) * radius * Math.cos(angleFor(i)), cy + (Math.max(0, value) / scaleMax) * radius * Math.sin(angleFor(i))];
+    const polygon = (points) => points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+
+    const parts = [];
+    for (let level = step; level <= scaleMax + step / 2; level += step) {
+        parts.push(`<polygon points="${polygon(spec.labels.map((_, i) => pointFor(level, i)))}" fill="none" stroke="${theme.grid}" stroke-width="1"/>`);
+    }
+    spec.labels.forEach((label, i) => {
+        const [x, y] = pointFor(scaleMax, i);
+        parts.push(`<line x1="${round(cx)}" y1="${round(cy)}" x2="${round(x)}" y2="${round(y)}" stroke="${theme.grid}" stroke-width="1"/>`);
+        const [lx, ly] = pointFor(scaleMax * 1.14, i);
+        parts.push(text(theme, lx, ly + 3, label, { size: 9, color: theme.muted, anchor: Math.abs(lx - cx) < 5 ? 'middle' : (lx > cx ? 'start' : 'end') }));
+    });
+    spec.datasets.forEach((dataset, index) => {
+        const color = datasetColor(theme, dataset, index);
+        parts.push(`<polygon points="${polygon(dataset.data.map((value, i) => pointFor(value, i)))}" fill="${color}" fill-opacity="0.2" stroke="${color}" stroke-width="2"/>`);
+    });
+    parts.push(renderLegend(theme, spec.datasets.map((dataset, index) => ({ label: dataset.label, color: datasetColor(theme, dataset, index) })), width, 16));
+    return parts.join('');
+};
+
+const RENDERERS = { line: renderCartesian, bar: renderCartesian, stacked_bar: renderCartesian, doughnut: renderDoughnut, radar: renderRadar };
+
+// locale: number format for axis ticks and legend values (lib/i18n).
+export function renderChartSvg(spec, { width = 480, height = 280, theme: themeOverrides = {}, locale = DEFAULT_LOCALE } = {}) {
+    const theme = { ...DEFAULT_THEME, ...themeOverrides, colors: { ...DEFAULT_THEME.colors, ...themeOverrides.colors }, locale };
+    const body = RENDERERS[spec.type](spec, theme, width, height);
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><rect width="${width}" height="${height}" fill="${theme.background}"/>${body}</svg>`;
+}
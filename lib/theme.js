@@ -0,0 +1,178 @@
+// lib/theme.js
+// Per-visitor dashboard theme: up to four brand colors plus a light or dark base become the CSS
+// variables from styles/globals.css and the Chart.js palette, so page and charts always match.
+// Pure (no DOM, no network); brand colors are resolved on the server by lib/brandColors.js.
+//
+// The accent variable names are historical: --accent-green holds the primary brand color,
+// --accent-blue the secondary, --accent-pink and --accent-purple the remaining two.
+
+export const THEME_MODES = ['dark', 'light'];
+export const DEFAULT_THEME_MODE = 'dark';
+export const DEFAULT_BRAND_COLORS = ['#00ffcc', '#00bfff', '#ff007f', '#9f78ff'];
+
+const ACCENT_SLOTS = ['green', 'blue', 'pink', 'purple'];
+// Hue offsets from the primary color used to fill missing slots (mirrors the MakerToo palette).
+const DERIVED_HUE_OFFSETS = [0, 30, 160, 90];
+// WCAG AA for normal text: accents are used for links, KPI values and headings.
+const MIN_ACCENT_CONTRAST = 4.5;
+
+const BASE_THEMES = {
+    dark: {
+        'bg-dark-primary': '#0a0f14', 'bg-dark-secondary': '#10151b', 'bg-dark-tertiary': '#181f27', 'bg-input': '#0d1218', 'bg-code': '#06090d',
+        'text-light': '#f0f0f5', 'text-primary': '#d0d0e0', 'text-secondary': '#a0a0b8', 'text-muted': '#787e8f', 'text-rgb-secondary-raw': '160, 160, 184',
+        'border-color': '#282e3a', 'border-color-light': '#383e4a',
+        'shadow-soft': '0 4px 12px rgba(0,0,0,0.2)', 'shadow-medium': '0 6px 20px rgba(0,0,0,0.25)', 'shadow-inset': 'inset 0 2px 4px rgba(0,0,0,0.1)',
+        tooltipBg: '#10151b', tooltipText: '#f0f0f5',
+    },
+    light: {
+        'bg-dark-primary': '#f4f6f9', 'bg-dark-secondary': '#ffffff', 'bg-dark-tertiary': '#eef1f5', 'bg-input': '#f8fafc', 'bg-code': '#eef1f5',
+        'text-light': '#0f172a', 'text-primary': '#1e293b', 'text-secondary': '#475569', 'text-muted': '#64748b', 'text-rgb-secondary-raw': '71, 85, 105',
+        'border-color': '#e2e8f0', 'border-color-light': '#cbd5e1',
+        'shadow-soft': '0 4px 12px rgba(15,23,42,0.06)', 'shadow-medium': '0 6px 20px rgba(15,23,42,0.08)', 'shadow-inset': 'inset 0 2px 4px rgba(15,23,42,0.04)',
+        tooltipBg: '#1e293b', tooltipText: '#ffffff',
+    },
+};
+
+// --- Color math ---
+const clampChannel = (value) => Math.max(0, Math.min(255, Math.round(value)));
+
+export function parseColor(value) {
+    if (typeof value !== 'string') return null;
+    const input = value.trim().toLowerCase();
+    let match = input.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+    if (match) {
+        const hex = match[1].length === 3 ? match[1].split('').map(c => c + c).join('') : match[1];
+        return { r: parseInt(hex.slice(0, 2), 16), g: parseInt(hex.slice(2, 4), 16), b: parseInt(hex.slice(4, 6), 16) };
+    }
+    match = input.match(/^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,\s*[\d.]+\s*)?\)$/);
+    if (match && match.slice(1, 4).every(channel => Number(channel) <= 255)) {
+        return { r: Number(match[1]), g: Number(match[2]), b: Number(match[3]) };
+    }
+    return null;
+}
+
+export const toHex = ({ r, g, b }) => `#${[r, g, b].map(channel => clampChannel(channel).toString(16).padStart(2, '0')).join('')}`;
+const toRgbTriplet = ({ r, g, b }) => `${r},${g},${b}`;
+
+const mix = (color, target, amount) => ({
+    r: clampChannel(color.r + (target.r - color.r) * amount),
+    g: clampChannel(color.g + (target.g - color.g) * amount),
+    b: clampChannel(color.b + (target.b - color.b) * amount),
+});
+
+const relativeLuminance = ({ r, g, b }) => {
+    const [lr, lg, lb] = [r, g, b].map((channel) => {
+        const c = channel / 255;
+        return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+};
+
+export function contrastRatio(a, b) {
+    const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+const toHsl = ({ r, g, b }) => {
+    const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+    const max = Math.max(rn, gn, bn);
+    const min = Math.min(rn, gn, bn);
+    const l = (max + min) / 2;
+    if (max === min) return { h: 0, s: 0, l };
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === rn) h = (gn - bn) / d + (gn < bn ? 6 : 0);
+    else if (max === gn) h = (bn - rn) / d + 2;
+    else h = (rn - gn) / d + 4;
+    return { h: h * 60, s, l };
+};
+
+const fromHsl = ({ h, s, l }) => {
+    const hueToChannel = (p, q, t) => {
+        let tn = t;
+        if (tn < 0) tn += 1;
+        if (tn > 1) tn -= 1;
+        if (tn < 1 / 6) return p + (q - p) * 6 * tn;
+        if (tn < 1 / 2) return q;
+        if (tn < 2 / 3) return p + (q - p) * (2 / 3 - tn) * 6;
+        return p;
+    };
+    if (s === 0) return { r: clampChannel(l * 255), g: clampChannel(l * 255), b: clampChannel(l * 255) };
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const hn = (((h % 360) + 360) % 360) / 360;
+    return { r: clampChannel(hueToChannel(p, q, hn + 1 / 3) * 255), g: clampChannel(hueToChannel(p, q, hn) * 255), b: clampChannel(hueToChannel(p, q, hn - 1 / 3) * 255) };
+};
+
+export const getSaturationAndLightness = (color) => {
+    const { s, l } = toHsl(color);
+    return { saturation: s, lightness: l };
+};
+
+// Moves `color` toward white (on dark backgrounds) or black (on light ones) until it reaches `minRatio`.
+function ensureContrast(color, background, minRatio) {
+    const target = relativeLuminance(background) < 0.5 ? { r: 255, g: 255, b: 255 } : { r: 0, g: 0, b: 0 };
+    let adjusted = color;
+    for (let step = 1; step <= 20 && contrastRatio(adjusted, background) < minRatio; step += 1) {
+        adjusted = mix(color, target, step * 0.05);
+    }
+    return adjusted;
+}
+
+// Black-ish or white text, whichever reads better on `background`.
+const readableTextOn = (background) => {
+    const dark = parseColor(BASE_THEMES.dark['bg-dark-primary']);
+    const light = { r: 255, g: 255, b: 255 };
+    return contrastRatio(dark, background) >= contrastRatio(light, background) ? dark : light;
+};
+
+// Fills the four accent slots from however many brand colors there are.
+function completeBrandPalette(brandColors) {
+    const parsed = (Array.isArray(brandColors) ? brandColors : []).map(parseColor).filter(Boolean).slice(0, ACCENT_SLOTS.length);
+    if (parsed.length === 0) return DEFAULT_BRAND_COLORS.map(parseColor);
+    const primary = toHsl(parsed[0]);
+    return ACCENT_SLOTS.map((_, index) => {
+        if (parsed[index]) return parsed[index];
+        // A grey primary (black or white logos) has no hue to rotate; fall back to the house colors.
+        if (primary.s < 0.15) return parseColor(DEFAULT_BRAND_COLORS[index]);
+        return fromHsl({ h: primary.h + DERIVED_HUE_OFFSETS[index], s: Math.max(primary.s, 0.55), l: Math.min(Math.max(primary.l, 0.45), 0.6) });
+    });
+}
+
+export const resolveThemeMode = (...candidates) => candidates.find(mode => THEME_MODES.includes(mode)) || DEFAULT_THEME_MODE;
+
+export function buildTheme({ brandColors = [], mode = DEFAULT_THEME_MODE } = {}) {
+    const themeMode = resolveThemeMode(mode);
+    const base = BASE_THEMES[themeMode];
+    const surface = parseColor(base['bg-dark-secondary']);
+    const accents = completeBrandPalette(brandColors).map(color => ensureContrast(color, surface, MIN_ACCENT_CONTRAST));
+    const [primary, secondary, pink, purple] = accents;
+
+    const cssVariables = {};
+    Object.entries(base).forEach(([name, value]) => { if (!['tooltipBg', 'tooltipText'].includes(name)) cssVariables[`--${name}`] = value; });
+    ACCENT_SLOTS.forEach((slot, index) => {
+        cssVariables[`--accent-${slot}`] = toHex(accents[index]);
+        cssVariables[`--accent-${slot}-rgb`] = toRgbTriplet(accents[index]).replace(/,/g, ', ');
+    });
+    cssVariables['--accent-green-darker'] = toHex(mix(primary, { r: 0, g: 0, b: 0 }, 0.1));
+    cssVariables['--accent-contrast-text'] = toHex(readableTextOn(primary));
+
+    return {
+        mode: themeMode,
+        brandColors: accents.map(toHex),
+        cssVariables,
+        chartColors: {
+            primary: toHex(primary), secondary: toHex(secondary), pink: toHex(pink), purple: toHex(purple),
+            grid: `rgba(${base['text-rgb-secondary-raw']}, ${themeMode === 'light' ? 0.2 : 0.1})`,
+            ticks: base['text-muted'],
+            surface: base['bg-input'],
+            tooltipBg: base.tooltipBg, tooltipText: base.tooltipText,
+            fontFamily: 'Montserrat',
+            accentGreenRgb: toRgbTriplet(primary), accentBlueRgb: toRgbTriplet(secondary), accentPinkRgb: toRgbTriplet(pink), accentPurpleRgb: toRgbTriplet(purple),
+        },
+    };
+}
+
+// Every value above is generated from validated colors, so the result is safe to inline in a <style> tag.
+export const themeToCss = (theme) => `:root { color-scheme: ${theme.mode}; ${Object.entries(theme.cssVariables).map(([name, value]) => `${name}: ${value};`).join(' ')} }`;
@@ -0,0 +1,36 @@
+// lib/tracking.js
+// Browser side of engagement tracking. Events are queued and flushed in small batches to
+// /api/events; the final flush on pagehide goes through navigator.sendBeacon so it survives unload.
+
+const FLUSH_DELAY_MS = 2000;
+
+export function createTracker(visitorKey) {
+    const sessionId = typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    let queue = [];
+    let flushTimer = null;
+
+    const flush = ({ beacon = false } = {}) => {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (queue.length === 0) return;
+        const body = JSON.stringify({ key: visitorKey, sessionId, events: queue });
+        queue = [];
+        if (beacon && navigator.sendBeacon) {
+            navigator.sendBeacon('/api/events', new Blob([body], { type: 'application/json' }));
+            return;
+        }
+        fetch('/api/events', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true })
+            .catch((err) => console.warn('MAKERTOO_PAP_CLIENT: Could not send engagement events:', err.message));
+    };
+
+    const track = (type, props = {}) => {
+        queue.push({ type, ...props });
+        if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+    };
+
+    return { track, flush };
+}
+
+export const isTrackingAllowed = () => typeof navigator !== 'undefined' && navigator.doNotTrack !== '1';
@@ -0,0 +1,38 @@
+// lib/ttlCache.js
+// Small in-memory cache with per-entry expiry. Lives for the lifetime of the server process.
+// Keys often come from requests (visitor IDs, logo URLs), so the cache holds at most `maxEntries`: setting a
+// new key beyond that first drops the expired entries, then the oldest ones.
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+export function createTtlCache(defaultTtlMs, { maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    const entries = new Map(); // in insertion order: set() re-inserts, so the first entry is the oldest
+
+    const get = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    };
+
+    const evict = () => {
+        const now = Date.now();
+        entries.forEach((entry, key) => { if (entry.expiresAt <= now) entries.delete(key); });
+        while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    };
+
+    const set = (key, value, ttlMs = defaultTtlMs) => {
+        entries.delete(key);
+        entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        if (entries.size > maxEntries) evict();
+        return value;
+    };
+
+    const remove = (key) => { entries.delete(key); };
+    const clear = () => { entries.clear(); };
+
+    return { get, set, delete: remove, clear, get size() { return entries.size; } };
+}
@@ -0,0 +1,77 @@
+// lib/visitorClient.js
+// Browser-side wrappers around /api/config and /api/visitor/[id]. Failures are rethrown as
+// Errors carrying the API error `code` (and HTTP `status`), so callers can map them to dashboard states.
+// Network errors and 5xx responses are retried with exponential backoff before giving up.
+import axios from 'axios';
+
+const RETRY_DELAYS_MS = [500, 1500, 4000];
+
+const withCode = (message, code, status) => Object.assign(new Error(message), { code, status });
+
+const toClientError = (err, fallbackMessage) => {
+    if (err.response) {
+        return withCode(
+            err.response.data?.data?.message || `Server error (${err.response.status}). Please try again or contact support.`,
+            err.response.data?.data?.code || 'upstream_error',
+            err.response.status,
+        );
+    }
+    if (err.request) return withCode('No response from the dashboard server. Please check connectivity.', 'network_error');
+    return withCode(err.message || fallbackMessage, err.code || 'internal_error');
+};
+
+export const isAbortError = (err) => axios.isCancel(err) || err?.name === 'CanceledError' || err?.name === 'AbortError';
+
+// Nonce failures are 5xx too, but the server has already retried them with a fresh nonce.
+export const isRetryableError = (err) => err.code !== 'nonce_invalid' && (err.code === 'network_error' || err.status >= 500);
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(Object.assign(new Error('Request aborted.'), { name: 'AbortError' }));
+    }, { once: true });
+});
+
+const withRetry = async (request, signal) => {
+    for (let attempt = 0; ; attempt += 1) {
+        try {
+            return await request();
+        } catch (err) {
+            if (isAbortError(err) || !isRetryableError(err) || attempt >= RETRY_DELAYS_MS.length) throw err;
+            // Full jitter keeps a burst of reconnecting clients from retrying in lockstep.
+            await sleep(Math.round(RETRY_DELAYS_MS[attempt] * (0.5 + Math.random() / 2)), signal);
+        }
+    }
+};
+
+const requestDashboardConfig = async (signal) => {
+    try {
+        const response = await axios.get('/api/config', { signal });
+        if (response.data && response.data.success) return response.data.data;
+        throw withCode(response.data?.data?.message || 'Failed to fetch valid configuration.', response.data?.data?.code);
+    } catch (err) {
+        if (isAbortError(err) || (err.code && !err.isAxiosError)) throw err;
+        throw toClientError(err, 'Failed to fetch valid configuration.');
+    }
+};
+
+export async function fetchDashboardConfig({ signal } = {}) {
+    return withRetry(() => requestDashboardConfig(signal), signal);
+}
+
+const requestVisitor = async (visitorKey, signal) => {
+    try {
+        const response = await axios.get(`/api/visitor/${encodeURIComponent(visitorKey)}`, { signal });
+        if (response.data.success) return response.data.data;
+        throw withCode(response.data.data?.message || 'Failed to fetch data (server indicated failure).', response.data.data?.code);
+    } catch (err) {
+        if (isAbortError(err) || (err.code && !err.isAxiosError)) throw err;
+        throw toClientError(err, 'An error occurred while fetching your personalized data.');
+    }
+};
+
+// Resolves to { visitorId, campaign, record, brand }.
+export async function fetchVisitor(visitorKey, { signal } = {}) {
+    return withRetry(() => requestVisitor(visitorKey, signal), signal);
+}
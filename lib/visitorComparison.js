@@ -0,0 +1,74 @@
+// lib/visitorComparison.js
+// Side-by-side view of several visitor records for the /admin/compare page. KPIs are matched by label across
+// the records and flagged where their values differ, core services are split into shared and distinctive
+// ones, and the numeric KPIs every record has are overlaid on bar charts (lib/chartSpecs.js), one per unit.
+import { PALETTE_COLORS } from './chartSpecs';
+
+export const MAX_COMPARED_VISITORS = 6;
+const MAX_VISITOR_ID_LENGTH = 128;
+
+// ?ids=a,b c -> ['a', 'b', 'c']: trimmed, de-duplicated and capped at MAX_COMPARED_VISITORS.
+export function parseComparedVisitorIds(value) {
+    const ids = (Array.isArray(value) ? value.join(',') : String(value || '')).split(/[\s,]+/)
+        .filter(id => id && id.length <= MAX_VISITOR_ID_LENGTH);
+    return [...new Set(ids)].slice(0, MAX_COMPARED_VISITORS);
+}
+
+const matchKey = (text) => String(text).trim().toLowerCase();
+const toNumber = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    return typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : null;
+};
+
+function buildKpiRows(models) {
+    const rows = new Map();
+    models.forEach((model, column) => {
+        model.kpis.forEach((kpi) => {
+            const key = matchKey(kpi.label);
+            if (!rows.has(key)) rows.set(key, { label: kpi.label, cells: models.map(() => null) });
+            const unit = kpi.unit_suffix === undefined ? '' : String(kpi.unit_suffix);
+            rows.get(key).cells[column] = { kpi, value: kpi.value, unit, number: toNumber(kpi.value) };
+        });
+    });
+    return [...rows.values()].map((row) => {
+        const present = row.cells.filter(Boolean);
+        const numeric = present.every(cell => cell.number !== null) && new Set(present.map(cell => cell.unit)).size === 1;
+        return {
+            ...row,
+            // A KPI only some records have counts as a difference too.
+            differs: new Set(row.cells.map(cell => (cell ? `${matchKey(cell.value)}${cell.unit}` : null))).size > 1,
+            numeric,
+            unit: numeric ? present[0].unit : '',
+            highest: numeric && present.length > 1 ? Math.max(...present.map(cell => cell.number)) : null,
+            complete: present.length === row.cells.length,
+        };
+    });
+}
+
+// models: normalized records (lib/visitorRecord.js), one per column. Returns { kpiRows, isSharedService, chartSpecs }.
+// kpiRows: [{ label, cells: [{ kpi, value, unit, number } | null], differs, numeric, unit, highest, complete }], where
+// `kpi` is the record's KPI for rendering with the dashboard's KpiValue/KpiStatus (components/sections/KpiSection.js).
+export function buildVisitorComparison(models) {
+    const kpiRows = buildKpiRows(models);
+    const serviceSets = models.map(model => new Set(model.coreServices.map(matchKey)));
+    const isSharedService = (service) => serviceSets.every(services => services.has(matchKey(service)));
+
+    const rowsByUnit = new Map();
+    kpiRows.filter(row => row.numeric && row.complete && models.length > 1).forEach((row) => {
+        rowsByUnit.set(row.unit, [...(rowsByUnit.get(row.unit) || []), row]);
+    });
+    const chartSpecs = [...rowsByUnit.entries()].map(([unit, rows]) => ({
+        type: 'bar',
+        title: unit.trim() ? `KPI comparison (${unit.trim()})` : 'KPI comparison',
+        icon: 'dashicons-chart-bar',
+        labels: rows.map(row => row.label),
+        unit_prefix: '',
+        unit_suffix: unit,
+        datasets: models.map((model, column) => ({
+            label: model.companyName,
+            data: rows.map(row => row.cells[column].number),
+            color: PALETTE_COLORS[column % PALETTE_COLORS.length],
+        })),
+    }));
+    return { kpiRows, isSharedService, chartSpecs };
+}
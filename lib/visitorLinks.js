@@ -0,0 +1,81 @@
+// lib/visitorLinks.js
+// HMAC-signed, expiring visitor links. A token is `<payload>.<signature>`, both base64url, where
+// payload is JSON { vid, exp, cmp? } and signature is HMAC-SHA256(payload, VISITOR_LINK_SECRET).
+// Server-only: uses node:crypto and the signing secret.
+import crypto from 'crypto';
+import { ApiError } from './apiResponse';
+
+const LINK_SECRET = process.env.VISITOR_LINK_SECRET;
+// Raw ?visitor_id= access is an explicit opt-in; a missing secret does not turn it on.
+const ALLOW_UNSIGNED_IDS = process.env.ALLOW_UNSIGNED_VISITOR_IDS === 'true';
+const DEFAULT_LINK_TTL_DAYS = Number(process.env.VISITOR_LINK_TTL_DAYS) || 30;
+const MAX_VISITOR_ID_LENGTH = 128;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+if (!LINK_SECRET) {
+    console.warn(`MAKERTOO_PAP_SERVER: VISITOR_LINK_SECRET is not set; signed links cannot be issued or opened${ALLOW_UNSIGNED_IDS ? ', only raw visitor IDs open dashboards' : ' and raw visitor IDs are refused (ALLOW_UNSIGNED_VISITOR_IDS is not true)'}.`);
+}
+
+const sign = (encodedPayload) => crypto.createHmac('sha256', LINK_SECRET).update(encodedPayload).digest('base64url');
+
+export const isVisitorToken = (key) => typeof key === 'string' && TOKEN_PATTERN.test(key);
+
+export function createVisitorToken({ visitorId, campaign, expiresInDays = DEFAULT_LINK_TTL_DAYS }) {
+    if (!LINK_SECRET) throw new ApiError(500, 'signing_not_configured', 'VISITOR_LINK_SECRET is not configured.');
+    const payload = { vid: visitorId, exp: Math.floor(Date.now() / 1000) + Math.round(expiresInDays * 24 * 60 * 60) };
+    if (campaign) payload.cmp = campaign;
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return { token: `${encodedPayload}.${sign(encodedPayload)}`, expiresAt: new Date(payload.exp * 1000).toISOString() };
+}
+
+export function verifyVisitorToken(token) {
+    const invalid = new ApiError(401, 'link_invalid', 'This dashboard link is not valid. Please use the link from your email.');
+    if (!LINK_SECRET || !isVisitorToken(token)) throw invalid;
+
+    const [encodedPayload, signature] = token.split('.');
+    const expected = Buffer.from(sign(encodedPayload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) throw invalid;
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (e) {
+        throw invalid;
+    }
+    if (!payload || typeof payload.vid !== 'string' || typeof payload.exp !== 'number') throw invalid;
+    if (payload.exp * 1000 <= Date.now()) {
+        throw new ApiError(410, 'link_expired', 'This dashboard link has expired. Please reply to our email and we will send you a fresh one.');
+    }
+    return { visitorId: payload.vid, campaign: payload.cmp || null, expiresAt: new Date(payload.exp * 1000).toISOString() };
+}
+
+const LOOPBACK_HOST_PATTERN = /^(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/i;
+
+// Origin for absolute URLs handed out of the app (emailed links, link preview images), or null when there is
+// none to trust. The Host header is chosen by the client, so production needs PUBLIC_SITE_URL; in development
+// the request's own protocol is used with its host when that is this machine.
+export function getPublicOrigin(req) {
+    if (process.env.PUBLIC_SITE_URL) return process.env.PUBLIC_SITE_URL.replace(/\/+$/, '');
+    if (process.env.NODE_ENV === 'production') return null;
+    const protocol = req.socket?.encrypted ? 'https' : 'http';
+    const host = LOOPBACK_HOST_PATTERN.test(req.headers.host || '') ? req.headers.host : `localhost:${req.socket?.localPort || 3000}`;
+    return `${protocol}://${host}`;
+}
+
+// Turns whatever identifies the visitor in a request (signed token or, where allowed, a raw ID)
+// into { visitorId, campaign }. Must run before any record is fetched.
+export function resolveVisitorKey(key) {
+    const trimmed = typeof key === 'string' ? key.trim() : '';
+    if (!trimmed || trimmed.length > 1024) {
+        throw new ApiError(400, 'invalid_visitor_id', 'Please provide a valid Visitor ID.');
+    }
+    if (isVisitorToken(trimmed) && LINK_SECRET) return verifyVisitorToken(trimmed);
+    if (!ALLOW_UNSIGNED_IDS) {
+        throw new ApiError(401, 'link_invalid', 'This dashboard requires a personal link. Please use the link from your email.');
+    }
+    if (trimmed.length > MAX_VISITOR_ID_LENGTH) {
+        throw new ApiError(400, 'invalid_visitor_id', 'Please provide a valid Visitor ID.');
+    }
+    return { visitorId: trimmed, campaign: null, expiresAt: null };
+}
@@ -0,0 +1,226 @@
+// lib/visitorRecord.js
+// Schema and normalization for the NocoDB visitor record served by fetch_dashboard_data_proxy.
+// normalizeVisitorRecord() turns the raw row into the view model the dashboard renders and
+// collects every problem it had to paper over, so bad records can be caught before a prospect sees them.
+import { DASHICON_PATTERN, normalizeChartSpec } from './chartSpecs';
+import { SUPPORTED_LOCALES, getLocaleRecordDefaults, normalizeLocale } from './i18n';
+import { DEFAULT_CURRENCY, normalizeCurrency } from './roi';
+import { THEME_MODES, parseColor, toHex } from './theme';
+
+export const DEFAULT_KPIS = [
+    { label: "Strategic Alignment", value: "High", target: "With MakerToo's Open-Source Focus", icon: "dashicons-admin-links", color: "var(--accent-purple)" },
+    { label: "Innovation Potential", value: "Significant", target: "Via Custom AI/Automation", icon: "dashicons-lightbulb", color: "var(--accent-blue)" },
+    { label: "Data Control", value: "Total", target: "Through Private Infrastructure", icon: "dashicons-lock", color: "var(--accent-green)" },
+    { label: "Future Scalability", value: "Assured", target: "With Flexible Tech Stacks", icon: "dashicons-backup", color: "var(--accent-pink)" },
+];
+
+// key: view-model property. aliases: raw NocoDB columns, first non-empty one wins.
+// localized: the fallback is replaced by the locale catalog's `record` entry (lib/i18n) when it has one.
+export const VISITOR_RECORD_SCHEMA = [
+    { key: 'visitorId', aliases: ['visitor_id'], type: 'string' },
+    { key: 'firstName', aliases: ['first_name'], type: 'string', required: true, fallback: 'Valued Lead', localized: true },
+    { key: 'companyName', aliases: ['company_short', 'company_name'], type: 'string', required: true, fallback: 'Your Company', localized: true },
+    { key: 'companyLogo', aliases: ['logo_url'], type: 'url' },
+    { key: 'companyWebsite', aliases: ['website_url'], type: 'url' },
+    { key: 'fromAbstract', aliases: ['from_abstract'], type: 'string', fallback: 'achieving key strategic objectives', localized: true },
+    { key: 'usp', aliases: ['company_usp'], type: 'string' },
+    { key: 'overviewShort', aliases: ['company_overview_short'], type: 'string' },
+    { key: 'founderBio', aliases: ['founder_bio_snippet'], type: 'string' },
+    { key: 'keyChallengeOpportunity', aliases: ['key_challenge_or_opportunity'], type: 'string' },
+    { key: 'coreServices', aliases: ['core_services_list'], type: 'string_list', fallback: [] },
+    { key: 'deepResearchMd', aliases: ['deep_research', 'deep_reaserach'], type: 'string' },
+    { key: 'kpis', aliases: ['kpi_data'], type: 'kpi_list', fallback: DEFAULT_KPIS, localized: true },
+    { key: 'charts', aliases: ['chart_data'], type: 'chart_list', fallback: [] },
+    { key: 'brandColors', aliases: ['brand_colors', 'brand_palette'], type: 'color_list', fallback: [] },
+    { key: 'themeMode', aliases: ['theme_mode'], type: 'theme_mode' },
+    { key: 'layout', aliases: ['dashboard_layout'], type: 'json_object' }, // see lib/dashboardLayout.js
+    { key: 'language', aliases: ['language', 'locale'], type: 'locale' },
+    { key: 'campaign', aliases: ['campaign'], type: 'string' }, // outreach campaign; signed links carry their own
+    // ROI calculator defaults (lib/roi.js): people doing the manual work, hours per person per week, cost per hour.
+    { key: 'roiTeamSize', aliases: ['roi_team_size'], type: 'number' },
+    { key: 'roiHoursPerWeek', aliases: ['roi_hours_per_week'], type: 'number' },
+    { key: 'roiHourlyCost', aliases: ['roi_hourly_cost'], type: 'number' },
+    { key: 'currency', aliases: ['currency'], type: 'currency', fallback: DEFAULT_CURRENCY },
+];
+
+// KPI `status`, shown as a labelled badge so a card's meaning never rests on its color alone.
+export const KPI_STATUSES = ['positive', 'neutral', 'negative'];
+const CSS_COLOR_PATTERN = /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\([\d\s.,%a-z]+\)|var\(--[a-z0-9-]+\)|[a-z]+)$/i;
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// A KPI's value and unit as one string, for renderings without the cards' markup (PDF, link preview image).
+// The cards set .kpi-unit apart with a margin; here a space does that, so "10" and "weeks" never run together.
+export const formatKpiValue = (kpi, i18n) => (isBlank(kpi.unit_suffix) ? i18n.number(kpi.value) : `${i18n.number(kpi.value)} ${kpi.unit_suffix}`);
+
+const parseJsonField = (field, value, warnings) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        warnings.push({ field, message: `Could not parse JSON: ${e.message}` });
+        return undefined;
+    }
+};
+
+const normalizeKpi = (field, kpi, index, warnings) => {
+    const where = `${field}[${index}]`;
+    if (!kpi || typeof kpi !== 'object' || Array.isArray(kpi)) {
+        warnings.push({ field: where, message: 'KPI entry is not an object; skipped.' });
+        return null;
+    }
+    if (typeof kpi.label !== 'string' || !kpi.label.trim()) {
+        warnings.push({ field: where, message: 'KPI is missing a "label"; skipped.' });
+        return null;
+    }
+    if ((typeof kpi.value !== 'string' && typeof kpi.value !== 'number') || String(kpi.value).trim() === '') {
+        warnings.push({ field: where, message: `KPI "${kpi.label}" is missing a "value"; skipped.` });
+        return null;
+    }
+    const normalized = { label: kpi.label.trim(), value: kpi.value };
+    const optional = {
+        unit_suffix: (v) => typeof v === 'string' || typeof v === 'number',
+        target: (v) => typeof v === 'string',
+        icon: (v) => typeof v === 'string' && DASHICON_PATTERN.test(v),
+        color: (v) => typeof v === 'string' && CSS_COLOR_PATTERN.test(v.trim()),
+        status: (v) => KPI_STATUSES.includes(v),
+    };
+    Object.entries(optional).forEach(([prop, isValid]) => {
+        if (isBlank(kpi[prop])) return;
+        if (isValid(kpi[prop])) normalized[prop] = typeof kpi[prop] === 'string' ? kpi[prop].trim() : kpi[prop];
+        else warnings.push({ field: `${where}.${prop}`, message: `Invalid ${prop} ${JSON.stringify(kpi[prop])}; ignored.` });
+    });
+    return normalized;
+};
+
+const FIELD_PARSERS = {
+    string: (field, value, warnings) => {
+        if (typeof value === 'string') return value.trim();
+        if (typeof value === 'number') return String(value);
+        warnings.push({ field, message: `Expected text, got ${typeof value}.` });
+        return undefined;
+    },
+    number: (field, value, warnings) => {
+        const number = typeof value === 'string' ? Number(value.trim()) : value;
+        if (typeof number === 'number' && Number.isFinite(number) && number >= 0) return number;
+        warnings.push({ field, message: `Expected a non-negative number, got ${JSON.stringify(value)}.` });
+        return undefined;
+    },
+    currency: (field, value, warnings) => {
+        const currency = normalizeCurrency(value);
+        if (currency) return currency;
+        warnings.push({ field, message: `Expected a three-letter currency code such as EUR, got ${JSON.stringify(value)}.` });
+        return undefined;
+    },
+    url: (field, value, warnings) => {
+        if (typeof value === 'string' && /^https?:\/\//i.test(value.trim())) return value.trim();
+        warnings.push({ field, message: `Expected an http(s) URL, got ${JSON.stringify(value)}.` });
+        return undefined;
+    },
+    string_list: (field, value, warnings) => {
+        const parsed = parseJsonField(field, value, warnings);
+        if (parsed === undefined) return undefined;
+        if (!Array.isArray(parsed)) {
+            warnings.push({ field, message: 'Expected a JSON array of strings.' });
+            return undefined;
+        }
+        const items = parsed.filter((item) => typeof item === 'string' && item.trim()).map((item) => item.trim());
+        if (items.length !== parsed.length) warnings.push({ field, message: `${parsed.length - items.length} non-text item(s) ignored.` });
+        return items;
+    },
+    kpi_list: (field, value, warnings) => {
+        const parsed = parseJsonField(field, value, warnings);
+        if (parsed === undefined) return undefined;
+        if (!Array.isArray(parsed)) {
+            warnings.push({ field, message: 'Expected a JSON array of KPI objects.' });
+            return undefined;
+        }
+        const kpis = parsed.map((kpi, index) => normalizeKpi(field, kpi, index, warnings)).filter(Boolean);
+        if (kpis.length === 0) {
+            warnings.push({ field, message: 'No valid KPIs found; showing the default KPI set.' });
+            return undefined;
+        }
+        return kpis;
+    },
+    // JSON array or comma-separated list of hex / rgb() colors, primary brand color first.
+    color_list: (field, value, warnings) => {
+        const parsed = typeof value === 'string' && !value.trim().startsWith('[') ? value.split(/,(?![^(]*\))/) : parseJsonField(field, value, warnings);
+        if (parsed === undefined) return undefined;
+        if (!Array.isArray(parsed)) {
+            warnings.push({ field, message: 'Expected a JSON array or comma-separated list of colors.' });
+            return undefined;
+        }
+        const colors = parsed.map(parseColor).filter(Boolean).map(toHex);
+        if (colors.length !== parsed.length) warnings.push({ field, message: `${parsed.length - colors.length} invalid color(s) ignored; use #rrggbb or rgb(r, g, b).` });
+        return colors;
+    },
+    theme_mode: (field, value, warnings) => {
+        const mode = typeof value === 'string' ? value.trim().toLowerCase() : value;
+        if (THEME_MODES.includes(mode)) return mode;
+        warnings.push({ field, message: `Expected one of ${THEME_MODES.join(', ')}, got ${JSON.stringify(value)}.` });
+        return undefined;
+    },
+    locale: (field, value, warnings) => {
+        const locale = normalizeLocale(value);
+        if (locale) return locale;
+        warnings.push({ field, message: `Unsupported language ${JSON.stringify(value)}; expected one of ${SUPPORTED_LOCALES.join(', ')}.` });
+        return undefined;
+    },
+    json_object: (field, value, warnings) => {
+        const parsed = parseJsonField(field, value, warnings);
+        if (parsed === undefined) return undefined;
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            warnings.push({ field, message: 'Expected a JSON object.' });
+            return undefined;
+        }
+        return parsed;
+    },
+    chart_list: (field, value, warnings) => {
+        const parsed = parseJsonField(field, value, warnings);
+        if (parsed === undefined) return undefined;
+        if (!Array.isArray(parsed)) {
+            warnings.push({ field, message: 'Expected a JSON array of chart specs.' });
+            return undefined;
+        }
+        return parsed.map((spec, index) => normalizeChartSpec(field, spec, index, warnings)).filter(Boolean);
+    },
+};
+
+const findField = (record, aliases) => aliases.find((alias) => !isBlank(record[alias]));
+
+// The record's own `language`, normalized, or null. Needed before normalizing, to pick the locale.
+export function getRecordLocale(rawRecord) {
+    if (!rawRecord || typeof rawRecord !== 'object') return null;
+    const { aliases } = VISITOR_RECORD_SCHEMA.find(({ key }) => key === 'language');
+    const field = findField(rawRecord, aliases);
+    return field ? normalizeLocale(rawRecord[field]) : null;
+}
+
+// The fallback shown for `key` when the record leaves it empty, in `locale`.
+export function getRecordFallback(key, locale) {
+    const { fallback, localized } = VISITOR_RECORD_SCHEMA.find((entry) => entry.key === key);
+    return (localized && getLocaleRecordDefaults(locale)[key]) ?? fallback;
+}
+
+// locale: the dashboard's resolved locale (lib/i18n), for fallbacks; defaults to the record's own language.
+export function normalizeVisitorRecord(rawRecord, { locale = null } = {}) {
+    const record = rawRecord && typeof rawRecord === 'object' ? rawRecord : {};
+    const warnings = [];
+    const model = {};
+
+    VISITOR_RECORD_SCHEMA.forEach(({ key, aliases, type, required }) => {
+        const field = findField(record, aliases);
+        if (field) {
+            model[key] = FIELD_PARSERS[type](field, record[field], warnings);
+        } else if (required && rawRecord) {
+            warnings.push({ field: aliases[0], message: 'Missing required field; using a generic fallback.' });
+        }
+    });
+
+    const fallbackLocale = locale || model.language;
+    VISITOR_RECORD_SCHEMA.forEach(({ key }) => {
+        if (model[key] === undefined) model[key] = getRecordFallback(key, fallbackLocale) ?? null;
+    });
+
+    return { model, warnings };
+}
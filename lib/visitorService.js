@@ -0,0 +1,21 @@
+// lib/visitorService.js
+// One entry point for "given the key from the URL, load this visitor's dashboard data",
+// shared by getServerSideProps and the /api/visitor routes. `brand` ({ colors, source }) feeds lib/theme.js;
+// `campaign` picks the layout variant (resolveLayoutCampaign in lib/dashboardLayout.js).
+import { ApiError } from './apiResponse';
+import { resolveBrandColors } from './brandColors';
+import { resolveLayoutCampaign } from './dashboardLayout';
+import { resolveVisitorKey } from './visitorLinks';
+import { normalizeVisitorRecord } from './visitorRecord';
+import { fetchVisitorRecord } from './wpClient';
+
+export async function loadVisitor(visitorKey) {
+    const { visitorId, campaign: linkCampaign } = resolveVisitorKey(visitorKey);
+    const record = await fetchVisitorRecord(visitorId);
+    if (!record) {
+        throw new ApiError(404, 'not_found', `No personalized insights found for Visitor ID: ${visitorId}. Please verify the ID or contact us if this ID should be active.`);
+    }
+    const { model } = normalizeVisitorRecord(record);
+    const brand = resolveBrandColors(model);
+    return { visitorId, campaign: resolveLayoutCampaign(linkCampaign, model), record, brand };
+}
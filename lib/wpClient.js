@@ -0,0 +1,103 @@
+// lib/wpClient.js
+// Server-side WordPress handshake: loads the plugin config (ajax_url + nonce) and
+// fetches visitor records through the fetch_dashboard_data_proxy admin-ajax action.
+// With MOCK_BACKEND=true both come from local fixtures instead (lib/mockBackend.js).
+// Never import this from client code; it reads server-only environment variables.
+import axios from 'axios';
+import { ApiError } from './apiResponse';
+import { MOCK_WP_API_URL, isMockBackendEnabled, mockWpTransport } from './mockBackend';
+import { createTtlCache } from './ttlCache';
+
+const MOCK_BACKEND = isMockBackendEnabled();
+const WP_API_URL = MOCK_BACKEND ? MOCK_WP_API_URL : process.env.WP_API_URL || process.env.NEXT_PUBLIC_WP_API_URL;
+const http = MOCK_BACKEND ? mockWpTransport : axios;
+const CONFIG_TTL_MS = Number(process.env.WP_CONFIG_TTL_MS) || 10 * 60 * 1000;
+const RECORD_TTL_MS = Number(process.env.VISITOR_RECORD_TTL_MS) || 60 * 1000;
+const REQUEST_TIMEOUT_MS = Number(process.env.WP_REQUEST_TIMEOUT_MS) || 10 * 1000;
+
+const CONFIG_CACHE_KEY = 'wp_config';
+const configCache = createTtlCache(CONFIG_TTL_MS);
+const recordCache = createTtlCache(RECORD_TTL_MS);
+
+if (MOCK_BACKEND) console.warn('MAKERTOO_PAP_SERVER: MOCK_BACKEND is on; serving fixture records instead of WordPress.');
+
+// Keys the browser never needs; everything else in the WP config is safe to expose.
+const PRIVATE_CONFIG_KEYS = ['nonce', 'ajax_url'];
+
+const toUpstreamError = (err, fallbackMessage) => {
+    if (err instanceof ApiError) return err;
+    if (err.response) {
+        const { status, data } = err.response;
+        if (status === 403 && (data === -1 || data === '-1' || (typeof data === 'string' && data.toLowerCase().includes('nonce')))) {
+            return new ApiError(502, 'nonce_invalid', 'Security check failed while loading your dashboard. Please try again in a moment.');
+        }
+        const upstreamMessage = data?.data?.message;
+        return new ApiError(502, 'upstream_error', `WordPress responded with ${status}. ${upstreamMessage || fallbackMessage}`);
+    }
+    if (err.request) {
+        return new ApiError(504, 'upstream_unreachable', 'No response from WordPress server.');
+    }
+    return new ApiError(500, 'internal_error', err.message || fallbackMessage);
+};
+
+export async function getWpConfig({ forceRefresh = false } = {}) {
+    if (!WP_API_URL) {
+        console.error('MAKERTOO_PAP_SERVER: CRITICAL - WP_API_URL not defined. Set it, or MOCK_BACKEND=true for the offline demo data.');
+        throw new ApiError(500, 'config_missing', 'Dashboard API URL configuration is missing.');
+    }
+    if (!forceRefresh) {
+        const cached = configCache.get(CONFIG_CACHE_KEY);
+        if (cached) return cached;
+    }
+    try {
+        const response = await http.get(`${WP_API_URL}/wp-json/personalized-dashboard/v1/config`, { timeout: REQUEST_TIMEOUT_MS });
+        if (response.data && response.data.success && response.data.data) {
+            return configCache.set(CONFIG_CACHE_KEY, response.data.data);
+        }
+        throw new ApiError(502, 'config_unavailable', response.data?.data?.message || 'Failed to fetch valid WP configuration.');
+    } catch (err) {
+        console.error('MAKERTOO_PAP_SERVER: Error fetching WP config:', err.message);
+        throw toUpstreamError(err, 'Could not load configuration.');
+    }
+}
+
+export async function getPublicConfig() {
+    const config = await getWpConfig();
+    return Object.fromEntries(Object.entries(config).filter(([key]) => !PRIVATE_CONFIG_KEYS.includes(key)));
+}
+
+const requestVisitorRecord = async (visitorId, config) => {
+    if (!config.ajax_url || !config.nonce) {
+        throw new ApiError(502, 'config_unavailable', 'WordPress configuration for data fetching is missing.');
+    }
+    const body = new URLSearchParams({
+        action: 'fetch_dashboard_data_proxy',
+        nonce: config.nonce,
+        visitor_id: visitorId,
+    });
+    try {
+        const response = await http.post(config.ajax_url, body, { timeout: REQUEST_TIMEOUT_MS });
+        if (response.data && response.data.success) return response.data.data;
+        throw new ApiError(502, 'upstream_error', response.data?.data?.message || 'Failed to fetch data (server indicated failure).');
+    } catch (err) {
+        throw toUpstreamError(err, 'An error occurred while fetching the visitor record.');
+    }
+};
+
+// Resolves to the raw NocoDB record, or null when WordPress has nothing for this ID.
+export async function fetchVisitorRecord(visitorId) {
+    const cached = recordCache.get(visitorId);
+    if (cached) return cached;
+
+    let record;
+    try {
+        record = await requestVisitorRecord(visitorId, await getWpConfig());
+    } catch (err) {
+        if (err.code !== 'nonce_invalid') throw err;
+        // The cached nonce expired on the WordPress side: fetch a fresh config and try exactly once more.
+        console.warn('MAKERTOO_PAP_SERVER: Nonce rejected, refreshing WP config and retrying.');
+        record = await requestVisitorRecord(visitorId, await getWpConfig({ forceRefresh: true }));
+    }
+    if (!record || typeof record !== 'object' || Object.keys(record).length === 0) return null;
+    return recordCache.set(visitorId, record);
+}
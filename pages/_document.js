@@ -1,8 +1,11 @@
 import { Html, Head, Main, NextScript } from "next/document";
+import { DEFAULT_LOCALE } from "@/lib/i18n";
 
-export default function Document() {
+// Pages that resolve a visitor locale (pages/dashboard.js) pass it as `initialLocale`.
+export default function Document({ __NEXT_DATA__ }) {
+  const locale = __NEXT_DATA__?.props?.pageProps?.initialLocale || DEFAULT_LOCALE;
   return (
-    <Html lang="en">
+    <Html lang={locale}>
       <Head />
       <body>
         <Main />
@@ -0,0 +1,136 @@
+// pages/admin/compare.js
+// Internal side-by-side view of several prospects (usually one campaign) for sales reviews: /admin/compare?ids=a,b,c.
+// Records are fetched like the prospect dashboard's (lib/wpClient.js) and normalized with lib/visitorRecord.js;
+// the comparison itself is lib/visitorComparison.js, and KPIs and charts render with the dashboard's components. Protected like the console by lib/adminAuth.js.
+import { useMemo } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import AdminAccessDenied from '@/components/admin/AdminAccessDenied';
+import SpecChart from '@/components/SpecChart';
+import { KpiStatus, KpiValue } from '@/components/sections/KpiSection';
+import { authorizeAdminPage } from '@/lib/adminAuth';
+import { createTranslator, DEFAULT_LOCALE } from '@/lib/i18n';
+import { buildTheme } from '@/lib/theme';
+import { MAX_COMPARED_VISITORS, buildVisitorComparison, parseComparedVisitorIds } from '@/lib/visitorComparison';
+import { normalizeVisitorRecord } from '@/lib/visitorRecord';
+import { fetchVisitorRecord } from '@/lib/wpClient';
+
+// Records are compared in the default locale so that fallback KPIs and texts line up across visitors.
+const i18n = createTranslator(DEFAULT_LOCALE);
+const { chartColors } = buildTheme();
+
+const TEXT_ROWS = [
+    { key: 'overviewShort', label: 'Company snapshot' },
+    { key: 'usp', label: 'USP' },
+    { key: 'keyChallengeOpportunity', label: 'Key challenge / opportunity' },
+];
+
+export default function AdminComparePage({ accessError = null, visitorIds = [], entries = [] }) {
+    const loaded = useMemo(() => entries.filter(entry => entry.record), [entries]);
+    const models = useMemo(() => loaded.map(entry => normalizeVisitorRecord(entry.record, { locale: DEFAULT_LOCALE }).model), [loaded]);
+    const { kpiRows, isSharedService, chartSpecs } = useMemo(() => buildVisitorComparison(models), [models]);
+
+    if (accessError) return <AdminAccessDenied message={accessError} />;
+
+    return (
+        <>
+            <Head>
+                <title>MakerToo Admin - Compare Visitors</title>
+                <meta name="robots" content="noindex, nofollow" />
+            </Head>
+            <main className="admin-console">
+                <header className="admin-console-header">
+                    <h1><span className="dashicons dashicons-columns"></span>Compare Visitors</h1>
+                    <p className="admin-list-note"><Link href="/admin">Back to all records</Link></p>
+                </header>
+
+                <form className="admin-filters" method="get" action="/admin/compare">
+                    <input type="text" name="ids" defaultValue={visitorIds.join(', ')} placeholder="Visitor IDs, separated by commas" aria-label="Visitor IDs to compare" size={50} />
+                    <button type="submit" className="button button-primary"><span className="dashicons dashicons-columns"></span>Compare</button>
+                    <span className="admin-list-note">Up to {MAX_COMPARED_VISITORS} visitors.</span>
+                </form>
+
+                {entries.filter(entry => entry.error).map(entry => (
+                    <p key={entry.visitorId} className="admin-share-status is-error"><code>{entry.visitorId}</code>: {entry.error}</p>
+                ))}
+                {models.length === 0 && <p className="admin-list-note">Enter at least two visitor IDs, or pick records in the console and choose Compare.</p>}
+
+                {models.length > 0 && (
+                    <div className="admin-compare-scroll">
+                        <table className="admin-compare-table">
+                            <thead>
+                                <tr>
+                                    <td></td>
+                                    {models.map((model, column) => (
+                                        <th key={column} scope="col">
+                                            <strong>{model.companyName}</strong>
+                                            <span>{model.firstName} · <code>{loaded[column].visitorId}</code>{model.campaign ? ` · ${model.campaign}` : ''}</span>
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {TEXT_ROWS.map(({ key, label }) => (
+                                    <tr key={key}>
+                                        <th scope="row">{label}</th>
+                                        {models.map((model, column) => <td key={column}>{model[key] || <span className="admin-list-note">—</span>}</td>)}
+                                    </tr>
+                                ))}
+                                <tr>
+                                    <th scope="row">Core services</th>
+                                    {models.map((model, column) => (
+                                        <td key={column}>
+                                            {model.coreServices.length === 0 ? <span className="admin-list-note">—</span> : (
+                                                <ul>
+                                                    {model.coreServices.map(service => (
+                                                        isSharedService(service)
+                                                            ? <li key={service}>{service}</li>
+                                                            : <li key={service}><mark className="admin-compare-diff" title="Not offered by every compared company">{service}</mark></li>
+                                                    ))}
+                                                </ul>
+                                            )}
+                                        </td>
+                                    ))}
+                                </tr>
+                                <tr className="admin-compare-group"><th scope="rowgroup" colSpan={models.length + 1}>KPIs</th></tr>
+                                {kpiRows.map(row => (
+                                    <tr key={row.label} className={row.differs ? 'is-different' : ''}>
+                                        <th scope="row">{row.label}{row.differs && <span className="admin-badge is-warning">differs</span>}</th>
+                                        {row.cells.map((cell, column) => (
+                                            <td key={column} className={cell && row.highest !== null && cell.number === row.highest ? 'is-highest' : ''}>
+                                                {cell ? <><KpiValue kpi={cell.kpi} i18n={i18n} /><KpiStatus kpi={cell.kpi} i18n={i18n} /></> : <span className="admin-list-note">—</span>}
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                {chartSpecs.length > 0 && (
+                    <section className="dashboard-section card admin-compare-charts">
+                        <div className="charts-grid">
+                            {chartSpecs.map(spec => <SpecChart key={spec.title} spec={spec} chartColors={chartColors} i18n={i18n} />)}
+                        </div>
+                    </section>
+                )}
+            </main>
+        </>
+    );
+}
+
+export async function getServerSideProps({ req, res, query }) {
+    const accessError = authorizeAdminPage(req, res);
+    if (accessError) return { props: { accessError } };
+    const visitorIds = parseComparedVisitorIds(query.ids);
+    const entries = await Promise.all(visitorIds.map(async (visitorId) => {
+        try {
+            const record = await fetchVisitorRecord(visitorId);
+            return { visitorId, record, error: record ? null : 'No record found for this visitor ID.' };
+        } catch (err) {
+            return { visitorId, record: null, error: err.message };
+        }
+    }));
+    return { props: { visitorIds, entries } };
+}
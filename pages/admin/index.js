@@ -0,0 +1,136 @@
+// pages/admin/index.js
+// Internal console for browsing NocoDB visitor records, checking them for problems and previewing their
+// dashboards before a link goes out. Records picked for comparison open side by side in /admin/compare. Protected by lib/adminAuth.js (HTTP Basic, ADMIN_API_KEY as password).
+import { useEffect, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import axios from 'axios';
+import AdminAccessDenied from '@/components/admin/AdminAccessDenied';
+import VisitorPreview from '@/components/admin/VisitorPreview';
+import { authorizeAdminPage } from '@/lib/adminAuth';
+import { MAX_COMPARED_VISITORS } from '@/lib/visitorComparison';
+import { getPublicConfig } from '@/lib/wpClient';
+
+const EMPTY_FILTERS = { q: '', campaign: '' };
+
+export default function AdminConsolePage({ accessError = null, config = null, configError = null }) {
+    const [filterInput, setFilterInput] = useState(EMPTY_FILTERS);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [page, setPage] = useState(1);
+    const [issuesOnly, setIssuesOnly] = useState(false);
+    const [listState, setListState] = useState({ status: 'loading', visitors: [], pageInfo: null, errorMessage: '' });
+    const [selectedIndex, setSelectedIndex] = useState(null);
+    // Visitor IDs picked for /admin/compare; kept across searches and pages.
+    const [comparedIds, setComparedIds] = useState([]);
+
+    useEffect(() => {
+        if (accessError) return undefined;
+        const controller = new AbortController();
+        setListState(previous => ({ ...previous, status: 'loading', errorMessage: '' }));
+        axios.get('/api/admin/visitors', { params: { ...filters, page }, signal: controller.signal })
+            .then((response) => {
+                setListState({ status: 'loaded', visitors: response.data.data.visitors, pageInfo: response.data.data.pageInfo, errorMessage: '' });
+                setSelectedIndex(null);
+            })
+            .catch((err) => {
+                if (axios.isCancel(err)) return;
+                setListState({ status: 'error', visitors: [], pageInfo: null, errorMessage: err.response?.data?.data?.message || err.message });
+            });
+        return () => controller.abort();
+    }, [accessError, filters, page]);
+
+    if (accessError) return <AdminAccessDenied message={accessError} />;
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        setPage(1);
+        setFilters({ q: filterInput.q.trim(), campaign: filterInput.campaign.trim() });
+    };
+    const { visitors, pageInfo } = listState;
+    const shownVisitors = visitors.map((entry, index) => ({ entry, index })).filter(({ entry }) => !issuesOnly || entry.warnings.length > 0);
+    const selectedEntry = selectedIndex === null ? null : visitors[selectedIndex];
+    const toggleCompared = (visitorId) => setComparedIds(previous => (previous.includes(visitorId)
+        ? previous.filter(id => id !== visitorId)
+        : [...previous, visitorId].slice(0, MAX_COMPARED_VISITORS)));
+
+    return (
+        <>
+            <Head>
+                <title>MakerToo Admin - Visitor Records</title>
+                <meta name="robots" content="noindex, nofollow" />
+            </Head>
+            <main className="admin-console">
+                <header className="admin-console-header">
+                    <h1><span className="dashicons dashicons-admin-users"></span>Visitor Records</h1>
+                    {configError && <p className="admin-share-status is-error">WordPress config unavailable ({configError}); previews use the default layout and no booking link.</p>}
+                </header>
+
+                <form className="admin-filters" onSubmit={handleSearch}>
+                    <input type="search" placeholder="Company, name or visitor ID" aria-label="Search records" value={filterInput.q} onChange={(e) => setFilterInput({ ...filterInput, q: e.target.value })} />
+                    <input type="text" placeholder="Campaign" aria-label="Filter by campaign" value={filterInput.campaign} onChange={(e) => setFilterInput({ ...filterInput, campaign: e.target.value })} />
+                    <button type="submit" className="button button-primary"><span className="dashicons dashicons-search"></span>Search</button>
+                    <label className="admin-filter-toggle">
+                        <input type="checkbox" checked={issuesOnly} onChange={(e) => setIssuesOnly(e.target.checked)} /> Only records with issues
+                    </label>
+                    {comparedIds.length >= 2
+                        ? <Link className="button button-secondary" href={`/admin/compare?ids=${comparedIds.map(encodeURIComponent).join(',')}`}><span className="dashicons dashicons-columns"></span>Compare selected ({comparedIds.length})</Link>
+                        : <span className="admin-list-note">Tick two or more records to compare them.</span>}
+                </form>
+
+                <div className="admin-console-body">
+                    <aside className="admin-record-list" aria-busy={listState.status === 'loading'}>
+                        {listState.status === 'error' && <p className="admin-share-status is-error">{listState.errorMessage}</p>}
+                        {listState.status === 'loading' && <p className="admin-list-note">Loading records...</p>}
+                        {listState.status === 'loaded' && shownVisitors.length === 0 && <p className="admin-list-note">No records match these filters.</p>}
+                        <ul>
+                            {shownVisitors.map(({ entry, index }) => (
+                                <li key={`${entry.visitorId}-${index}`} className="admin-record-item">
+                                    {entry.visitorId && (
+                                        <input
+                                            type="checkbox"
+                                            className="admin-compare-toggle"
+                                            aria-label={`Compare ${entry.companyName}`}
+                                            checked={comparedIds.includes(entry.visitorId)}
+                                            disabled={!comparedIds.includes(entry.visitorId) && comparedIds.length >= MAX_COMPARED_VISITORS}
+                                            onChange={() => toggleCompared(entry.visitorId)}
+                                        />
+                                    )}
+                                    <button type="button" className={`admin-record ${index === selectedIndex ? 'is-selected' : ''}`} onClick={() => setSelectedIndex(index)}>
+                                        <strong>{entry.companyName}</strong>
+                                        <span>{entry.firstName}{entry.campaign ? ` · ${entry.campaign}` : ''}</span>
+                                        {entry.warnings.length > 0
+                                            ? <span className="admin-badge is-warning">{entry.warnings.length} issue{entry.warnings.length === 1 ? '' : 's'}</span>
+                                            : <span className="admin-badge">OK</span>}
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                        {pageInfo && (
+                            <nav className="admin-pagination" aria-label="Record pages">
+                                <button type="button" className="button button-secondary" disabled={page <= 1 || listState.status === 'loading'} onClick={() => setPage(page - 1)}>Previous</button>
+                                <span>Page {pageInfo.page} · {pageInfo.totalRows} records</span>
+                                <button type="button" className="button button-secondary" disabled={pageInfo.isLastPage || listState.status === 'loading'} onClick={() => setPage(page + 1)}>Next</button>
+                            </nav>
+                        )}
+                    </aside>
+
+                    <section className="admin-preview-pane" aria-label="Dashboard preview">
+                        {selectedEntry
+                            ? <VisitorPreview key={`${selectedEntry.visitorId}-${selectedIndex}`} entry={selectedEntry} config={config} />
+                            : <p className="admin-list-note">Select a record to preview its dashboard.</p>}
+                    </section>
+                </div>
+            </main>
+        </>
+    );
+}
+
+export async function getServerSideProps({ req, res }) {
+    const accessError = authorizeAdminPage(req, res);
+    if (accessError) return { props: { accessError } };
+    try {
+        return { props: { config: await getPublicConfig() } };
+    } catch (err) {
+        return { props: { configError: err.message } };
+    }
+}
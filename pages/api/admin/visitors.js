@@ -0,0 +1,41 @@
+// pages/api/admin/visitors.js
+// GET /api/admin/visitors?q=&campaign=&page=&pageSize= -> { visitors, pageInfo } (admin only)
+// Lists NocoDB visitor records for the /admin console. Each entry carries the raw record (for the preview)
+// and the warnings normalizeVisitorRecord() raises for it, so broken records stand out before anyone sends a link.
+import { assertAdminRequest } from '@/lib/adminAuth';
+import { allowMethods, sendApiError, sendSuccess } from '@/lib/apiResponse';
+import { listVisitorRecords } from '@/lib/nocodbClient';
+import { normalizeVisitorRecord } from '@/lib/visitorRecord';
+
+const readParam = (value) => (typeof value === 'string' ? value.trim().slice(0, 100) : '');
+
+function summarizeVisitorRecord(record) {
+    const { model, warnings } = normalizeVisitorRecord(record);
+    if (!model.visitorId) warnings.unshift({ field: 'visitor_id', message: 'Missing visitor ID; no dashboard link can be issued for this record.' });
+    return {
+        visitorId: model.visitorId,
+        firstName: model.firstName,
+        companyName: model.companyName,
+        campaign: model.campaign,
+        language: model.language,
+        warnings,
+        record,
+    };
+}
+
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+    try {
+        assertAdminRequest(req);
+        const { list, pageInfo } = await listVisitorRecords({
+            search: readParam(req.query.q),
+            campaign: readParam(req.query.campaign),
+            page: Number(req.query.page) || 1,
+            pageSize: Number(req.query.pageSize) || undefined,
+        });
+        res.setHeader('Cache-Control', 'private, no-store');
+        sendSuccess(res, { visitors: list.map(summarizeVisitorRecord), pageInfo });
+    } catch (err) {
+        sendApiError(res, err);
+    }
+}
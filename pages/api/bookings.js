@@ -0,0 +1,27 @@
+// pages/api/bookings.js
+// POST /api/bookings { key, provider, reference?, startTime? } -> the stored booking
+//   Called by the dashboard when the embedded scheduler reports a booking; `key` is the page's visitor key.
+// GET  /api/bookings[?visitor_id=...] (admin) -> { bookings }, newest first.
+import { assertAdminRequest } from '@/lib/adminAuth';
+import { allowMethods, sendApiError, sendSuccess } from '@/lib/apiResponse';
+import { listBookings, recordBooking } from '@/lib/bookings';
+import { loadVisitor } from '@/lib/visitorService';
+
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST'])) return;
+    try {
+        if (req.method === 'POST') {
+            const { key, provider, reference, startTime } = req.body || {};
+            const visitor = await loadVisitor(key);
+            sendSuccess(res, await recordBooking(visitor, { provider, reference, startTime }), 201);
+            return;
+        }
+
+        assertAdminRequest(req);
+        const visitorId = typeof req.query.visitor_id === 'string' ? req.query.visitor_id.trim() : '';
+        res.setHeader('Cache-Control', 'private, no-store');
+        sendSuccess(res, { bookings: await listBookings(visitorId) });
+    } catch (err) {
+        sendApiError(res, err);
+    }
+}
@@ -0,0 +1,13 @@
+// pages/api/config.js
+// GET /api/config -> public subset of the WordPress plugin config (no nonce, no ajax_url).
+import { allowMethods, sendApiError, sendSuccess } from '@/lib/apiResponse';
+import { getPublicConfig } from '@/lib/wpClient';
+
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+    try {
+        sendSuccess(res, await getPublicConfig());
+    } catch (err) {
+        sendApiError(res, err);
+    }
+}
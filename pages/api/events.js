@@ -0,0 +1,26 @@
+// pages/api/events.js
+// POST /api/events { key, sessionId, events: [{ type, ...props }] } -> { accepted, rejected }
+//   Called by the dashboard; `key` is the same visitor key the page was opened with.
+// GET  /api/events[?visitor_id=...] (admin) -> one engagement summary, or all of them.
+import { assertAdminRequest } from '@/lib/adminAuth';
+import { allowMethods, sendApiError, sendSuccess } from '@/lib/apiResponse';
+import { getEngagementSummary, listEngagementSummaries, recordEngagementEvents } from '@/lib/engagement';
+import { loadVisitor } from '@/lib/visitorService';
+
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST'])) return;
+    try {
+        if (req.method === 'POST') {
+            const { key, sessionId, events } = req.body || {};
+            const visitor = await loadVisitor(key); // 404 for records that do not exist
+            sendSuccess(res, await recordEngagementEvents(visitor, sessionId, events), 202);
+            return;
+        }
+
+        assertAdminRequest(req);
+        const visitorId = typeof req.query.visitor_id === 'string' ? req.query.visitor_id.trim() : '';
+        sendSuccess(res, visitorId ? await getEngagementSummary(visitorId) : await listEngagementSummaries());
+    } catch (err) {
+        sendApiError(res, err);
+    }
+}
@@ -0,0 +1,36 @@
+// pages/api/links.js
+// POST /api/links { visitorId, campaign?, expiresInDays? } -> { token, url, expiresAt }
+// Admin-only: issues the signed dashboard link that goes into the prospect's email.
+import { assertAdminRequest } from '@/lib/adminAuth';
+import { allowMethods, ApiError, sendApiError, sendSuccess } from '@/lib/apiResponse';
+import { createVisitorToken, getPublicOrigin } from '@/lib/visitorLinks';
+
+const MAX_LINK_TTL_DAYS = 365;
+
+export default function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+    try {
+        assertAdminRequest(req);
+        const { visitorId, campaign, expiresInDays } = req.body || {};
+        if (typeof visitorId !== 'string' || !visitorId.trim() || visitorId.length > 128) {
+            throw new ApiError(400, 'invalid_visitor_id', 'Please provide a valid visitorId.');
+        }
+        if (campaign !== undefined && (typeof campaign !== 'string' || campaign.length > 64)) {
+            throw new ApiError(400, 'invalid_campaign', 'campaign must be a string of at most 64 characters.');
+        }
+        if (expiresInDays !== undefined && !(Number(expiresInDays) > 0 && Number(expiresInDays) <= MAX_LINK_TTL_DAYS)) {
+            throw new ApiError(400, 'invalid_expiry', `expiresInDays must be between 0 and ${MAX_LINK_TTL_DAYS}.`);
+        }
+
+        const { token, expiresAt } = createVisitorToken({
+            visitorId: visitorId.trim(),
+            campaign: campaign || undefined,
+            expiresInDays: expiresInDays === undefined ? undefined : Number(expiresInDays),
+        });
+        const origin = getPublicOrigin(req);
+        if (!origin) throw new ApiError(500, 'config_missing', 'PUBLIC_SITE_URL is not set, so no shareable link can be built.');
+        sendSuccess(res, { token, url: `${origin}/dashboard?token=${token}`, expiresAt }, 201);
+    } catch (err) {
+        sendApiError(res, err);
+    }
+}
@@ -0,0 +1,30 @@
+// pages/api/og/[visitorId].js
+// GET /api/og/:key[?lang=] -> the visitor's link preview image (PNG, 1200x630), referenced by the dashboard's
+// og:image and twitter:image tags. Same key rules as /api/visitor/:key: a signed token, or a raw visitor ID
+// where those are allowed. Failures are returned as the usual JSON error envelope.
+import { allowMethods, sendApiError } from '@/lib/apiResponse';
+import { parseAcceptLanguage, resolveLocale } from '@/lib/i18n';
+import { renderVisitorOgImage } from '@/lib/ogImage';
+import { getRecordLocale, normalizeVisitorRecord } from '@/lib/visitorRecord';
+import { loadVisitor } from '@/lib/visitorService';
+
+// Link previews are fetched by crawlers that may come back often; the record rarely changes within the hour.
+// The image shows the prospect's name, company and KPIs, so only the fetching client may keep it: `private`
+// keeps CDNs and shared proxies from storing it and serving it to anyone who has the URL.
+const OG_IMAGE_MAX_AGE_SECONDS = 60 * 60;
+
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'HEAD'])) return; // some link unfurlers probe with HEAD first
+    try {
+        const { record, brand } = await loadVisitor(req.query.visitorId);
+        const locale = resolveLocale(req.query.lang, getRecordLocale(record), parseAcceptLanguage(req.headers['accept-language']));
+        const { model: visitor } = normalizeVisitorRecord(record, { locale });
+        const png = await renderVisitorOgImage(visitor, { brandColors: brand.colors, locale });
+        res.setHeader('Content-Type', 'image/png');
+        res.setHeader('Content-Length', png.length);
+        res.setHeader('Cache-Control', `private, max-age=${OG_IMAGE_MAX_AGE_SECONDS}`);
+        res.status(200).send(png);
+    } catch (err) {
+        sendApiError(res, err);
+    }
+}
@@ -0,0 +1,27 @@
+// pages/api/record-versions.js
+// POST /api/record-versions { key } -> { version, since, updated }
+//   Called by the dashboard when it shows a record; stores the record's version if it changed and returns
+//   what is new since this visitor's last visit (lib/recordVersions.js). `key` is the page's visitor key.
+// GET  /api/record-versions[?visitor_id=...] (admin) -> { versions }, newest first.
+import { assertAdminRequest } from '@/lib/adminAuth';
+import { allowMethods, sendApiError, sendSuccess } from '@/lib/apiResponse';
+import { listRecordVersions, recordVisitorView } from '@/lib/recordVersions';
+import { loadVisitor } from '@/lib/visitorService';
+
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST'])) return;
+    try {
+        res.setHeader('Cache-Control', 'private, no-store');
+        if (req.method === 'POST') {
+            const { visitorId, record } = await loadVisitor(req.body?.key);
+            sendSuccess(res, await recordVisitorView(visitorId, record));
+            return;
+        }
+
+        assertAdminRequest(req);
+        const visitorId = typeof req.query.visitor_id === 'string' ? req.query.visitor_id.trim() : '';
+        sendSuccess(res, { versions: await listRecordVersions(visitorId) });
+    } catch (err) {
+        sendApiError(res, err);
+    }
+}
@@ -0,0 +1,27 @@
+// pages/api/roi-scenarios.js
+// POST /api/roi-scenarios { key, currency?, inputs: { teamSize, hoursPerWeek, hourlyCost } } -> the stored scenario
+//   Called by the dashboard's ROI calculator; `key` is the same visitor key the page was opened with.
+// GET  /api/roi-scenarios[?visitor_id=...] (admin) -> { scenarios }, newest first.
+import { assertAdminRequest } from '@/lib/adminAuth';
+import { allowMethods, sendApiError, sendSuccess } from '@/lib/apiResponse';
+import { listRoiScenarios, recordRoiScenario } from '@/lib/roiScenarios';
+import { loadVisitor } from '@/lib/visitorService';
+
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST'])) return;
+    try {
+        if (req.method === 'POST') {
+            const { key, currency, inputs } = req.body || {};
+            const visitor = await loadVisitor(key);
+            sendSuccess(res, await recordRoiScenario(visitor, { inputs, currency }), 201);
+            return;
+        }
+
+        assertAdminRequest(req);
+        const visitorId = typeof req.query.visitor_id === 'string' ? req.query.visitor_id.trim() : '';
+        res.setHeader('Cache-Control', 'private, no-store');
+        sendSuccess(res, { scenarios: await listRoiScenarios(visitorId) });
+    } catch (err) {
+        sendApiError(res, err);
+    }
+}
@@ -0,0 +1,16 @@
+// pages/api/visitor/[id].js
+// GET /api/visitor/:key -> { success: true, data: { visitorId, campaign, record, brand } }
+// :key is a signed link token, or a raw visitor ID where unsigned access is allowed.
+import { allowMethods, sendApiError, sendSuccess } from '@/lib/apiResponse';
+import { loadVisitor } from '@/lib/visitorService';
+
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+    try {
+        const visitor = await loadVisitor(req.query.id);
+        res.setHeader('Cache-Control', 'private, no-store');
+        sendSuccess(res, visitor);
+    } catch (err) {
+        sendApiError(res, err);
+    }
+}
@@ -0,0 +1,32 @@
+// pages/api/visitor/[id]/report.pdf.js
+// GET /api/visitor/:key/report.pdf -> the visitor's briefing as a PDF attachment.
+// Same key rules as /api/visitor/:key; failures are returned as the usual JSON error envelope.
+import { allowMethods, sendApiError } from '@/lib/apiResponse';
+import { resolveDashboardLayout } from '@/lib/dashboardLayout';
+import { parseAcceptLanguage, resolveLocale } from '@/lib/i18n';
+import { buildVisitorReport } from '@/lib/pdfReport';
+import { getRecordLocale, normalizeVisitorRecord } from '@/lib/visitorRecord';
+import { loadVisitor } from '@/lib/visitorService';
+import { getPublicConfig } from '@/lib/wpClient';
+
+const toFileSlug = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'dashboard';
+
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+    try {
+        const { record, brand, campaign } = await loadVisitor(req.query.id);
+        // Same precedence as the dashboard: ?lang= (the page's Export link sets it), record, Accept-Language.
+        const locale = resolveLocale(req.query.lang, getRecordLocale(record), parseAcceptLanguage(req.headers['accept-language']));
+        const { model: visitor } = normalizeVisitorRecord(record, { locale });
+        const config = await getPublicConfig();
+        const layout = resolveDashboardLayout({ configLayout: config.dashboardLayout, campaign, recordLayout: visitor.layout, locale });
+        const pdf = await buildVisitorReport(visitor, { brandColors: brand.colors, layout, locale });
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="makertoo-briefing-${toFileSlug(visitor.companyName)}.pdf"`);
+        res.setHeader('Content-Length', pdf.length);
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.status(200).send(pdf);
+    } catch (err) {
+        sendApiError(res, err);
+    }
+}